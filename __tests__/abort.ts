@@ -0,0 +1,240 @@
+import moize from '../src';
+
+const fetchUser = jest.fn(
+    (id: string, signal?: AbortSignal) =>
+        new Promise((resolve, reject) => {
+            if (!signal) {
+                return resolve(`user ${id}`);
+            }
+
+            if (signal.aborted) {
+                return reject(new Error(`aborted ${id}`));
+            }
+
+            signal.addEventListener('abort', () =>
+                reject(new Error(`aborted ${id}`))
+            );
+
+            setTimeout(() => resolve(`user ${id}`), 100);
+        })
+);
+
+function ignoreRejection(promise: Promise<any>) {
+    promise.catch(() => {});
+
+    return promise;
+}
+
+describe('moize.isAbortable', () => {
+    afterEach(jest.clearAllMocks);
+
+    it('should exclude the signal from the key', async () => {
+        const memoized = moize(fetchUser, {
+            isAbortable: true,
+            isPromise: true,
+        });
+
+        const first = memoized('foo', new AbortController().signal);
+        const second = memoized('foo', new AbortController().signal);
+
+        expect(second).toBe(first);
+        expect(fetchUser).toHaveBeenCalledTimes(1);
+        expect(memoized.keys()).toEqual([['foo']]);
+        expect(await first).toBe('user foo');
+        expect(memoized.has(['foo'])).toBe(true);
+    });
+
+    it('should pass a signal of its own to the original function', async () => {
+        const memoized = moize(fetchUser, {
+            isAbortable: true,
+            isPromise: true,
+        });
+        const controller = new AbortController();
+
+        await memoized('foo', controller.signal);
+
+        const [, signal] = fetchUser.mock.calls[0];
+
+        expect(signal).not.toBe(controller.signal);
+        expect(signal.aborted).toBe(false);
+    });
+
+    it('should abort and evict the entry when its only caller aborts', async () => {
+        const memoized = moize(fetchUser, {
+            isAbortable: true,
+            isPromise: true,
+        });
+        const controller = new AbortController();
+
+        const result = ignoreRejection(memoized('foo', controller.signal));
+
+        controller.abort();
+
+        expect(fetchUser.mock.calls[0][1].aborted).toBe(true);
+        expect(memoized.keys()).toEqual([]);
+
+        await expect(result).rejects.toThrow('aborted foo');
+
+        expect(await memoized('foo', new AbortController().signal)).toBe(
+            'user foo'
+        );
+        expect(fetchUser).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only abort once every caller has aborted', async () => {
+        const memoized = moize(fetchUser, {
+            isAbortable: true,
+            isPromise: true,
+        });
+        const firstController = new AbortController();
+        const secondController = new AbortController();
+
+        const result = ignoreRejection(memoized('foo', firstController.signal));
+
+        memoized('foo', secondController.signal);
+
+        firstController.abort();
+
+        const [, signal] = fetchUser.mock.calls[0];
+
+        expect(signal.aborted).toBe(false);
+        expect(memoized.keys()).toEqual([['foo']]);
+
+        secondController.abort();
+
+        expect(signal.aborted).toBe(true);
+        expect(memoized.keys()).toEqual([]);
+
+        await expect(result).rejects.toThrow('aborted foo');
+    });
+
+    it('should not abort when a caller without a signal is waiting', async () => {
+        const memoized = moize(fetchUser, {
+            isAbortable: true,
+            isPromise: true,
+        });
+        const controller = new AbortController();
+
+        const result = memoized('foo', controller.signal);
+
+        memoized('foo');
+
+        controller.abort();
+
+        expect(fetchUser.mock.calls[0][1].aborted).toBe(false);
+        expect(await result).toBe('user foo');
+        expect(memoized.keys()).toEqual([['foo']]);
+    });
+
+    it('should not abort once the promise has settled', async () => {
+        const memoized = moize(fetchUser, {
+            isAbortable: true,
+            isPromise: true,
+        });
+        const controller = new AbortController();
+
+        await memoized('foo', controller.signal);
+
+        controller.abort();
+
+        expect(fetchUser.mock.calls[0][1].aborted).toBe(false);
+        expect(memoized.keys()).toEqual([['foo']]);
+    });
+
+    it('should evict the entry when the signal has already aborted', async () => {
+        const memoized = moize(fetchUser, {
+            isAbortable: true,
+            isPromise: true,
+        });
+        const controller = new AbortController();
+
+        controller.abort();
+
+        const result = ignoreRejection(memoized('foo', controller.signal));
+
+        await expect(result).rejects.toThrow('aborted foo');
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should abort and evict entries whose arguments are held weakly', async () => {
+        const memoized = moize(
+            (user: { id: string }, signal?: AbortSignal) =>
+                fetchUser(user.id, signal),
+            { isAbortable: true, isPromise: true, isWeak: true }
+        );
+        const user = { id: 'foo' };
+        const firstController = new AbortController();
+        const secondController = new AbortController();
+
+        const result = ignoreRejection(memoized(user, firstController.signal));
+
+        memoized(user, secondController.signal);
+
+        firstController.abort();
+
+        expect(memoized.keys()).toEqual([[user]]);
+
+        secondController.abort();
+
+        expect(fetchUser.mock.calls[0][1].aborted).toBe(true);
+        expect(memoized.keys()).toEqual([]);
+
+        await expect(result).rejects.toThrow('aborted foo');
+    });
+
+    it('should not evict the entry when its value was replaced before aborting', async () => {
+        const memoized = moize(fetchUser, {
+            isAbortable: true,
+            isPromise: true,
+        });
+        const controller = new AbortController();
+
+        const result = ignoreRejection(memoized('foo', controller.signal));
+
+        memoized.set(['foo'], Promise.resolve('user bar'));
+
+        controller.abort();
+
+        await expect(result).rejects.toThrow('aborted foo');
+
+        expect(memoized.keys()).toEqual([['foo']]);
+        expect(await memoized('foo')).toBe('user bar');
+    });
+
+    it('should abort and evict entries in a store', async () => {
+        const store = new Map();
+        const memoized = moize(fetchUser, {
+            isAbortable: true,
+            isPromise: true,
+            store,
+        });
+        const firstController = new AbortController();
+        const secondController = new AbortController();
+
+        const result = ignoreRejection(memoized('foo', firstController.signal));
+
+        memoized('foo', secondController.signal);
+
+        firstController.abort();
+
+        expect(store.size).toBe(1);
+
+        secondController.abort();
+
+        expect(fetchUser.mock.calls[0][1].aborted).toBe(true);
+        expect(store.size).toBe(0);
+
+        await expect(result).rejects.toThrow('aborted foo');
+    });
+
+    it('should not remove signals from the key when not set', async () => {
+        const memoized = moize(fetchUser, { isPromise: true });
+        const controller = new AbortController();
+
+        await memoized('foo', controller.signal);
+
+        expect(memoized.keys()).toEqual([['foo', controller.signal]]);
+        expect(fetchUser.mock.calls[0][1]).toBe(controller.signal);
+    });
+});
@@ -0,0 +1,100 @@
+import moize from '../src';
+import { estimateBytes, getEntryBytes } from '../src/bytes';
+
+const method = jest.fn(function (size: number) {
+    return 'x'.repeat(size);
+});
+
+describe('moize.maxBytes', () => {
+    afterEach(jest.clearAllMocks);
+
+    it('should remove the least-recently-used entries until the size fits', () => {
+        const memoized = moize(method, { maxBytes: 100 });
+
+        memoized(10);
+        memoized(20);
+
+        expect(memoized.bytes).toBe(8 + 20 + 8 + 40);
+
+        memoized(10);
+        memoized(15);
+
+        expect(memoized.keys()).toEqual([[15], [10]]);
+        expect(memoized.bytes).toBe(8 + 30 + 8 + 20);
+        expect(method).toHaveBeenCalledTimes(3);
+    });
+
+    it('should get the estimated size of each entry', () => {
+        const memoized = moize(method, { maxBytes: 1000 });
+
+        memoized(10);
+
+        expect(memoized.getBytes([10])).toBe(28);
+        expect(memoized.getBytes([20])).toBe(undefined);
+    });
+
+    it('should limit the size when setting entries', () => {
+        const memoized = moize(method, { maxBytes: 100 });
+
+        memoized(10);
+        memoized(20);
+
+        memoized.set([10], 'x'.repeat(40));
+
+        expect(memoized.keys()).toEqual([[10]]);
+        expect(memoized.getBytes([10])).toBe(88);
+    });
+
+    it('should apply alongside other limits', () => {
+        const memoized = moize(method, {
+            maxBytes: 1000,
+            maxSize: 2,
+        });
+
+        memoized(1);
+        memoized(2);
+        memoized(3);
+
+        expect(memoized.keys()).toEqual([[3], [2]]);
+    });
+
+    it('should estimate the size of the cache without a limit', () => {
+        const memoized = moize(method, { maxSize: 5 });
+
+        memoized(10);
+
+        expect(memoized.bytes).toBe(28);
+    });
+});
+
+describe('estimateBytes', () => {
+    it('should estimate primitives', () => {
+        expect(estimateBytes('foo')).toBe(6);
+        expect(estimateBytes(123)).toBe(8);
+        expect(estimateBytes(true)).toBe(4);
+        expect(estimateBytes(null)).toBe(0);
+        expect(estimateBytes(undefined)).toBe(0);
+        expect(estimateBytes(Symbol('foo'))).toBe(8);
+        expect(estimateBytes(() => {})).toBe(8);
+    });
+
+    it('should estimate collections by their contents', () => {
+        expect(estimateBytes(['foo', 1])).toBe(14);
+        expect(estimateBytes({ foo: 'bar', baz: 1 })).toBe(26);
+        expect(estimateBytes(new Map([['foo', 1]]))).toBe(14);
+        expect(estimateBytes(new Set(['foo', 'bar']))).toBe(12);
+        expect(estimateBytes(new Uint32Array(10))).toBe(40);
+        expect(estimateBytes(new ArrayBuffer(16))).toBe(16);
+        expect(estimateBytes(new Date())).toBe(8);
+    });
+
+    it('should only count each object once', () => {
+        const object: Record<string, any> = { foo: 'bar' };
+
+        object.self = object;
+
+        expect(estimateBytes(object)).toBe(20);
+        expect(estimateBytes([object, object])).toBe(20);
+        expect(getEntryBytes([object], object)).toBe(20);
+    });
+});
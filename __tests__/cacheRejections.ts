@@ -0,0 +1,292 @@
+import moize from '../src';
+import { ManualClock } from '../src/types';
+
+let clock: ManualClock;
+let shouldFail: boolean;
+
+const fetchUser = jest.fn((id: string) =>
+    shouldFail
+        ? Promise.reject(new Error(`failed ${id}`))
+        : Promise.resolve(`user ${id}`)
+);
+
+describe('moize.cacheRejections', () => {
+    beforeEach(() => {
+        clock = moize.createManualClock();
+        shouldFail = true;
+    });
+
+    afterEach(jest.clearAllMocks);
+
+    it('should remove rejected promises when not set', async () => {
+        const memoized = moize(fetchUser, {
+            clock,
+            isPromise: true,
+            maxAge: 5000,
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        expect(memoized.keys()).toEqual([]);
+        expect(memoized.expirations).toEqual([]);
+    });
+
+    it('should serve the rejection until the errorMaxAge has passed', async () => {
+        const onReject = jest.fn();
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            errorMaxAge: 500,
+            isPromise: true,
+            maxAge: 5000,
+            onReject,
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        expect(onReject).toHaveBeenCalledTimes(1);
+        expect(onReject).toHaveBeenCalledWith(['foo'], new Error('failed foo'));
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({
+                expiresAt: 500,
+                isRejected: true,
+                maxAge: 500,
+            })
+        );
+
+        clock.advance(499);
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        expect(fetchUser).toHaveBeenCalledTimes(1);
+
+        shouldFail = false;
+
+        clock.advance(1);
+
+        expect(memoized.keys()).toEqual([]);
+
+        expect(await memoized('foo')).toBe('user foo');
+        expect(fetchUser).toHaveBeenCalledTimes(2);
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ expiresAt: 5500, maxAge: 5000 })
+        );
+    });
+
+    it('should expire rejections based on the maxAge when there is no errorMaxAge', async () => {
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            isPromise: true,
+            maxAge: 1000,
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        clock.advance(999);
+
+        expect(memoized.keys()).toEqual([['foo']]);
+
+        clock.advance(1);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should expire rejections when there is no maxAge', async () => {
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            errorMaxAge: 500,
+            isPromise: true,
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        shouldFail = false;
+
+        clock.advance(500);
+
+        expect(await memoized('foo')).toBe('user foo');
+
+        clock.advance(100000);
+
+        expect(memoized.keys()).toEqual([['foo']]);
+    });
+
+    it('should expire rejections by default when there is no errorMaxAge or maxAge', async () => {
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            isPromise: true,
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ isRejected: true, maxAge: 5000 })
+        );
+
+        clock.advance(4999);
+
+        expect(memoized.keys()).toEqual([['foo']]);
+
+        clock.advance(1);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should expire rejections by default when the maxAge is a method', async () => {
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            isPromise: true,
+            maxAge: () => 1000,
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        clock.advance(5000);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should cache rejections of entries whose arguments are held weakly', async () => {
+        const memoized = moize(
+            (object: { id: string }) => fetchUser(object.id),
+            {
+                cacheRejections: true,
+                clock,
+                errorMaxAge: 500,
+                isPromise: true,
+                isWeak: true,
+            }
+        );
+        const object = { id: 'foo' };
+
+        await expect(memoized(object)).rejects.toThrow('failed foo');
+
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ isRejected: true, maxAge: 500 })
+        );
+
+        clock.advance(500);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should remove the expirations of entries evicted when there is no maxAge', async () => {
+        shouldFail = false;
+
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            errorMaxAge: 500,
+            isPromise: true,
+            maxSize: 2,
+        });
+
+        await memoized('foo');
+        await memoized('bar');
+        await memoized('baz');
+
+        expect(memoized.keys()).toEqual([['baz'], ['bar']]);
+        expect(memoized.expirations.map(({ key }) => key)).toEqual([
+            ['bar'],
+            ['baz'],
+        ]);
+    });
+
+    it('should not extend the expiration of rejections on use', async () => {
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            errorMaxAge: 500,
+            isPromise: true,
+            maxAge: 5000,
+            updateExpire: true,
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        clock.advance(400);
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        clock.advance(100);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should expire the replacement of a rejection based on the maxAge', async () => {
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            errorMaxAge: 500,
+            isPromise: true,
+            maxAge: 5000,
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        memoized.set(['foo'], Promise.resolve('user bar'));
+
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({
+                expiresAt: 5000,
+                isRejected: false,
+                maxAge: 5000,
+            })
+        );
+        expect(await memoized('foo')).toBe('user bar');
+    });
+
+    it('should count cached rejections separately from hits in the stats', async () => {
+        moize.collectStats();
+
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            errorMaxAge: 500,
+            isPromise: true,
+            profileName: 'cacheRejections',
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        expect(memoized.getStats()).toEqual({
+            calls: 3,
+            errorHits: 2,
+            hits: 0,
+            usage: '0.0000%',
+        });
+
+        moize.clearStats();
+        moize.collectStats(false);
+    });
+
+    it('should cache rejections in a store', async () => {
+        const store = new Map();
+        const onReject = jest.fn();
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            errorMaxAge: 500,
+            isPromise: true,
+            onReject,
+            store,
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        expect(fetchUser).toHaveBeenCalledTimes(1);
+        expect(onReject).toHaveBeenCalledWith(['foo'], new Error('failed foo'));
+        expect(store.size).toBe(1);
+
+        clock.advance(500);
+
+        expect(store.size).toBe(0);
+    });
+});
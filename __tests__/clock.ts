@@ -0,0 +1,156 @@
+import moize from '../src';
+
+const method = jest.fn((one: string) => ({ one }));
+
+describe('moize.clock', () => {
+    afterEach(jest.clearAllMocks);
+
+    it('should fire timeouts in order as the manual clock is advanced', () => {
+        const clock = moize.createManualClock(1000);
+        const fired: string[] = [];
+
+        clock.setTimeout(() => fired.push('second'), 200);
+        clock.setTimeout(() => {
+            fired.push('first');
+
+            clock.setTimeout(() => fired.push('nested'), 50);
+        }, 100);
+
+        const cancelledId = clock.setTimeout(
+            () => fired.push('cancelled'),
+            100
+        );
+
+        clock.clearTimeout(cancelledId);
+
+        expect(clock.now()).toBe(1000);
+
+        clock.advance(150);
+
+        expect(fired).toEqual(['first', 'nested']);
+        expect(clock.now()).toBe(1150);
+
+        clock.advance(50);
+
+        expect(fired).toEqual(['first', 'nested', 'second']);
+        expect(clock.now()).toBe(1200);
+    });
+
+    it('should expire entries based on the clock passed', () => {
+        const clock = moize.createManualClock();
+        const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+        const onExpire = jest.fn();
+        const memoized = moize(method, {
+            clock,
+            maxAge: 1000,
+            maxSize: 5,
+            onExpire,
+        });
+
+        memoized('foo');
+
+        clock.advance(500);
+
+        memoized('bar');
+
+        expect(memoized.expirations.map(({ expiresAt }) => expiresAt)).toEqual([
+            1000,
+            1500,
+        ]);
+
+        clock.advance(500);
+
+        expect(memoized.keys()).toEqual([['bar']]);
+        expect(onExpire).toHaveBeenCalledWith(['foo'], 'maxAge');
+
+        clock.advance(500);
+
+        expect(memoized.keys()).toEqual([]);
+        expect(setTimeoutSpy).not.toHaveBeenCalled();
+
+        setTimeoutSpy.mockRestore();
+    });
+
+    it('should refresh the expiration based on the clock passed', () => {
+        const clock = moize.createManualClock();
+        const memoized = moize(method, {
+            clock,
+            maxAge: 1000,
+            updateExpire: true,
+        });
+
+        memoized('foo');
+
+        clock.advance(800);
+
+        memoized('foo');
+
+        clock.advance(800);
+
+        expect(memoized.has(['foo'])).toBe(true);
+
+        clock.advance(200);
+
+        expect(memoized.has(['foo'])).toBe(false);
+    });
+
+    it('should expire entries lazily based on the clock passed', () => {
+        const clock = moize.createManualClock();
+        const memoized = moize(method, {
+            clock,
+            expirationMode: 'lazy',
+            maxAge: 1000,
+        });
+
+        memoized('foo');
+
+        clock.advance(1000);
+
+        expect(memoized.cache.size).toBe(1);
+        expect(memoized.has(['foo'])).toBe(false);
+        expect(memoized.cache.size).toBe(0);
+    });
+
+    it('should expire entries in a store based on the clock passed', () => {
+        const clock = moize.createManualClock();
+        const store = new Map();
+        const memoized = moize(method, { clock, maxAge: 1000, store });
+
+        memoized('foo');
+
+        clock.advance(999);
+
+        expect(store.size).toBe(1);
+
+        clock.advance(1);
+
+        expect(store.size).toBe(0);
+    });
+
+    it('should accept a custom clock', () => {
+        let now = 0;
+
+        const timeouts: Array<() => void> = [];
+        const clock = {
+            clearTimeout: jest.fn(),
+            now: () => now,
+            setTimeout: jest.fn((callback: () => void) =>
+                timeouts.push(callback)
+            ),
+        };
+
+        const memoized = moize(method, { clock, maxAge: 1000 });
+
+        memoized('foo');
+
+        expect(clock.setTimeout).toHaveBeenCalledWith(
+            expect.any(Function),
+            1000
+        );
+
+        now = 1000;
+        timeouts[0]();
+
+        expect(memoized.keys()).toEqual([]);
+    });
+});
@@ -0,0 +1,157 @@
+import moize from '../src';
+import { ManualClock } from '../src/types';
+
+let clock: ManualClock;
+
+const fetchUser = jest.fn(
+    (id: string, _signal?: AbortSignal) =>
+        new Promise((resolve, reject) => {
+            clock.setTimeout(
+                () =>
+                    id === 'error'
+                        ? reject(new Error(`failed ${id}`))
+                        : resolve(`user ${id}`),
+                100
+            );
+        })
+);
+
+function flushPromises() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('moize.maxConcurrent', () => {
+    beforeEach(() => {
+        clock = moize.createManualClock();
+    });
+
+    afterEach(jest.clearAllMocks);
+
+    it('should queue calls beyond the limit until others settle', async () => {
+        const memoized = moize(fetchUser, {
+            isPromise: true,
+            maxConcurrent: 2,
+            maxSize: 10,
+        });
+
+        const results = ['foo', 'bar', 'baz', 'quz'].map((id) => memoized(id));
+
+        expect(fetchUser).toHaveBeenCalledTimes(2);
+        expect(memoized.queueSize).toBe(2);
+        expect(memoized.keys()).toEqual([['quz'], ['baz'], ['bar'], ['foo']]);
+
+        clock.advance(100);
+
+        await flushPromises();
+
+        expect(fetchUser).toHaveBeenCalledTimes(4);
+        expect(memoized.queueSize).toBe(0);
+
+        clock.advance(100);
+
+        expect(await Promise.all(results)).toEqual([
+            'user foo',
+            'user bar',
+            'user baz',
+            'user quz',
+        ]);
+    });
+
+    it('should return cached and pending entries without queueing', async () => {
+        const memoized = moize(fetchUser, {
+            isPromise: true,
+            maxConcurrent: 1,
+            maxSize: 10,
+        });
+
+        const foo = memoized('foo');
+        const bar = memoized('bar');
+
+        expect(memoized('foo')).toBe(foo);
+        expect(memoized('bar')).toBe(bar);
+        expect(fetchUser).toHaveBeenCalledTimes(1);
+        expect(memoized.queueSize).toBe(1);
+
+        clock.advance(100);
+
+        expect(await foo).toBe('user foo');
+        expect(memoized('foo')).toBe(foo);
+        expect(memoized.queueSize).toBe(0);
+    });
+
+    it('should start the next call when one rejects', async () => {
+        const memoized = moize(fetchUser, {
+            isPromise: true,
+            maxConcurrent: 1,
+            maxSize: 10,
+        });
+
+        const error = memoized('error');
+        const foo = memoized('foo');
+
+        clock.advance(100);
+
+        await expect(error).rejects.toThrow('failed error');
+
+        expect(fetchUser).toHaveBeenCalledTimes(2);
+
+        clock.advance(100);
+
+        expect(await foo).toBe('user foo');
+    });
+
+    it('should remove queued calls once every caller has aborted', async () => {
+        const memoized = moize(fetchUser, {
+            isAbortable: true,
+            isPromise: true,
+            maxConcurrent: 1,
+            maxSize: 10,
+        });
+        const controller = new AbortController();
+
+        memoized('foo');
+
+        const bar = memoized('bar', controller.signal);
+
+        expect(memoized.queueSize).toBe(1);
+
+        controller.abort();
+
+        expect(memoized.queueSize).toBe(0);
+        expect(memoized.keys()).toEqual([['foo']]);
+
+        await expect(bar).rejects.toHaveProperty('name', 'AbortError');
+
+        clock.advance(100);
+
+        await flushPromises();
+
+        expect(fetchUser).toHaveBeenCalledTimes(1);
+    });
+
+    it('should limit each partition separately', () => {
+        const memoized = moize(fetchUser, {
+            isPromise: true,
+            maxConcurrent: 1,
+            partitionBy: ([id]: [string]) => id.length,
+        });
+
+        memoized('foo');
+        memoized('bar');
+        memoized('quux');
+        memoized('corge');
+
+        expect(fetchUser).toHaveBeenCalledTimes(3);
+        expect(memoized.queueSize).toBe(1);
+    });
+
+    it('should not queue calls when not set', () => {
+        const memoized = moize(fetchUser, { isPromise: true });
+
+        memoized('foo');
+        memoized('bar');
+
+        expect(fetchUser).toHaveBeenCalledTimes(2);
+        expect(memoized.queueSize).toBe(0);
+    });
+});
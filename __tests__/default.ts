@@ -97,6 +97,59 @@ describe('moize', () => {
                 maxSize: 5,
             });
         });
+        it('should not require ES2015 collections unless the options used need them', () => {
+            const globals = global as any;
+            const { Map, Set, WeakMap, WeakSet } = globals;
+
+            let keys: any[];
+            let stats: any;
+            let deepResult: any;
+
+            globals.Map = undefined;
+            globals.Set = undefined;
+            globals.WeakMap = undefined;
+            globals.WeakSet = undefined;
+
+            try {
+                jest.isolateModules(() => {
+                    const isolatedMoize = require('../src')
+                        .default as typeof moize;
+
+                    isolatedMoize.collectStats();
+
+                    const moized = isolatedMoize(method, {
+                        isSerialized: true,
+                        maxSize: 2,
+                    });
+
+                    moized(foo, bar);
+                    moized(foo, bar);
+                    moized(bar, baz);
+                    moized(baz, foo);
+
+                    moized.set([foo, baz], 'value');
+                    moized.remove([baz, foo]);
+
+                    keys = moized.keys();
+                    stats = moized.getStats();
+
+                    moized.clear();
+
+                    deepResult = isolatedMoize.deep(method)(foo, bar);
+                });
+            } finally {
+                globals.Map = Map;
+                globals.Set = Set;
+                globals.WeakMap = WeakMap;
+                globals.WeakSet = WeakSet;
+            }
+
+            expect(keys).toEqual([['|foo|baz|']]);
+            expect(stats).toEqual(
+                expect.objectContaining({ calls: 5, hits: 1 })
+            );
+            expect(deepResult).toEqual({ one: foo, two: bar });
+        });
     });
 
     describe('cache manipulation', () => {
@@ -375,14 +428,21 @@ describe('moize', () => {
         it('should have the micro-memoize options', () => {
             const mmResult = microMemoize(method, { maxSize: Infinity });
 
-            const { isEqual, ...options } = memoized._microMemoizeOptions;
+            const {
+                isEqual,
+                onCacheAdd,
+                ...options
+            } = memoized._microMemoizeOptions;
             const {
                 isEqual: _isEqualIgnored,
+                onCacheAdd: _onCacheAddIgnored,
                 ...resultOptions
             } = mmResult.options;
 
             expect(options).toEqual(resultOptions);
             expect(isEqual).toBe(sameValueZeroEqual);
+            // adds the keys of primitive arguments to the hashed index
+            expect(onCacheAdd).toEqual(expect.any(Function));
         });
 
         it('should have cache and cacheSnapshot', () => {
@@ -415,16 +475,16 @@ describe('moize', () => {
             expect(expiringMemoized.expirations).toEqual([
                 expect.objectContaining({
                     expirationMethod: expect.any(Function),
+                    expiresAt: expect.any(Number),
                     key: [foo, bar],
-                    timeoutId: expect.any(Number),
                 }),
             ]);
 
             expect(expiringMemoized.expirationsSnapshot).toEqual([
                 expect.objectContaining({
                     expirationMethod: expect.any(Function),
+                    expiresAt: expect.any(Number),
                     key: [foo, bar],
-                    timeoutId: expect.any(Number),
                 }),
             ]);
         });
@@ -0,0 +1,298 @@
+import moize from '../src';
+import { ManualClock } from '../src/types';
+
+let clock: ManualClock;
+let version: number;
+
+const getValue = jest.fn((id: string) => {
+    // the computation takes 100ms
+    clock.advance(100);
+
+    return `${id} v${version}`;
+});
+
+const fetchValue = jest.fn(
+    (id: string) =>
+        new Promise((resolve) => {
+            const resolvedVersion = version;
+
+            clock.setTimeout(() => resolve(`${id} v${resolvedVersion}`), 200);
+        })
+);
+
+function flushPromises() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('moize.maxAgeJitter', () => {
+    beforeEach(() => {
+        clock = moize.createManualClock();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should randomize the maxAge of each entry', () => {
+        const memoized = moize((id: string) => id, {
+            clock,
+            maxAge: 1000,
+            maxAgeJitter: 0.1,
+            maxSize: 3,
+        });
+
+        jest.spyOn(Math, 'random')
+            .mockReturnValueOnce(0)
+            .mockReturnValueOnce(0.75)
+            .mockReturnValueOnce(0.5);
+
+        memoized('foo');
+        memoized('bar');
+        memoized('baz');
+
+        expect(memoized.expirations.map(({ maxAge }) => maxAge)).toEqual([
+            900,
+            1050,
+            1000,
+        ]);
+
+        clock.advance(900);
+
+        expect(memoized.keys()).toEqual([['baz'], ['bar']]);
+
+        clock.advance(100);
+
+        expect(memoized.keys()).toEqual([['bar']]);
+
+        clock.advance(50);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should keep the randomized maxAge when the expiration is updated', () => {
+        const memoized = moize((id: string) => id, {
+            clock,
+            maxAge: 1000,
+            maxAgeJitter: 0.2,
+            updateExpire: true,
+        });
+
+        jest.spyOn(Math, 'random').mockReturnValueOnce(0);
+
+        memoized('foo');
+
+        clock.advance(500);
+
+        memoized('foo');
+
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ expiresAt: 1300, maxAge: 800 })
+        );
+    });
+
+    it('should not randomize an explicit maxAge', () => {
+        const memoized = moize((id: string) => id, {
+            clock,
+            maxAge: 1000,
+            maxAgeJitter: 0.2,
+            maxSize: 2,
+        });
+
+        memoized.set(['foo'], 'bar', 500);
+
+        expect(memoized.expirations[0].maxAge).toBe(500);
+
+        jest.spyOn(Math, 'random').mockReturnValueOnce(1);
+
+        memoized('baz');
+
+        expect(memoized.expirations[1].maxAge).toBe(1200);
+    });
+});
+
+describe('moize.earlyRefresh', () => {
+    beforeEach(() => {
+        clock = moize.createManualClock();
+        version = 1;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    it('should refresh entries probabilistically based on the time their computation took', async () => {
+        // -log(e^-2) = 2, so entries are refreshed within twice their compute time
+        jest.spyOn(Math, 'random').mockReturnValue(Math.exp(-2));
+
+        const onRefresh = jest.fn();
+        const memoized = moize(getValue, {
+            clock,
+            earlyRefresh: 1,
+            maxAge: 1000,
+            onRefresh,
+        });
+
+        expect(memoized('foo')).toBe('foo v1');
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ computeTime: 100, expiresAt: 1100 })
+        );
+
+        version = 2;
+
+        clock.advance(700);
+
+        expect(memoized('foo')).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(getValue).toHaveBeenCalledTimes(1);
+
+        clock.advance(100);
+
+        expect(memoized('foo')).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(getValue).toHaveBeenCalledTimes(2);
+        expect(onRefresh).toHaveBeenCalledWith(['foo'], 'foo v2');
+        expect(memoized('foo')).toBe('foo v2');
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ computeTime: 100, expiresAt: 2000 })
+        );
+    });
+
+    it('should scale the time of the early refresh by the value passed', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(Math.exp(-2));
+
+        const memoized = moize(getValue, {
+            clock,
+            earlyRefresh: 3,
+            maxAge: 1000,
+        });
+
+        memoized('foo');
+
+        clock.advance(300);
+
+        memoized('foo');
+
+        await flushPromises();
+
+        expect(getValue).toHaveBeenCalledTimes(1);
+
+        clock.advance(100);
+
+        memoized('foo');
+
+        await flushPromises();
+
+        expect(getValue).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not refresh entries early when the random value is high', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(1);
+
+        const memoized = moize(getValue, {
+            clock,
+            earlyRefresh: 1,
+            maxAge: 1000,
+        });
+
+        memoized('foo');
+
+        clock.advance(999);
+
+        memoized('foo');
+
+        await flushPromises();
+
+        expect(getValue).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not measure the compute time of entries from calls that threw', () => {
+        const memoized = moize(
+            (id: string) => {
+                clock.advance(100);
+
+                if (id === 'error') {
+                    throw new Error(`failed ${id}`);
+                }
+
+                return `${id} v${version}`;
+            },
+            {
+                clock,
+                earlyRefresh: 1,
+                maxAge: 1000,
+            }
+        );
+
+        expect(() => memoized('error')).toThrow('failed error');
+
+        memoized.set(['foo'], 'foo v1');
+
+        expect(memoized.expirations[0].computeTime).toBeUndefined();
+    });
+
+    it('should measure the compute time of promises until they resolve', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(Math.exp(-2));
+
+        const memoized = moize(fetchValue, {
+            clock,
+            earlyRefresh: 1,
+            isPromise: true,
+            maxAge: 2000,
+        });
+
+        const value = memoized('foo');
+
+        clock.advance(200);
+
+        expect(await value).toBe('foo v1');
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ computeTime: 200, expiresAt: 2000 })
+        );
+
+        version = 2;
+
+        clock.advance(1400);
+
+        expect(await memoized('foo')).toBe('foo v1');
+        expect(fetchValue).toHaveBeenCalledTimes(2);
+
+        clock.advance(200);
+
+        await flushPromises();
+
+        expect(await memoized('foo')).toBe('foo v2');
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ computeTime: 200, expiresAt: 3800 })
+        );
+    });
+
+    it('should refresh entries in a store early', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(Math.exp(-2));
+
+        const store = new Map();
+        const memoized = moize(getValue, {
+            clock,
+            earlyRefresh: 1,
+            maxAge: 1000,
+            store,
+        });
+
+        memoized('foo');
+
+        version = 2;
+
+        clock.advance(800);
+
+        expect(memoized('foo')).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(memoized('foo')).toBe('foo v2');
+        expect(memoized.expirations[0].computeTime).toBe(100);
+    });
+});
@@ -0,0 +1,396 @@
+import moize from '../src';
+import {
+    createFrequencySketch,
+    getFrequencyHash,
+    getSketchFrequency,
+    incrementSketchFrequency,
+    multiplyInt32,
+} from '../src/eviction';
+
+const method = jest.fn(function (one: string, two?: string) {
+    return { one, two };
+});
+
+describe('moize.evictionPolicy', () => {
+    afterEach(jest.clearAllMocks);
+
+    describe('lru', () => {
+        it('should evict the least-recently-used entry by default', () => {
+            const memoized = moize(method, { maxSize: 2 });
+
+            memoized('foo');
+            memoized('foo');
+            memoized('foo');
+            memoized('bar');
+            memoized('baz');
+
+            expect(memoized.keys()).toEqual([['baz'], ['bar']]);
+        });
+
+        it('should evict the least-recently-used entry when hashed', () => {
+            const memoized = moize(method, { isHashed: true, maxSize: 2 });
+
+            memoized('foo');
+            memoized('bar');
+            memoized('foo');
+            memoized('baz');
+
+            expect(memoized.keys()).toEqual([['baz'], ['foo']]);
+        });
+    });
+
+    describe('lfu', () => {
+        it('should evict the least-frequently-used entry', () => {
+            const memoized = moize(method, {
+                evictionPolicy: 'lfu',
+                maxSize: 3,
+            });
+
+            memoized('foo');
+            memoized('foo');
+            memoized('foo');
+            memoized('bar');
+            memoized('bar');
+            memoized('baz');
+            memoized('quz');
+
+            expect(memoized.keys()).toEqual([['quz'], ['bar'], ['foo']]);
+
+            memoized('quz');
+            memoized('quz');
+            memoized('quz');
+            memoized('qux');
+
+            expect(memoized.keys()).toEqual([['qux'], ['quz'], ['foo']]);
+        });
+
+        it('should evict the least-recently-used entry when frequencies are equal', () => {
+            const memoized = moize(method, {
+                evictionPolicy: 'lfu',
+                maxSize: 3,
+            });
+
+            memoized('foo');
+            memoized('bar');
+            memoized('baz');
+            memoized('bar');
+            memoized('foo');
+            memoized('quz');
+
+            expect(memoized.keys()).toEqual([['quz'], ['foo'], ['bar']]);
+        });
+
+        it('should not be flushed by a scan of one-off keys', () => {
+            const memoized = moize(method, {
+                evictionPolicy: 'lfu',
+                maxSize: 3,
+            });
+
+            memoized('hot');
+            memoized('hot');
+
+            for (let index = 0; index < 100; index++) {
+                memoized(`scan ${index}`);
+            }
+
+            expect(memoized.has(['hot'])).toBe(true);
+        });
+
+        it('should use the eviction policy when setting new entries', () => {
+            const memoized = moize(method, {
+                evictionPolicy: 'lfu',
+                maxSize: 2,
+            });
+
+            memoized('foo');
+            memoized('foo');
+            memoized('bar');
+
+            memoized.set(['baz'], 'value');
+
+            expect(memoized.keys()).toEqual([['baz'], ['foo']]);
+            expect(memoized.values()).toEqual(['value', { one: 'foo' }]);
+        });
+
+        it('should reset the frequency of removed entries', () => {
+            const memoized = moize(method, {
+                evictionPolicy: 'lfu',
+                maxSize: 2,
+            });
+
+            memoized('foo');
+            memoized('foo');
+            memoized('foo');
+            memoized.remove(['foo']);
+
+            memoized('foo');
+            memoized('bar');
+            memoized('bar');
+            memoized('baz');
+
+            expect(memoized.keys()).toEqual([['baz'], ['bar']]);
+        });
+
+        it('should evict the least-frequently-used entry when hashed', () => {
+            const memoized = moize(method, {
+                evictionPolicy: 'lfu',
+                isHashed: true,
+                maxSize: 2,
+            });
+
+            memoized('foo', 'bar');
+            memoized('foo', 'bar');
+            memoized('bar', 'baz');
+            memoized('baz', 'quz');
+
+            expect(memoized.keys()).toEqual([
+                ['baz', 'quz'],
+                ['foo', 'bar'],
+            ]);
+            expect(memoized.has(['bar', 'baz'])).toBe(false);
+
+            memoized('foo', 'bar');
+
+            expect(method).toHaveBeenCalledTimes(3);
+        });
+
+        it('should allow expiration of frequently-used entries', async () => {
+            const memoized = moize(method, {
+                evictionPolicy: 'lfu',
+                maxAge: 100,
+                maxSize: 2,
+            });
+
+            memoized('foo');
+            memoized('foo');
+
+            await new Promise((resolve) => setTimeout(resolve, 200));
+
+            expect(memoized.has(['foo'])).toBe(false);
+
+            memoized('bar');
+            memoized('baz');
+
+            expect(memoized.keys()).toEqual([['baz'], ['bar']]);
+        });
+
+        it('should collect stats', () => {
+            moize.collectStats();
+
+            const memoized = moize(method, {
+                evictionPolicy: 'lfu',
+                maxSize: 2,
+                profileName: 'lfu',
+            });
+
+            memoized('foo');
+            memoized('foo');
+            memoized('bar');
+            memoized('baz');
+            memoized('foo');
+
+            expect(memoized.getStats()).toEqual({
+                calls: 5,
+                hits: 2,
+                usage: '40.0000%',
+            });
+
+            moize.collectStats(false);
+            moize.clearStats();
+        });
+    });
+
+    describe('tinylfu', () => {
+        it('should admit candidates that are used more frequently than the main victim', () => {
+            const memoized = moize(method, {
+                evictionPolicy: 'tinylfu',
+                maxSize: 3,
+            });
+
+            memoized('a');
+            memoized('b');
+            memoized('c');
+
+            expect(memoized.keys()).toEqual([['c'], ['b'], ['a']]);
+
+            memoized('x');
+
+            expect(memoized.keys()).toEqual([['x'], ['b'], ['a']]);
+
+            memoized('x');
+            memoized('y');
+
+            expect(memoized.keys()).toEqual([['y'], ['x'], ['b']]);
+        });
+
+        it('should remember the frequency of keys no longer in cache', () => {
+            const memoized = moize(method, {
+                evictionPolicy: 'tinylfu',
+                maxSize: 3,
+            });
+
+            memoized('a');
+            memoized('b');
+            memoized('c');
+            memoized('d');
+            memoized('e');
+
+            expect(memoized.has(['c'])).toBe(false);
+
+            memoized('c');
+            memoized('f');
+
+            expect(memoized.has(['c'])).toBe(true);
+            expect(memoized.has(['a'])).toBe(false);
+        });
+
+        it('should not be flushed by a scan of one-off keys', () => {
+            const memoized = moize(method, {
+                evictionPolicy: 'tinylfu',
+                maxSize: 10,
+            });
+
+            const hot = ['a', 'b', 'c', 'd', 'e'];
+
+            for (let index = 0; index < 5; index++) {
+                hot.forEach((key) => memoized(key));
+            }
+
+            for (let index = 0; index < 1000; index++) {
+                memoized(`scan ${index}`);
+
+                if (index % 20 === 0) {
+                    hot.forEach((key) => memoized(key));
+                }
+            }
+
+            hot.forEach((key) => {
+                expect(memoized.has([key])).toBe(true);
+            });
+
+            expect(memoized.cache.size).toBe(10);
+        });
+
+        it('should notify of cache operations and support the instance methods', () => {
+            const onCacheAdd = jest.fn();
+            const onCacheChange = jest.fn();
+
+            const memoized = moize(method, {
+                evictionPolicy: 'tinylfu',
+                maxSize: 2,
+                onCacheAdd,
+                onCacheChange,
+            });
+
+            memoized('foo');
+            memoized('bar');
+            memoized('bar');
+
+            expect(onCacheAdd).toHaveBeenCalledTimes(2);
+            expect(onCacheChange).toHaveBeenCalledTimes(2);
+
+            memoized.set(['baz'], 'value');
+
+            expect(memoized.cache.size).toBe(2);
+            expect(memoized.get(['baz'])).toBe('value');
+
+            memoized.remove(['baz']);
+
+            expect(memoized.keys()).toEqual([['bar']]);
+
+            memoized.clear();
+
+            expect(memoized.cache.size).toBe(0);
+
+            memoized('foo');
+
+            expect(memoized.keys()).toEqual([['foo']]);
+        });
+
+        it('should not limit the cache when the size is infinite', () => {
+            const memoized = moize.infinite(method, {
+                evictionPolicy: 'tinylfu',
+            });
+
+            for (let index = 0; index < 100; index++) {
+                memoized(`${index}`);
+            }
+
+            expect(memoized.cache.size).toBe(100);
+        });
+    });
+});
+
+describe('frequency sketch', () => {
+    it('should estimate the frequency of keys', () => {
+        const sketch = createFrequencySketch(100);
+        const hash = getFrequencyHash(['foo', 1]);
+
+        expect(getSketchFrequency(sketch, hash)).toBe(0);
+
+        incrementSketchFrequency(sketch, hash);
+        incrementSketchFrequency(sketch, hash);
+        incrementSketchFrequency(sketch, hash);
+
+        expect(getSketchFrequency(sketch, hash)).toBe(3);
+        expect(getSketchFrequency(sketch, getFrequencyHash(['foo', '1']))).toBe(
+            0
+        );
+    });
+
+    it('should cap the frequency of a single key', () => {
+        const sketch = createFrequencySketch(100);
+        const hash = getFrequencyHash(['foo']);
+
+        for (let index = 0; index < 100; index++) {
+            incrementSketchFrequency(sketch, hash);
+        }
+
+        expect(getSketchFrequency(sketch, hash)).toBe(15);
+    });
+
+    it('should halve the frequencies once the sample size is reached', () => {
+        const sketch = createFrequencySketch(16);
+        const hash = getFrequencyHash(['foo']);
+
+        for (let index = 0; index < 8; index++) {
+            incrementSketchFrequency(sketch, hash);
+        }
+
+        sketch.additions = sketch.sampleSize - 1;
+
+        expect(getSketchFrequency(sketch, hash)).toBe(8);
+
+        incrementSketchFrequency(sketch, getFrequencyHash(['bar']));
+
+        expect(getSketchFrequency(sketch, hash)).toBe(4);
+        expect(sketch.additions).toBe(sketch.sampleSize / 2);
+    });
+
+    it('should hash objects by reference', () => {
+        const object = { foo: 'bar' };
+
+        expect(getFrequencyHash([object])).toBe(getFrequencyHash([object]));
+        expect(getFrequencyHash([object])).not.toBe(
+            getFrequencyHash([{ foo: 'bar' }])
+        );
+    });
+
+    it('should multiply as 32-bit integers without Math.imul', () => {
+        const values = [
+            0,
+            1,
+            -1,
+            0x811c9dc5,
+            0x01000193,
+            0x85ebca6b,
+            0xffffffff,
+        ];
+
+        values.forEach((a) => {
+            values.forEach((b) => {
+                expect(multiplyInt32(a, b)).toBe(Math.imul(a, b));
+            });
+        });
+    });
+});
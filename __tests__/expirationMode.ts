@@ -0,0 +1,274 @@
+import moize from '../src';
+
+const method = jest.fn((one: string, two?: string) => ({ one, two }));
+
+let now: number;
+
+describe('moize.expirationMode', () => {
+    beforeEach(() => {
+        now = Date.now();
+
+        jest.useFakeTimers();
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    it('should not create timers when expiring lazily', () => {
+        const memoized = moize(method, {
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            maxSize: 5,
+        });
+
+        memoized('foo');
+        memoized('bar');
+
+        expect(jest.getTimerCount()).toBe(0);
+        expect(memoized.expirations.map(({ expiresAt }) => expiresAt)).toEqual([
+            now + 1000,
+            now + 1000,
+        ]);
+    });
+
+    it('should treat expired entries as a miss when called', () => {
+        const onExpire = jest.fn();
+        const memoized = moize(method, {
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            maxSize: 5,
+            onExpire,
+        });
+
+        memoized('foo');
+
+        now += 999;
+
+        memoized('foo');
+
+        expect(method).toHaveBeenCalledTimes(1);
+
+        now += 1;
+
+        memoized('foo');
+
+        expect(method).toHaveBeenCalledTimes(2);
+        expect(onExpire).toHaveBeenCalledWith(['foo'], 'maxAge');
+        expect(memoized.expirations.length).toBe(1);
+        expect(memoized.expirations[0].expiresAt).toBe(now + 1000);
+    });
+
+    it('should purge expired entries when accessed via get or has', () => {
+        const onExpire = jest.fn();
+        const memoized = moize(method, {
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            maxSize: 5,
+            onExpire,
+        });
+
+        memoized('foo');
+        memoized('bar');
+
+        now += 1000;
+
+        expect(memoized.has(['foo'])).toBe(false);
+        expect(memoized.get(['bar'])).toBe(undefined);
+
+        expect(onExpire).toHaveBeenCalledTimes(2);
+        expect(memoized.cache.size).toBe(0);
+        expect(method).toHaveBeenCalledTimes(2);
+    });
+
+    it('should purge expired entries when accessed via keys or values', () => {
+        const memoized = moize(method, {
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            maxSize: 5,
+        });
+
+        memoized('foo');
+
+        now += 500;
+
+        memoized('bar');
+
+        now += 500;
+
+        expect(memoized.keys()).toEqual([['bar']]);
+
+        now += 500;
+
+        expect(memoized.values()).toEqual([]);
+    });
+
+    it('should sweep all expired entries when pruned', () => {
+        const onCacheChange = jest.fn();
+        const onExpire = jest.fn();
+        const memoized = moize(method, {
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            maxSize: 5,
+            onCacheChange,
+            onExpire,
+        });
+
+        memoized('foo');
+        memoized('bar');
+
+        now += 500;
+
+        memoized('baz');
+
+        onCacheChange.mockClear();
+
+        now += 500;
+
+        memoized.prune();
+
+        expect(memoized.cache.keys).toEqual([['baz']]);
+        expect(memoized.expirations.length).toBe(1);
+        expect(onExpire).toHaveBeenCalledTimes(2);
+        expect(onCacheChange).toHaveBeenCalledTimes(2);
+    });
+
+    it('should remove the expirations of entries evicted from cache', () => {
+        ['lru', 'lfu'].forEach((evictionPolicy: 'lru' | 'lfu') => {
+            const memoized = moize((id: number) => id, {
+                evictionPolicy,
+                expirationMode: 'lazy',
+                maxAge: 1000,
+                maxSize: 2,
+            });
+
+            for (let id = 0; id < 100; id++) {
+                memoized(id);
+            }
+
+            expect(memoized.expirations.map(({ key }) => key)).toEqual(
+                memoized.cache.keys.slice().reverse()
+            );
+        });
+    });
+
+    it('should remove the expirations when cleared', () => {
+        const store = new Map();
+        const memoized = moize(method, {
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            maxSize: 5,
+        });
+        const storeMemoized = moize(method, {
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            store,
+        });
+
+        memoized('foo');
+        memoized('bar');
+        storeMemoized('foo');
+
+        memoized.clear();
+        storeMemoized.clear();
+
+        expect(memoized.expirations).toEqual([]);
+        expect(storeMemoized.expirations).toEqual([]);
+    });
+
+    it('should keep the entry when onExpire returns false', () => {
+        const onExpire = jest.fn().mockReturnValueOnce(false);
+        const memoized = moize(method, {
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            onExpire,
+        });
+
+        memoized('foo');
+
+        now += 1000;
+
+        memoized('foo');
+
+        expect(onExpire).toHaveBeenCalledTimes(1);
+        expect(method).toHaveBeenCalledTimes(1);
+
+        now += 1000;
+
+        memoized('foo');
+
+        expect(onExpire).toHaveBeenCalledTimes(2);
+        expect(method).toHaveBeenCalledTimes(2);
+    });
+
+    it('should extend the expiration on hit with updateExpire', () => {
+        const memoized = moize(method, {
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            updateExpire: true,
+        });
+
+        memoized('foo');
+
+        now += 800;
+
+        memoized('foo');
+
+        now += 800;
+
+        expect(memoized.has(['foo'])).toBe(true);
+
+        now += 200;
+
+        expect(memoized.has(['foo'])).toBe(false);
+    });
+
+    it('should expire entries in a store lazily', () => {
+        const store = new Map();
+        const onExpire = jest.fn();
+        const memoized = moize(method, {
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            onExpire,
+            store,
+        });
+
+        memoized('foo');
+        memoized('bar');
+
+        expect(jest.getTimerCount()).toBe(0);
+
+        now += 1000;
+
+        expect(memoized.has(['foo'])).toBe(false);
+        expect(store.size).toBe(1);
+
+        memoized('bar');
+
+        expect(method).toHaveBeenCalledTimes(3);
+        expect(onExpire).toHaveBeenCalledTimes(2);
+
+        now += 1000;
+
+        memoized.prune();
+
+        expect(store.size).toBe(0);
+    });
+
+    it('should still expire entries on access when using timers', () => {
+        const memoized = moize(method, { maxAge: 1000, maxSize: 5 });
+
+        memoized('foo');
+
+        expect(jest.getTimerCount()).toBe(1);
+
+        now += 1000;
+
+        memoized.prune();
+
+        expect(memoized.keys()).toEqual([]);
+    });
+});
@@ -0,0 +1,326 @@
+import moize from '../src';
+import { getKeyHash, UNHASHABLE } from '../src/hashed';
+
+const method = jest.fn(function (one: any, two?: any) {
+    return { one, two };
+});
+
+describe('moize.isHashed', () => {
+    afterEach(jest.clearAllMocks);
+
+    it('should memoize primitive keys based on the hashed index', () => {
+        const memoized = moize(method, { isHashed: true, maxSize: Infinity });
+
+        for (let index = 0; index < 100; index++) {
+            memoized(index, `${index}`);
+        }
+
+        expect(method).toHaveBeenCalledTimes(100);
+
+        method.mockClear();
+
+        for (let index = 0; index < 100; index++) {
+            expect(memoized(index, `${index}`)).toEqual({
+                one: index,
+                two: `${index}`,
+            });
+        }
+
+        expect(method).not.toHaveBeenCalled();
+
+        expect(memoized.cache.keys[0]).toEqual([99, '99']);
+        expect(memoized.cache.size).toBe(100);
+    });
+
+    it('should not treat primitives of different types as equal', () => {
+        const memoized = moize(method, { isHashed: true, maxSize: 10 });
+
+        memoized(1, 2);
+        memoized('1', 2);
+        memoized(1, '2');
+        memoized('12');
+        memoized(12);
+
+        expect(method).toHaveBeenCalledTimes(5);
+    });
+
+    it('should use SameValueZero equality for the hashed keys', () => {
+        const memoized = moize(method, { isHashed: true, maxSize: 10 });
+
+        memoized(NaN, 0);
+        memoized(NaN, -0);
+        memoized(NaN);
+        memoized(NaN);
+
+        expect(method).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fall back to comparing each key when arguments are not primitives', () => {
+        const memoized = moize(method, { isHashed: true, maxSize: 10 });
+        const object = { foo: 'bar' };
+
+        memoized(object, 'baz');
+        memoized(object, 'baz');
+        memoized({ foo: 'bar' }, 'baz');
+
+        expect(method).toHaveBeenCalledTimes(2);
+        expect(memoized.has([object, 'baz'])).toBe(true);
+    });
+
+    it('should handle the key being evicted from cache', () => {
+        const memoized = moize(method, { isHashed: true, maxSize: 2 });
+
+        memoized('foo');
+        memoized('bar');
+        memoized('baz');
+
+        expect(memoized.has(['foo'])).toBe(false);
+        expect(memoized.has(['bar'])).toBe(true);
+        expect(memoized.has(['baz'])).toBe(true);
+
+        memoized('foo');
+
+        expect(method).toHaveBeenCalledTimes(4);
+        expect(memoized.keys()).toEqual([['foo'], ['baz']]);
+    });
+
+    it('should handle the instance methods', () => {
+        const memoized = moize(method, { isHashed: true, maxSize: 5 });
+
+        memoized('foo', 'bar');
+
+        memoized.set(['bar', 'baz'], 'value');
+
+        expect(memoized.has(['bar', 'baz'])).toBe(true);
+        expect(memoized.get(['bar', 'baz'])).toBe('value');
+
+        memoized.set(['foo', 'bar'], 'other value');
+
+        expect(memoized.keys()).toEqual([
+            ['foo', 'bar'],
+            ['bar', 'baz'],
+        ]);
+        expect(memoized('foo', 'bar')).toBe('other value');
+
+        memoized.remove(['foo', 'bar']);
+
+        expect(memoized.has(['foo', 'bar'])).toBe(false);
+
+        memoized.clear();
+
+        expect(memoized.has(['bar', 'baz'])).toBe(false);
+
+        memoized('foo', 'bar');
+
+        expect(method).toHaveBeenCalledTimes(2);
+    });
+
+    it('should be used automatically when serializing', () => {
+        const memoized = moize.serialize(method, { maxSize: 5 });
+
+        memoized({ foo: 'bar' });
+        memoized({ foo: 'baz' });
+        memoized({ foo: 'bar' });
+
+        expect(method).toHaveBeenCalledTimes(2);
+        expect(memoized.has([{ foo: 'baz' }])).toBe(true);
+        expect(memoized.keys()).toEqual([
+            ['|{"foo":"bar"}|'],
+            ['|{"foo":"baz"}|'],
+        ]);
+    });
+
+    it('should be used automatically when every argument may be hashed', () => {
+        const memoized = moize(method, { maxSize: 3 });
+
+        memoized('foo');
+        memoized('bar');
+        memoized('baz');
+        memoized('bar');
+
+        expect(method).toHaveBeenCalledTimes(3);
+        expect(memoized.cache.recency).toBeDefined();
+
+        const unhashed = moize(method, { isHashed: false, maxSize: 3 });
+        const deep = moize.deep(method, { maxSize: 3 });
+
+        expect(unhashed.cache.recency).toBeUndefined();
+        expect(deep.cache.recency).toBeUndefined();
+        expect(moize(method).cache.recency).toBeUndefined();
+    });
+
+    it('should move the entry hit to the front without shifting the others', () => {
+        const memoized = moize(method, { isHashed: true, maxSize: 5 });
+
+        memoized('foo');
+        memoized('bar');
+        memoized('baz');
+        memoized('bar');
+
+        expect(memoized.cache.keys).toEqual([['bar'], ['foo'], ['baz']]);
+        expect(memoized.keys()).toEqual([['bar'], ['baz'], ['foo']]);
+        expect(memoized.cacheSnapshot.values).toEqual([
+            { one: 'bar' },
+            { one: 'baz' },
+            { one: 'foo' },
+        ]);
+    });
+
+    it('should evict the least recently used entry', () => {
+        const memoized = moize(method, { isHashed: true, maxSize: 3 });
+
+        memoized('foo');
+        memoized('bar');
+        memoized('baz');
+        memoized('foo');
+        memoized('quz');
+
+        expect(memoized.keys()).toEqual([['quz'], ['foo'], ['baz']]);
+
+        memoized('baz');
+        memoized('bar');
+
+        expect(memoized.keys()).toEqual([['bar'], ['baz'], ['quz']]);
+        expect(method).toHaveBeenCalledTimes(5);
+    });
+
+    it('should keep the order of recency when removing entries', () => {
+        const memoized = moize(method, { isHashed: true, maxSize: 5 });
+
+        memoized('foo');
+        memoized('bar');
+        memoized('baz');
+        memoized('quz');
+
+        memoized.remove(['quz']);
+        memoized.remove(['bar']);
+
+        expect(memoized.cache.keys[0]).toEqual(['baz']);
+        expect(memoized.keys()).toEqual([['baz'], ['foo']]);
+        expect(memoized('foo')).toEqual({ one: 'foo' });
+        expect(memoized('baz')).toEqual({ one: 'baz' });
+        expect(memoized.has(['bar'])).toBe(false);
+        expect(method).toHaveBeenCalledTimes(4);
+
+        memoized('bar');
+
+        expect(memoized.keys()).toEqual([['bar'], ['baz'], ['foo']]);
+        expect(method).toHaveBeenCalledTimes(5);
+    });
+
+    it('should keep the same entries as comparing each key', () => {
+        const hashed = moize(method, { isHashed: true, maxSize: 8 });
+        const unhashed = moize(method, { isHashed: false, maxSize: 8 });
+
+        let seed = 1;
+
+        for (let index = 0; index < 1000; index++) {
+            seed = (seed * 16807) % 2147483647;
+
+            const arg = seed % 13;
+
+            if (seed % 5) {
+                hashed(arg);
+                unhashed(arg);
+            } else {
+                hashed.remove([arg]);
+                unhashed.remove([arg]);
+            }
+
+            expect(hashed.keys()).toEqual(unhashed.keys());
+        }
+
+        expect(hashed.values()).toEqual(unhashed.values());
+    });
+
+    it('should evict by the policy and weight of entries', () => {
+        const lfu = moize(method, {
+            evictionPolicy: 'lfu',
+            isHashed: true,
+            maxSize: 2,
+        });
+
+        lfu('foo');
+        lfu('foo');
+        lfu('bar');
+        lfu('baz');
+
+        expect(lfu.keys()).toEqual([['baz'], ['foo']]);
+
+        const tinyLfu = moize(method, {
+            evictionPolicy: 'tinylfu',
+            isHashed: true,
+            maxSize: 3,
+        });
+
+        tinyLfu('foo');
+        tinyLfu('bar');
+        tinyLfu('baz');
+        tinyLfu('quz');
+
+        expect(tinyLfu.keys()).toEqual([['quz'], ['bar'], ['foo']]);
+
+        tinyLfu('foo');
+        tinyLfu('foo');
+        tinyLfu('bar');
+        tinyLfu('quz');
+        tinyLfu('baz');
+
+        expect(tinyLfu.keys()).toEqual([['baz'], ['bar'], ['foo']]);
+
+        const weighted = moize(method, {
+            isHashed: true,
+            maxSize: 5,
+            maxWeight: 3,
+            weigh: (_key, value) => value.one.length,
+        });
+
+        weighted('a');
+        weighted('bc');
+        weighted('a');
+        weighted('d');
+
+        expect(weighted.keys()).toEqual([['d'], ['a']]);
+        expect(weighted.weight).toBe(2);
+    });
+
+    it('should not be used with custom key matching', () => {
+        const matchesArg = jest.fn((a: any, b: any) => a === b);
+        const memoized = moize(method, {
+            isHashed: true,
+            matchesArg,
+            maxSize: 5,
+        });
+
+        memoized('foo');
+        memoized('bar');
+        memoized('foo');
+
+        expect(matchesArg).toHaveBeenCalled();
+        expect(method).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('getKeyHash', () => {
+    it('should use the argument itself for single primitive keys', () => {
+        const symbol = Symbol('foo');
+
+        expect(getKeyHash(['foo'])).toBe('foo');
+        expect(getKeyHash([symbol])).toBe(symbol);
+        expect(getKeyHash([null])).toBe(null);
+        expect(getKeyHash([{}])).toBe(UNHASHABLE);
+        expect(getKeyHash([() => {}])).toBe(UNHASHABLE);
+    });
+
+    it('should encode multiple primitive keys uniquely', () => {
+        expect(getKeyHash([])).toBe('');
+        expect(getKeyHash(['a:', 'b'])).not.toBe(getKeyHash(['a', ':b']));
+        expect(getKeyHash([1, '1'])).not.toBe(getKeyHash(['1', 1]));
+        expect(getKeyHash([null, undefined])).not.toBe(
+            getKeyHash([undefined, null])
+        );
+        expect(getKeyHash([true, 'foo'])).toBe(getKeyHash([true, 'foo']));
+        expect(getKeyHash(['foo', {}])).toBe(UNHASHABLE);
+        expect(getKeyHash(['foo', Symbol('bar')])).toBe(UNHASHABLE);
+    });
+});
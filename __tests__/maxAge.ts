@@ -1,4 +1,5 @@
 import moize from '../src';
+import { ManualClock } from '../src/types';
 
 function method(one: string, two: string) {
     return [one, two];
@@ -160,3 +161,485 @@ describe('moize.maxAge', () => {
         );
     });
 });
+
+describe('moize.maxAge as a method', () => {
+    let clock: ManualClock;
+
+    beforeEach(() => {
+        clock = moize.createManualClock();
+    });
+
+    afterEach(jest.clearAllMocks);
+
+    const getResponse = (url: string) => ({
+        maxAge: url === 'error' ? 100 : 1000,
+        url,
+    });
+    const getMaxAge = jest.fn(
+        (key: string[], response: { maxAge: number }) => response.maxAge
+    );
+
+    it('expires each entry based on the maxAge computed from its key and value', () => {
+        const memoized = moize(getResponse, {
+            clock,
+            maxAge: getMaxAge,
+            maxSize: 5,
+        });
+
+        memoized('error');
+        memoized('success');
+
+        expect(getMaxAge).toHaveBeenCalledWith(['error'], {
+            maxAge: 100,
+            url: 'error',
+        });
+        expect(memoized.expirations.map(({ maxAge }) => maxAge)).toEqual([
+            100,
+            1000,
+        ]);
+
+        clock.advance(100);
+
+        expect(memoized.keys()).toEqual([['success']]);
+
+        clock.advance(900);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('does not expire entries whose computed maxAge is not finite', () => {
+        const setTimeoutSpy = jest.spyOn(clock, 'setTimeout');
+        const memoized = moize(getResponse, {
+            clock,
+            maxAge: () => Infinity,
+        });
+
+        memoized('success');
+
+        expect(setTimeoutSpy).not.toHaveBeenCalled();
+
+        clock.advance(1000);
+
+        expect(memoized.keys()).toEqual([['success']]);
+    });
+
+    it('removes the expirations of entries whose computed maxAge is not finite once evicted', () => {
+        const memoized = moize((id: number) => id, {
+            clock,
+            maxAge: () => Infinity,
+            maxSize: 2,
+        });
+
+        for (let id = 0; id < 1000; id++) {
+            memoized(id);
+        }
+
+        expect(memoized.expirations.map(({ key }) => key)).toEqual([
+            [998],
+            [999],
+        ]);
+    });
+
+    it('resets to the maxAge of the entry when the cache is hit with updateExpire', () => {
+        const memoized = moize(getResponse, {
+            clock,
+            maxAge: getMaxAge,
+            maxSize: 5,
+            updateExpire: true,
+        });
+
+        memoized('error');
+
+        clock.advance(80);
+
+        memoized('error');
+
+        clock.advance(80);
+
+        expect(memoized.has(['error'])).toBe(true);
+
+        clock.advance(20);
+
+        expect(memoized.has(['error'])).toBe(false);
+        expect(getMaxAge).toHaveBeenCalledTimes(1);
+    });
+
+    it('allows an explicit maxAge when setting the value', () => {
+        const memoized = moize(getResponse, {
+            clock,
+            maxAge: 1000,
+            maxSize: 5,
+        });
+
+        memoized.set(['foo'], 'value', 100);
+        memoized('success');
+
+        clock.advance(100);
+
+        expect(memoized.keys()).toEqual([['success']]);
+
+        memoized.set(['success'], 'value', 2000);
+
+        clock.advance(1900);
+
+        expect(memoized.get(['success'])).toBe('value');
+
+        clock.advance(100);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('computes the maxAge from the new value when setting it', () => {
+        const memoized = moize(getResponse, { clock, maxAge: getMaxAge });
+
+        memoized('success');
+        memoized.set(['success'], { maxAge: 100 });
+
+        clock.advance(100);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('computes the maxAge from the resolved value of promises', async () => {
+        const memoized = moize(
+            (url: string) => Promise.resolve(getResponse(url)),
+            { clock, isPromise: true, maxAge: getMaxAge }
+        );
+
+        const promise = memoized('error');
+
+        expect(memoized.expirations[0].maxAge).toBe(Infinity);
+
+        await promise;
+
+        expect(getMaxAge).toHaveBeenCalledWith(['error'], {
+            maxAge: 100,
+            url: 'error',
+        });
+        expect(memoized.expirations[0].maxAge).toBe(100);
+
+        clock.advance(100);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('computes the maxAge of entries in a store', () => {
+        const store = new Map();
+        const memoized = moize(getResponse, {
+            clock,
+            maxAge: getMaxAge,
+            store,
+        });
+
+        memoized('error');
+        memoized('success');
+        memoized.set(['foo'], 'value', 500);
+
+        clock.advance(100);
+
+        expect(store.size).toBe(2);
+
+        clock.advance(400);
+
+        expect(memoized.keys()).toEqual([['success']]);
+
+        memoized.set(['success'], { maxAge: 100 });
+
+        clock.advance(100);
+
+        expect(store.size).toBe(0);
+    });
+});
+
+describe('moize.maxAge with an async onExpire', () => {
+    function flushPromises() {
+        return new Promise((resolve) => setImmediate(resolve));
+    }
+
+    function createDeferred() {
+        let resolve: (value: boolean) => void;
+        let reject: (error: Error) => void;
+
+        const promise = new Promise<boolean>((onResolve, onReject) => {
+            resolve = onResolve;
+            reject = onReject;
+        });
+
+        return { promise, reject, resolve };
+    }
+
+    it('keeps the entry available until the promise settles', async () => {
+        const clock = moize.createManualClock();
+        const deferred = createDeferred();
+        const onExpire = jest.fn(() => deferred.promise);
+        const memoized = moize(method, { clock, maxAge: 1000, onExpire });
+
+        memoized(foo, bar);
+
+        clock.advance(1000);
+
+        expect(onExpire).toHaveBeenCalledWith([foo, bar], 'maxAge');
+        expect(memoized.expirations[0].isPending).toBe(true);
+        expect(memoized.has([foo, bar])).toBe(true);
+
+        deferred.resolve(true);
+
+        await flushPromises();
+
+        expect(memoized.has([foo, bar])).toBe(false);
+        expect(memoized.expirations).toEqual([]);
+    });
+
+    it('re-arms the expiration when the promise resolves to false', async () => {
+        const clock = moize.createManualClock();
+        const onExpire = jest
+            .fn()
+            .mockReturnValueOnce(Promise.resolve(false))
+            .mockReturnValue(Promise.resolve(true));
+        const memoized = moize(method, { clock, maxAge: 1000, onExpire });
+
+        memoized(foo, bar);
+
+        clock.advance(1000);
+
+        await flushPromises();
+
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ expiresAt: 2000, isPending: false })
+        );
+
+        clock.advance(1000);
+
+        await flushPromises();
+
+        expect(onExpire).toHaveBeenCalledTimes(2);
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('removes the entry when the promise rejects', async () => {
+        const clock = moize.createManualClock();
+        const memoized = moize(method, {
+            clock,
+            maxAge: 1000,
+            onExpire: () => Promise.reject(new Error('boom')),
+        });
+
+        memoized(foo, bar);
+
+        clock.advance(1000);
+
+        await flushPromises();
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('ignores the result if the entry is removed or replaced before it settles', async () => {
+        const clock = moize.createManualClock();
+        const removed = createDeferred();
+        const replaced = createDeferred();
+        const onExpire = jest
+            .fn()
+            .mockReturnValueOnce(removed.promise)
+            .mockReturnValueOnce(replaced.promise);
+        const memoized = moize(method, {
+            clock,
+            maxAge: 1000,
+            maxSize: 2,
+            onExpire,
+        });
+
+        memoized(foo, bar);
+        memoized(bar, foo);
+
+        clock.advance(1000);
+
+        memoized.remove([foo, bar]);
+        memoized.set([bar, foo], ['replaced']);
+
+        removed.resolve(false);
+        replaced.resolve(true);
+
+        await flushPromises();
+
+        expect(memoized.keys()).toEqual([[bar, foo]]);
+        expect(memoized.expirations).toEqual([
+            expect.objectContaining({ expiresAt: 2000, isPending: false }),
+        ]);
+    });
+
+    it('does not call onExpire again while pending when expiring lazily', async () => {
+        const clock = moize.createManualClock();
+        const deferred = createDeferred();
+        const onExpire = jest.fn(() => deferred.promise);
+        const memoized = moize(method, {
+            clock,
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            onExpire,
+        });
+
+        memoized(foo, bar);
+
+        clock.advance(1000);
+
+        expect(memoized.has([foo, bar])).toBe(true);
+        expect(memoized.has([foo, bar])).toBe(true);
+
+        memoized.prune();
+
+        expect(onExpire).toHaveBeenCalledTimes(1);
+
+        deferred.resolve(true);
+
+        await flushPromises();
+
+        expect(memoized.has([foo, bar])).toBe(false);
+    });
+
+    it('keeps entries in a store until the promise settles', async () => {
+        const clock = moize.createManualClock();
+        const deferred = createDeferred();
+        const store = new Map();
+        const memoized = moize(method, {
+            clock,
+            maxAge: 1000,
+            onExpire: () => deferred.promise,
+            store,
+        });
+
+        memoized(foo, bar);
+
+        clock.advance(1000);
+
+        expect(store.size).toBe(1);
+
+        deferred.resolve(false);
+
+        await flushPromises();
+
+        expect(store.size).toBe(1);
+        expect(memoized.expirations[0].expiresAt).toBe(2000);
+    });
+
+    it('keeps the entry in place when returning false synchronously', () => {
+        const clock = moize.createManualClock();
+        const onCacheChange = jest.fn();
+        const memoized = moize(method, {
+            clock,
+            maxAge: 1000,
+            maxSize: 2,
+            onCacheChange,
+            onExpire: (key: string[]) => key[0] !== foo,
+        });
+
+        memoized(foo, bar);
+        memoized(bar, foo);
+
+        onCacheChange.mockClear();
+
+        clock.advance(1000);
+
+        expect(memoized.keys()).toEqual([[foo, bar]]);
+        expect(onCacheChange).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('moize.maxAge expirations', () => {
+    it('keeps a single expiration for each entry, in the order they were added', () => {
+        const clock = moize.createManualClock();
+        const memoized = moize(method, { clock, maxAge: 1000, maxSize: 3 });
+
+        memoized(foo, bar);
+
+        clock.advance(100);
+
+        memoized(bar, foo);
+        memoized(foo, bar);
+
+        expect(memoized.expirations.map(({ key }) => key)).toEqual([
+            [foo, bar],
+            [bar, foo],
+        ]);
+
+        memoized.remove([foo, bar]);
+        memoized(foo, bar);
+
+        expect(memoized.expirations.map(({ expiresAt }) => expiresAt)).toEqual([
+            1100,
+            1100,
+        ]);
+
+        clock.advance(1000);
+
+        expect(memoized.expirations).toEqual([]);
+    });
+
+    it('resets the expiration of the entry hit with updateExpire', () => {
+        const clock = moize.createManualClock();
+        const memoized = moize(method, {
+            clock,
+            maxAge: 1000,
+            maxSize: 2,
+            updateExpire: true,
+        });
+
+        memoized(foo, bar);
+        memoized(bar, foo);
+
+        clock.advance(500);
+
+        memoized(foo, bar);
+
+        expect(memoized.expirations.map(({ expiresAt }) => expiresAt)).toEqual([
+            1500,
+            1000,
+        ]);
+
+        clock.advance(500);
+
+        expect(memoized.keys()).toEqual([[foo, bar]]);
+    });
+
+    it('does not change the expirations when the list exposed is mutated', () => {
+        const memoized = moize(method, { maxAge: 1000 });
+
+        memoized(foo, bar);
+
+        memoized.expirations.pop();
+        memoized.expirationsSnapshot.pop();
+
+        expect(memoized.expirations.length).toBe(1);
+        expect(memoized.expirationsSnapshot.length).toBe(1);
+    });
+
+    it('keeps constant-time bookkeeping for caches with many entries', () => {
+        const clock = moize.createManualClock();
+        const memoized = moize((id: number) => id, {
+            clock,
+            maxAge: 1000,
+            maxSize: Infinity,
+            updateExpire: true,
+        });
+
+        for (let id = 0; id < 2000; id++) {
+            memoized(id);
+        }
+
+        clock.advance(500);
+
+        memoized(0);
+
+        for (let id = 1; id < 2000; id += 2) {
+            memoized.remove([id]);
+        }
+
+        expect(memoized.expirations.length).toBe(1000);
+
+        clock.advance(500);
+
+        expect(memoized.keys()).toEqual([[0]]);
+        expect(memoized.expirations).toEqual([
+            expect.objectContaining({ expiresAt: 1500, key: [0] }),
+        ]);
+    });
+});
@@ -0,0 +1,230 @@
+import moize from '../src';
+
+let version: number;
+
+const getPermissions = jest.fn((id: string) => ({ id, version }));
+
+const fetchPermissions = jest.fn((id: string) =>
+    Promise.resolve(`${id} v${version}`)
+);
+
+function flushPromises() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('moize.maxLifetime', () => {
+    beforeEach(() => {
+        version = 1;
+    });
+
+    afterEach(jest.clearAllMocks);
+
+    it('should expire entries renewed by updateExpire once their lifetime has passed', () => {
+        const clock = moize.createManualClock();
+        const onExpire = jest.fn();
+        const memoized = moize(getPermissions, {
+            clock,
+            maxAge: 1000,
+            maxLifetime: 2500,
+            onExpire,
+            updateExpire: true,
+        });
+
+        memoized('foo');
+
+        for (let index = 0; index < 4; index++) {
+            clock.advance(600);
+
+            memoized('foo');
+        }
+
+        expect(memoized.expirations[0].expiresAt).toBe(2500);
+        expect(getPermissions).toHaveBeenCalledTimes(1);
+
+        clock.advance(100);
+
+        expect(memoized.keys()).toEqual([]);
+        expect(onExpire).toHaveBeenCalledTimes(1);
+        expect(onExpire).toHaveBeenCalledWith(['foo'], 'maxLifetime');
+    });
+
+    it('should tell onExpire when the maxAge triggered the expiration', () => {
+        const clock = moize.createManualClock();
+        const onExpire = jest.fn();
+        const memoized = moize(getPermissions, {
+            clock,
+            maxAge: 1000,
+            maxLifetime: 5000,
+            onExpire,
+        });
+
+        memoized('foo');
+
+        clock.advance(1000);
+
+        expect(memoized.keys()).toEqual([]);
+        expect(onExpire).toHaveBeenCalledWith(['foo'], 'maxAge');
+    });
+
+    it('should expire entries based on the maxLifetime alone', () => {
+        const clock = moize.createManualClock();
+        const onExpire = jest.fn();
+        const memoized = moize(getPermissions, {
+            clock,
+            maxLifetime: 1000,
+            onExpire,
+        });
+
+        memoized('foo');
+
+        clock.advance(999);
+
+        expect(memoized.keys()).toEqual([['foo']]);
+
+        clock.advance(1);
+
+        expect(memoized.keys()).toEqual([]);
+        expect(onExpire).toHaveBeenCalledWith(['foo'], 'maxLifetime');
+    });
+
+    it('should start a new lifetime when onExpire keeps the entry', () => {
+        const clock = moize.createManualClock();
+
+        let expirationCount = 0;
+
+        const onExpire = jest.fn(() => ++expirationCount > 1);
+        const memoized = moize(getPermissions, {
+            clock,
+            maxAge: 1000,
+            maxLifetime: 1500,
+            onExpire,
+            updateExpire: true,
+        });
+
+        memoized('foo');
+
+        clock.advance(800);
+
+        memoized('foo');
+
+        clock.advance(700);
+
+        expect(onExpire).toHaveBeenCalledWith(['foo'], 'maxLifetime');
+        expect(memoized.keys()).toEqual([['foo']]);
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ createdAt: 1500, expiresAt: 2500 })
+        );
+
+        clock.advance(1000);
+
+        expect(onExpire).toHaveBeenLastCalledWith(['foo'], 'maxAge');
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should expire entries lazily once their lifetime has passed', () => {
+        const clock = moize.createManualClock();
+        const onExpire = jest.fn();
+        const memoized = moize(getPermissions, {
+            clock,
+            expirationMode: 'lazy',
+            maxAge: 1000,
+            maxLifetime: 1500,
+            onExpire,
+            updateExpire: true,
+        });
+
+        memoized('foo');
+
+        clock.advance(900);
+
+        memoized('foo');
+
+        clock.advance(700);
+
+        expect(memoized.cache.size).toBe(1);
+        expect(memoized.has(['foo'])).toBe(false);
+        expect(onExpire).toHaveBeenCalledWith(['foo'], 'maxLifetime');
+    });
+
+    it('should expire entries in a store once their lifetime has passed', () => {
+        const clock = moize.createManualClock();
+        const store = new Map();
+        const onExpire = jest.fn();
+        const memoized = moize(getPermissions, {
+            clock,
+            maxAge: 1000,
+            maxLifetime: 1500,
+            onExpire,
+            store,
+            updateExpire: true,
+        });
+
+        memoized('foo');
+
+        clock.advance(900);
+
+        memoized('foo');
+
+        clock.advance(599);
+
+        expect(store.size).toBe(1);
+
+        clock.advance(1);
+
+        expect(store.size).toBe(0);
+        expect(onExpire).toHaveBeenCalledWith(['foo'], 'maxLifetime');
+    });
+
+    it('should not serve stale values once their lifetime has passed', async () => {
+        const clock = moize.createManualClock();
+        const memoized = moize(fetchPermissions, {
+            clock,
+            isPromise: true,
+            maxAge: 1000,
+            maxLifetime: 1500,
+            staleWhileRevalidate: 5000,
+        });
+
+        await memoized('foo');
+
+        clock.advance(1000);
+
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ expiresAt: 1500, isStale: true })
+        );
+
+        clock.advance(500);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should start a new lifetime when the entry is refreshed', async () => {
+        const clock = moize.createManualClock();
+        const memoized = moize(getPermissions, {
+            clock,
+            maxAge: 1000,
+            maxLifetime: 1500,
+            refreshAhead: 0.2,
+            updateExpire: true,
+        });
+
+        memoized('foo');
+
+        clock.advance(700);
+
+        memoized('foo');
+
+        version = 2;
+
+        clock.advance(600);
+
+        expect(memoized('foo')).toEqual({ id: 'foo', version: 1 });
+
+        await flushPromises();
+
+        expect(memoized('foo')).toEqual({ id: 'foo', version: 2 });
+        expect(memoized.expirations[0]).toEqual(
+            expect.objectContaining({ createdAt: 1300, expiresAt: 2300 })
+        );
+    });
+});
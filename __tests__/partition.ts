@@ -0,0 +1,217 @@
+import moize from '../src';
+
+const getConfig = jest.fn((tenantId: string, key: string) => ({
+    key,
+    tenantId,
+}));
+
+const partitionBy = ([tenantId]: any[]) => tenantId;
+
+describe('moize.partitionBy', () => {
+    afterEach(jest.clearAllMocks);
+
+    it('should hold entries in an independent cache per partition', () => {
+        const memoized = moize(getConfig, { maxSize: 2, partitionBy });
+
+        memoized('noisy', 'a');
+        memoized('quiet', 'a');
+        memoized('noisy', 'b');
+        memoized('noisy', 'c');
+        memoized('noisy', 'd');
+
+        expect(memoized.partitions.size).toBe(2);
+        expect(memoized.partitions.get('noisy').keys()).toEqual([
+            ['noisy', 'd'],
+            ['noisy', 'c'],
+        ]);
+
+        expect(memoized('quiet', 'a')).toEqual({ key: 'a', tenantId: 'quiet' });
+        expect(getConfig).toHaveBeenCalledTimes(5);
+
+        expect(memoized.keys()).toEqual([
+            ['noisy', 'd'],
+            ['noisy', 'c'],
+            ['quiet', 'a'],
+        ]);
+        expect(memoized.cache.size).toBe(3);
+    });
+
+    it('should expire entries of each partition based on maxAge', () => {
+        const clock = moize.createManualClock();
+        const memoized = moize(getConfig, {
+            clock,
+            maxAge: 1000,
+            partitionBy,
+        });
+
+        memoized('foo', 'a');
+
+        clock.advance(500);
+
+        memoized('bar', 'a');
+
+        expect(memoized.expirations.length).toBe(2);
+
+        clock.advance(500);
+
+        expect(memoized.has(['foo', 'a'])).toBe(false);
+        expect(memoized.has(['bar', 'a'])).toBe(true);
+    });
+
+    it('should clear a single partition', () => {
+        const memoized = moize(getConfig, { maxSize: 5, partitionBy });
+
+        memoized('foo', 'a');
+        memoized('bar', 'a');
+
+        expect(memoized.clearPartition('foo')).toBe(true);
+        expect(memoized.clearPartition('foo')).toBe(false);
+
+        expect(memoized.keys()).toEqual([['bar', 'a']]);
+
+        memoized.clear();
+
+        expect(memoized.keys()).toEqual([]);
+        expect(memoized.partitions.size).toBe(0);
+    });
+
+    it('should collect stats for each partition', () => {
+        moize.collectStats();
+
+        const memoized = moize(getConfig, {
+            maxSize: 5,
+            partitionBy,
+            profileName: 'getConfig',
+        });
+
+        memoized('foo', 'a');
+        memoized('foo', 'a');
+        memoized('bar', 'a');
+        memoized('bar', 'b');
+
+        expect(memoized.getStats()).toEqual({
+            calls: 4,
+            hits: 1,
+            partitions: {
+                bar: { calls: 2, hits: 0, usage: '0.0000%' },
+                foo: { calls: 2, hits: 1, usage: '50.0000%' },
+            },
+            usage: '25.0000%',
+        });
+
+        expect(moize.getStats('getConfig [foo]')).toEqual({
+            calls: 2,
+            hits: 1,
+            usage: '50.0000%',
+        });
+
+        memoized.clearStats();
+
+        expect(memoized.getStats().calls).toBe(0);
+
+        moize.collectStats(false);
+        moize.clearStats();
+    });
+
+    it('should handle the instance methods', () => {
+        const memoized = moize(getConfig, { maxSize: 5, partitionBy });
+
+        memoized.set(['foo', 'a'], 'value');
+
+        expect(memoized.partitions.size).toBe(1);
+        expect(memoized.get(['foo', 'a'])).toBe('value');
+        expect(memoized.get(['bar', 'a'])).toBe(undefined);
+        expect(memoized.has(['foo', 'a'])).toBe(true);
+        expect(memoized.has(['bar', 'a'])).toBe(false);
+        expect(memoized.values()).toEqual(['value']);
+
+        expect(memoized.remove(['bar', 'a'])).toBe(false);
+        expect(memoized.remove(['foo', 'a'])).toBe(true);
+        expect(memoized.has(['foo', 'a'])).toBe(false);
+
+        expect(getConfig).not.toHaveBeenCalled();
+        expect(memoized.partitions.has('bar')).toBe(false);
+    });
+
+    it('should drop partitions once their last entry is removed', () => {
+        const clock = moize.createManualClock();
+        const memoized = moize(getConfig, {
+            clock,
+            maxAge: 1000,
+            maxSize: 5,
+            partitionBy,
+        });
+
+        memoized('foo', 'a');
+        memoized('foo', 'b');
+        memoized('bar', 'a');
+
+        memoized.remove(['foo', 'a']);
+
+        expect(memoized.partitions.has('foo')).toBe(true);
+
+        memoized.remove(['foo', 'b']);
+
+        expect(memoized.partitions.has('foo')).toBe(false);
+        expect(memoized.partitions.has('bar')).toBe(true);
+
+        clock.advance(1000);
+
+        expect(memoized.partitions.size).toBe(0);
+
+        memoized('bar', 'a');
+
+        expect(memoized.keys()).toEqual([['bar', 'a']]);
+        expect(getConfig).toHaveBeenCalledTimes(4);
+    });
+
+    it('should keep the stats of partitions once dropped', () => {
+        moize.collectStats();
+
+        const memoized = moize(getConfig, {
+            maxSize: 5,
+            partitionBy,
+            profileName: 'getConfig',
+        });
+
+        memoized('foo', 'a');
+        memoized('foo', 'a');
+        memoized('bar', 'a');
+
+        memoized.remove(['foo', 'a']);
+
+        expect(moize.getStats('getConfig [foo]').calls).toBe(0);
+        expect(memoized.getStats()).toEqual({
+            calls: 3,
+            hits: 1,
+            partitions: {
+                bar: { calls: 1, hits: 0, usage: '0.0000%' },
+            },
+            usage: '33.3333%',
+        });
+
+        memoized.clearStats();
+
+        expect(memoized.getStats().calls).toBe(0);
+
+        moize.collectStats(false);
+        moize.clearStats();
+    });
+
+    it('should be moizable with additional options', () => {
+        const memoized = moize(getConfig, { partitionBy });
+        const remoized = moize(memoized, { maxSize: 2 });
+
+        expect(moize.isMoized(remoized)).toBe(true);
+        expect(remoized.originalFunction).toBe(getConfig);
+
+        remoized('foo', 'a');
+        remoized('foo', 'b');
+        remoized('bar', 'a');
+
+        expect(remoized.partitions.get('foo').keys()).toEqual([
+            ['foo', 'b'],
+            ['foo', 'a'],
+        ]);
+    });
+});
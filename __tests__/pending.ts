@@ -0,0 +1,169 @@
+import moize from '../src';
+import { ManualClock } from '../src/types';
+
+let clock: ManualClock;
+
+const fetchUser = jest.fn(
+    (id: string) =>
+        new Promise((resolve, reject) => {
+            clock.setTimeout(
+                () =>
+                    id === 'error'
+                        ? reject(new Error(`failed ${id}`))
+                        : resolve(`user ${id}`),
+                100
+            );
+        })
+);
+
+function flushPromises() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('moize.pending', () => {
+    beforeEach(() => {
+        clock = moize.createManualClock();
+    });
+
+    afterEach(jest.clearAllMocks);
+
+    it('should list the keys of promises that have not settled', async () => {
+        const memoized = moize(fetchUser, { clock, isPromise: true });
+
+        expect(memoized.pending()).toEqual([]);
+
+        memoized('foo');
+        memoized('foo');
+        memoized('error').catch(() => {});
+
+        expect(fetchUser).toHaveBeenCalledTimes(2);
+        expect(memoized.pending()).toEqual([['foo'], ['error']]);
+
+        clock.advance(100);
+
+        await flushPromises();
+
+        expect(memoized.pending()).toEqual([]);
+    });
+
+    it('should call onPromiseResolve when the promise resolves', async () => {
+        const onPromiseResolve = jest.fn();
+        const memoized = moize(fetchUser, {
+            clock,
+            isPromise: true,
+            onPromiseResolve,
+        });
+
+        memoized('foo');
+
+        await flushPromises();
+
+        expect(onPromiseResolve).not.toHaveBeenCalled();
+
+        clock.advance(100);
+
+        await flushPromises();
+
+        expect(onPromiseResolve).toHaveBeenCalledTimes(1);
+        expect(onPromiseResolve).toHaveBeenCalledWith(['foo'], 'user foo');
+
+        await memoized('foo');
+
+        expect(onPromiseResolve).toHaveBeenCalledTimes(1);
+    });
+
+    it('should call onPromiseReject when the promise rejects', async () => {
+        const onPromiseReject = jest.fn();
+        const onPromiseResolve = jest.fn();
+        const memoized = moize(fetchUser, {
+            clock,
+            isPromise: true,
+            onPromiseReject,
+            onPromiseResolve,
+        });
+
+        const result = memoized('error');
+
+        clock.advance(100);
+
+        await expect(result).rejects.toThrow('failed error');
+
+        expect(onPromiseReject).toHaveBeenCalledWith(
+            ['error'],
+            new Error('failed error')
+        );
+        expect(onPromiseResolve).not.toHaveBeenCalled();
+        expect(memoized.pending()).toEqual([]);
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should track the promises of cached rejections', async () => {
+        const onPromiseReject = jest.fn();
+        const onReject = jest.fn();
+        const memoized = moize(fetchUser, {
+            cacheRejections: true,
+            clock,
+            errorMaxAge: 500,
+            isPromise: true,
+            onPromiseReject,
+            onReject,
+        });
+
+        const result = memoized('error');
+
+        expect(memoized.pending()).toEqual([['error']]);
+
+        clock.advance(100);
+
+        await expect(result).rejects.toThrow('failed error');
+
+        expect(onReject).toHaveBeenCalledTimes(1);
+        expect(onPromiseReject).toHaveBeenCalledTimes(1);
+        expect(memoized.pending()).toEqual([]);
+        expect(memoized.keys()).toEqual([['error']]);
+    });
+
+    it('should track the promises of entries in a store', async () => {
+        const onPromiseResolve = jest.fn();
+        const memoized = moize(fetchUser, {
+            clock,
+            isPromise: true,
+            onPromiseResolve,
+            store: new Map(),
+        });
+
+        memoized('foo');
+        memoized('foo');
+
+        expect(fetchUser).toHaveBeenCalledTimes(1);
+        expect(memoized.pending()).toEqual([['foo']]);
+
+        clock.advance(100);
+
+        await flushPromises();
+
+        expect(memoized.pending()).toEqual([]);
+        expect(onPromiseResolve).toHaveBeenCalledWith(['foo'], 'user foo');
+    });
+
+    it('should list the pending keys of all partitions', () => {
+        const memoized = moize(fetchUser, {
+            clock,
+            isPromise: true,
+            partitionBy: ([id]: [string]) => id,
+        });
+
+        memoized('foo');
+        memoized('bar');
+
+        expect(memoized.pending()).toEqual([['foo'], ['bar']]);
+    });
+
+    it('should not track values that are not promises', () => {
+        const memoized = moize((id: string) => id);
+
+        memoized('foo');
+
+        expect(memoized.pending()).toEqual([]);
+    });
+});
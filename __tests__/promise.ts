@@ -129,7 +129,10 @@ describe('moize.promise', () => {
                     );
 
                     await new Promise((resolve) =>
-                        setTimeout(resolve, method.options.maxAge * 2)
+                        setTimeout(
+                            resolve,
+                            (method.options.maxAge as number) * 2
+                        )
                     ).then(() => {
                         expect(method.options.onExpire).toHaveBeenCalledTimes(
                             1
@@ -139,4 +142,52 @@ describe('moize.promise', () => {
             });
         });
     });
+
+    it('should remove rejected entries without the lookup of keys done on calls', async () => {
+        const memoized = moize(
+            (value: string) => Promise.reject(new Error(value)),
+            { evictionPolicy: 'lfu', isPromise: true, maxSize: 2 }
+        );
+        const getKeyIndex = jest.spyOn(memoized.cache, 'getKeyIndex');
+
+        await expect(memoized('foo')).rejects.toThrow('foo');
+
+        expect(getKeyIndex).not.toHaveBeenCalled();
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should remove rejected entries whose arguments are held weakly', async () => {
+        const memoized = moize(
+            (object: { value: string }) =>
+                Promise.reject(new Error(object.value)),
+            { isPromise: true, isWeak: true, maxSize: 2 }
+        );
+
+        await expect(memoized({ value: 'foo' })).rejects.toThrow('foo');
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should keep the entry when its value is replaced before the promise rejects', async () => {
+        let reject: (error: Error) => void;
+
+        const memoized = moize(
+            (value: string) =>
+                new Promise((resolve, rejectPromise) => {
+                    reject = rejectPromise;
+                }),
+            { isPromise: true, maxSize: 2 }
+        );
+
+        const promise = memoized('foo');
+
+        memoized.set(['foo'], Promise.resolve('bar'));
+
+        reject(new Error('foo'));
+
+        await expect(promise).rejects.toThrow('foo');
+
+        expect(memoized.keys()).toEqual([['foo']]);
+        expect(await memoized('foo')).toBe('bar');
+    });
 });
@@ -0,0 +1,212 @@
+import moize from '../src';
+
+let version: number;
+
+const getValue = jest.fn((id: string) => {
+    if (id === 'fail' && version > 1) {
+        throw new Error('boom');
+    }
+
+    return `${id} v${version}`;
+});
+
+const fetchValue = jest.fn((id: string) =>
+    Promise.resolve(`${id} v${version}`)
+);
+
+function flushPromises() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('moize.refreshAhead', () => {
+    beforeEach(() => {
+        version = 1;
+    });
+
+    afterEach(jest.clearAllMocks);
+
+    it('should refresh entries accessed within a fraction of their maxAge', async () => {
+        const clock = moize.createManualClock();
+        const onRefresh = jest.fn();
+        const memoized = moize(getValue, {
+            clock,
+            maxAge: 1000,
+            onRefresh,
+            refreshAhead: 0.2,
+        });
+
+        memoized('foo');
+
+        version = 2;
+
+        clock.advance(700);
+
+        expect(memoized('foo')).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(getValue).toHaveBeenCalledTimes(1);
+
+        clock.advance(100);
+
+        expect(memoized('foo')).toBe('foo v1');
+        expect(memoized('foo')).toBe('foo v1');
+        expect(getValue).toHaveBeenCalledTimes(1);
+
+        await flushPromises();
+
+        expect(getValue).toHaveBeenCalledTimes(2);
+        expect(onRefresh).toHaveBeenCalledWith(['foo'], 'foo v2');
+        expect(memoized('foo')).toBe('foo v2');
+        expect(memoized.expirations[0].expiresAt).toBe(1800);
+
+        clock.advance(200);
+
+        expect(memoized.keys()).toEqual([['foo']]);
+    });
+
+    it('should refresh promises accessed within a number of milliseconds of expiring', async () => {
+        const clock = moize.createManualClock();
+        const memoized = moize(fetchValue, {
+            clock,
+            isPromise: true,
+            maxAge: 1000,
+            refreshAhead: 100,
+        });
+
+        await memoized('foo');
+
+        version = 2;
+
+        clock.advance(900);
+
+        expect(await memoized('foo')).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(fetchValue).toHaveBeenCalledTimes(2);
+        expect(await memoized('foo')).toBe('foo v2');
+        expect(memoized.expirations[0].expiresAt).toBe(1900);
+    });
+
+    it('should refresh with the arguments of the call rather than the key in cache', async () => {
+        const clock = moize.createManualClock();
+        const context = { prefix: 'user' };
+        const getUser = jest.fn(function (
+            this: typeof context,
+            id: string,
+            locale: string
+        ) {
+            return `${this.prefix} ${id} ${locale} v${version}`;
+        });
+        const memoized = moize(getUser, {
+            clock,
+            maxAge: 1000,
+            maxArgs: 1,
+            refreshAhead: 100,
+        });
+
+        memoized.call(context, 'foo', 'en');
+
+        version = 2;
+
+        clock.advance(900);
+
+        expect(memoized.call(context, 'foo', 'fr')).toBe('user foo en v1');
+
+        await flushPromises();
+
+        expect(getUser).toHaveBeenLastCalledWith('foo', 'en');
+        expect(getUser.mock.instances[1]).toBe(context);
+        expect(memoized.call(context, 'foo', 'en')).toBe('user foo en v2');
+    });
+
+    it('should refresh promises with the arguments of the call rather than the key in cache', async () => {
+        const clock = moize.createManualClock();
+        const fetchUser = jest.fn((user: { id: string }) =>
+            Promise.resolve(`${user.id} v${version}`)
+        );
+        const memoized = moize(fetchUser, {
+            clock,
+            isPromise: true,
+            isSerialized: true,
+            maxAge: 1000,
+            refreshAhead: 100,
+        });
+
+        await memoized({ id: 'foo' });
+
+        version = 2;
+
+        clock.advance(900);
+
+        expect(await memoized({ id: 'foo' })).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(fetchUser).toHaveBeenLastCalledWith({ id: 'foo' });
+        expect(await memoized({ id: 'foo' })).toBe('foo v2');
+    });
+
+    it('should keep the existing value when the refresh throws', async () => {
+        const clock = moize.createManualClock();
+        const onRefreshError = jest.fn();
+        const memoized = moize(getValue, {
+            clock,
+            maxAge: 1000,
+            onRefreshError,
+            refreshAhead: 0.5,
+        });
+
+        memoized('fail');
+
+        version = 2;
+
+        clock.advance(500);
+
+        expect(memoized('fail')).toBe('fail v1');
+
+        await flushPromises();
+
+        expect(onRefreshError).toHaveBeenCalledWith(
+            ['fail'],
+            new Error('boom')
+        );
+        expect(memoized('fail')).toBe('fail v1');
+
+        clock.advance(500);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should refresh entries in a store', async () => {
+        const clock = moize.createManualClock();
+        const store = new Map();
+        const memoized = moize(getValue, {
+            clock,
+            maxAge: 1000,
+            refreshAhead: 0.2,
+            store,
+        });
+
+        memoized('foo');
+
+        version = 2;
+
+        clock.advance(800);
+
+        expect(memoized('foo')).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(memoized('foo')).toBe('foo v2');
+
+        clock.advance(200);
+
+        expect(store.size).toBe(1);
+
+        clock.advance(800);
+
+        expect(store.size).toBe(0);
+    });
+});
@@ -0,0 +1,223 @@
+import moize from '../src';
+import { ManualClock } from '../src/types';
+
+let clock: ManualClock;
+let failures: number;
+
+const fetchUser = jest.fn((id: string) =>
+    failures-- > 0
+        ? Promise.reject(new Error(`failed ${id}`))
+        : Promise.resolve(`user ${id}`)
+);
+
+function flushPromises() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('moize.retries', () => {
+    beforeEach(() => {
+        clock = moize.createManualClock();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    it('should retry the promise until it resolves', async () => {
+        failures = 2;
+
+        const memoized = moize(fetchUser, { isPromise: true, retries: 3 });
+
+        const result = memoized('foo');
+
+        expect(memoized('foo')).toBe(result);
+        expect(await result).toBe('user foo');
+        expect(fetchUser).toHaveBeenCalledTimes(3);
+        expect(memoized.keys()).toEqual([['foo']]);
+    });
+
+    it('should remove the entry once the last retry rejects', async () => {
+        failures = 5;
+
+        const onPromiseReject = jest.fn();
+        const memoized = moize(fetchUser, {
+            isPromise: true,
+            onPromiseReject,
+            retries: 2,
+        });
+
+        await expect(memoized('foo')).rejects.toThrow('failed foo');
+
+        expect(fetchUser).toHaveBeenCalledTimes(3);
+        expect(onPromiseReject).toHaveBeenCalledTimes(1);
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should wait the retryDelay between attempts', async () => {
+        failures = 2;
+
+        const memoized = moize(fetchUser, {
+            clock,
+            isPromise: true,
+            retries: 2,
+            retryDelay: 100,
+        });
+
+        const result = memoized('foo');
+
+        await flushPromises();
+
+        expect(fetchUser).toHaveBeenCalledTimes(1);
+
+        clock.advance(99);
+
+        await flushPromises();
+
+        expect(fetchUser).toHaveBeenCalledTimes(1);
+
+        clock.advance(1);
+
+        await flushPromises();
+
+        expect(fetchUser).toHaveBeenCalledTimes(2);
+
+        clock.advance(100);
+
+        expect(await result).toBe('user foo');
+        expect(fetchUser).toHaveBeenCalledTimes(3);
+    });
+
+    it('should double the retryDelay with each attempt when the backoff is exponential', async () => {
+        failures = 2;
+
+        const memoized = moize(fetchUser, {
+            clock,
+            isPromise: true,
+            retries: 2,
+            retryBackoff: 'exponential',
+            retryDelay: 100,
+        });
+
+        // randomized to three quarters of the delay
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+        const result = memoized('foo');
+
+        await flushPromises();
+
+        clock.advance(74);
+
+        await flushPromises();
+
+        expect(fetchUser).toHaveBeenCalledTimes(1);
+
+        clock.advance(1);
+
+        await flushPromises();
+
+        expect(fetchUser).toHaveBeenCalledTimes(2);
+
+        clock.advance(149);
+
+        await flushPromises();
+
+        expect(fetchUser).toHaveBeenCalledTimes(2);
+
+        clock.advance(1);
+
+        expect(await result).toBe('user foo');
+        expect(fetchUser).toHaveBeenCalledTimes(3);
+    });
+
+    it('should compute the retryDelay when it is a method', async () => {
+        failures = 1;
+
+        const retryDelay = jest.fn(() => 500);
+        const memoized = moize(fetchUser, {
+            clock,
+            isPromise: true,
+            retries: 1,
+            retryDelay,
+        });
+
+        const result = memoized('foo');
+
+        await flushPromises();
+
+        expect(retryDelay).toHaveBeenCalledWith(1, new Error('failed foo'));
+
+        clock.advance(500);
+
+        expect(await result).toBe('user foo');
+    });
+
+    it('should reject attempts that do not settle within the promiseTimeout', async () => {
+        const memoized = moize((id: string) => new Promise(() => id), {
+            clock,
+            isPromise: true,
+            promiseTimeout: 1000,
+        });
+
+        const result = memoized('foo');
+
+        clock.advance(1000);
+
+        await expect(result).rejects.toThrow(
+            'The promise did not settle within 1000ms.'
+        );
+        await expect(result).rejects.toHaveProperty('name', 'TimeoutError');
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should retry attempts that time out', async () => {
+        let attempts = 0;
+
+        const memoized = moize(
+            (id: string) =>
+                ++attempts > 1
+                    ? Promise.resolve(`user ${id}`)
+                    : new Promise(() => id),
+            {
+                clock,
+                isPromise: true,
+                promiseTimeout: 1000,
+                retries: 1,
+            }
+        );
+
+        const result = memoized('foo');
+
+        clock.advance(1000);
+
+        expect(await result).toBe('user foo');
+        expect(attempts).toBe(2);
+    });
+
+    it('should not retry once every caller has aborted', async () => {
+        const fetchAbortable = jest.fn(
+            (id: string, signal: AbortSignal) =>
+                new Promise((resolve, reject) => {
+                    signal.addEventListener('abort', () =>
+                        reject(new Error(`aborted ${id}`))
+                    );
+                })
+        );
+
+        const memoized = moize(fetchAbortable, {
+            isAbortable: true,
+            isPromise: true,
+            retries: 3,
+        });
+        const controller = new AbortController();
+
+        const result = memoized('foo', controller.signal);
+
+        controller.abort();
+
+        await expect(result).rejects.toThrow('aborted foo');
+
+        expect(fetchAbortable).toHaveBeenCalledTimes(1);
+    });
+});
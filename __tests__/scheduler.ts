@@ -0,0 +1,265 @@
+import moize from '../src';
+import { createScheduler } from '../src/scheduler';
+import { Expiration, ManualClock } from '../src/types';
+
+let clock: ManualClock;
+let timeoutIds: Set<number>;
+
+function createClock() {
+    const manualClock = moize.createManualClock();
+    const { clearTimeout, setTimeout } = manualClock;
+
+    // the timeouts are tracked so that the number of timers active can be checked
+    timeoutIds = new Set();
+
+    manualClock.clearTimeout = (timeoutId: number) => {
+        timeoutIds.delete(timeoutId);
+        clearTimeout(timeoutId);
+    };
+
+    manualClock.setTimeout = (callback: () => void, delay: number) => {
+        const timeoutId = setTimeout(() => {
+            timeoutIds.delete(timeoutId);
+            callback();
+        }, delay);
+
+        timeoutIds.add(timeoutId);
+
+        return timeoutId;
+    };
+
+    return manualClock;
+}
+
+function createExpiration(expiresAt: number): Expiration {
+    return {
+        createdAt: undefined,
+        expirationMethod: jest.fn(),
+        expiresAt,
+        key: [expiresAt],
+        maxAge: undefined,
+    };
+}
+
+describe('scheduler', () => {
+    beforeEach(() => {
+        clock = createClock();
+    });
+
+    it('should fire expirations in order with a single active timer', () => {
+        const scheduler = createScheduler(clock);
+        const now = clock.now();
+        const fired: number[] = [];
+
+        const expirations = [300, 100, 200].map((offset) => {
+            const expiration = createExpiration(now + offset);
+
+            expiration.expirationMethod = () => fired.push(offset);
+
+            scheduler.schedule(expiration);
+
+            return expiration;
+        });
+
+        expect(timeoutIds.size).toBe(1);
+
+        clock.advance(150);
+
+        expect(fired).toEqual([100]);
+        expect(timeoutIds.size).toBe(1);
+
+        clock.advance(150);
+
+        expect(fired).toEqual([100, 200, 300]);
+        expect(timeoutIds.size).toBe(0);
+        expect(expirations.length).toBe(3);
+    });
+
+    it('should not fire cancelled expirations', () => {
+        const scheduler = createScheduler(clock);
+        const expiration = createExpiration(clock.now() + 100);
+
+        scheduler.schedule(expiration);
+        scheduler.cancel(expiration);
+
+        clock.advance(100);
+
+        expect(expiration.expirationMethod).not.toHaveBeenCalled();
+    });
+
+    it('should requeue expirations moved to a later time', () => {
+        const scheduler = createScheduler(clock);
+        const expiration = createExpiration(clock.now() + 100);
+
+        scheduler.schedule(expiration);
+
+        clock.advance(50);
+
+        expiration.expiresAt = clock.now() + 100;
+
+        scheduler.schedule(expiration);
+
+        clock.advance(50);
+
+        expect(expiration.expirationMethod).not.toHaveBeenCalled();
+
+        clock.advance(50);
+
+        expect(expiration.expirationMethod).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fire expirations moved to an earlier time', () => {
+        const scheduler = createScheduler(clock);
+        const expiration = createExpiration(clock.now() + 1000);
+
+        scheduler.schedule(expiration);
+
+        expiration.expiresAt = clock.now() + 100;
+
+        scheduler.schedule(expiration);
+
+        clock.advance(100);
+
+        expect(expiration.expirationMethod).toHaveBeenCalledTimes(1);
+
+        clock.advance(1000);
+
+        expect(expiration.expirationMethod).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drop cancelled expirations once they outnumber the active ones', () => {
+        const scheduler = createScheduler(clock);
+        const now = clock.now();
+        const active = createExpiration(now + 100);
+
+        scheduler.schedule(active);
+
+        for (let index = 0; index < 100; index++) {
+            const expiration = createExpiration(now + 50);
+
+            scheduler.schedule(expiration);
+            scheduler.cancel(expiration);
+        }
+
+        clock.advance(100);
+
+        expect(active.expirationMethod).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fire the other expirations when one of them throws', () => {
+        const scheduler = createScheduler(clock);
+        const failing = createExpiration(clock.now() + 100);
+        const expiration = createExpiration(clock.now() + 100);
+        const later = createExpiration(clock.now() + 200);
+
+        failing.expirationMethod = () => {
+            throw new Error('boom');
+        };
+
+        scheduler.schedule(failing);
+        scheduler.schedule(expiration);
+        scheduler.schedule(later);
+
+        expect(() => clock.advance(100)).toThrow('boom');
+        expect(expiration.expirationMethod).toHaveBeenCalledTimes(1);
+        expect(timeoutIds.size).toBe(1);
+
+        clock.advance(100);
+
+        expect(later.expirationMethod).toHaveBeenCalledTimes(1);
+    });
+
+    it('should expire the entries of other moized functions when onExpire throws', () => {
+        const failing = moize((value: number) => value, {
+            clock,
+            maxAge: 50,
+            onExpire() {
+                throw new Error('boom');
+            },
+        });
+        const memoized = moize((value: number) => value, {
+            clock,
+            maxAge: 50,
+        });
+
+        failing(1);
+        memoized(1);
+
+        expect(() => clock.advance(50)).toThrow('boom');
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should step through delays beyond the maximum of timers', () => {
+        const scheduler = createScheduler(clock);
+        const expiration = createExpiration(clock.now() + 2147483647 + 100);
+        const setTimeoutSpy = jest.spyOn(clock, 'setTimeout');
+
+        scheduler.schedule(expiration);
+
+        expect(setTimeoutSpy).toHaveBeenLastCalledWith(
+            expect.any(Function),
+            2147483647
+        );
+
+        clock.advance(2147483647);
+
+        expect(expiration.expirationMethod).not.toHaveBeenCalled();
+        expect(setTimeoutSpy).toHaveBeenLastCalledWith(
+            expect.any(Function),
+            100
+        );
+
+        clock.advance(100);
+
+        expect(expiration.expirationMethod).toHaveBeenCalledTimes(1);
+    });
+
+    it('should schedule expirations of moized functions with a single timer', () => {
+        const memoized = moize((value: number) => value, {
+            clock,
+            maxAge: 1000,
+            maxSize: Infinity,
+            updateExpire: true,
+        });
+
+        for (let index = 0; index < 100; index++) {
+            memoized(index);
+        }
+
+        expect(timeoutIds.size).toBe(1);
+
+        clock.advance(500);
+
+        memoized(99);
+
+        clock.advance(500);
+
+        expect(memoized.keys()).toEqual([[99]]);
+        expect(timeoutIds.size).toBe(1);
+
+        clock.advance(500);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should keep the entry when onExpire returns false', () => {
+        const onExpire = jest.fn().mockReturnValueOnce(false);
+        const memoized = moize((value: number) => value, {
+            clock,
+            maxAge: 1000,
+            onExpire,
+        });
+
+        memoized(1);
+
+        clock.advance(1000);
+
+        expect(onExpire).toHaveBeenCalledTimes(1);
+        expect(memoized.keys()).toEqual([[1]]);
+
+        clock.advance(1000);
+
+        expect(onExpire).toHaveBeenCalledTimes(2);
+        expect(memoized.keys()).toEqual([]);
+    });
+});
@@ -0,0 +1,137 @@
+import moize from '../src';
+import { sharedCaches } from '../src/shared';
+
+const foo = jest.fn((value: string) => `foo ${value}`);
+const bar = jest.fn((value: string) => `bar ${value}`);
+
+describe('moize.createCache', () => {
+    afterEach(() => {
+        Object.keys(sharedCaches).forEach((name) => {
+            delete sharedCaches[name];
+        });
+
+        jest.clearAllMocks();
+    });
+
+    it('should share the capacity of the cache across functions', () => {
+        const sharedCache = moize.createCache({ maxSize: 3, name: 'shared' });
+
+        const memoizedFoo = moize(foo, { cacheName: 'shared' });
+        const memoizedBar = moize(bar, { cacheName: 'shared' });
+
+        memoizedFoo('a');
+        memoizedBar('a');
+        memoizedFoo('b');
+
+        expect(sharedCache.size).toBe(3);
+        expect(memoizedFoo('a')).toBe('foo a');
+        expect(memoizedBar('a')).toBe('bar a');
+
+        expect(foo).toHaveBeenCalledTimes(2);
+        expect(bar).toHaveBeenCalledTimes(1);
+
+        memoizedBar('b');
+
+        expect(sharedCache.size).toBe(3);
+        expect(memoizedFoo.keys()).toEqual([['a']]);
+        expect(memoizedBar.keys()).toEqual([['b'], ['a']]);
+        expect(memoizedBar.cache.size).toBe(2);
+    });
+
+    it('should namespace the keys of each function', () => {
+        const sharedCache = moize.createCache({ name: 'shared' });
+
+        const memoizedFoo = moize(foo, { cacheName: 'shared' });
+        const memoizedOtherFoo = moize(foo, { cacheName: 'shared' });
+
+        expect(memoizedFoo('a')).toBe('foo a');
+        expect(memoizedOtherFoo('a')).toBe('foo a');
+
+        expect(foo).toHaveBeenCalledTimes(2);
+        expect(sharedCache.size).toBe(2);
+        expect(sharedCache.maxSize).toBe(Infinity);
+    });
+
+    it('should clear the entries of the function or of the shared cache', () => {
+        const sharedCache = moize.createCache({ maxSize: 10, name: 'shared' });
+
+        const memoizedFoo = moize(foo, { cacheName: 'shared' });
+        const memoizedBar = moize(bar, { cacheName: 'shared' });
+
+        memoizedFoo('a');
+        memoizedFoo('b');
+        memoizedBar('a');
+
+        memoizedFoo.clear();
+
+        expect(memoizedFoo.keys()).toEqual([]);
+        expect(memoizedBar.keys()).toEqual([['a']]);
+        expect(sharedCache.size).toBe(1);
+
+        sharedCache.clear();
+
+        expect(memoizedBar.keys()).toEqual([]);
+        expect(sharedCache.size).toBe(0);
+    });
+
+    it('should collect stats for the shared cache and each function', () => {
+        moize.collectStats();
+
+        const sharedCache = moize.createCache({ maxSize: 10, name: 'shared' });
+
+        const memoizedFoo = moize(foo, {
+            cacheName: 'shared',
+            profileName: 'foo',
+        });
+        const memoizedBar = moize(bar, {
+            cacheName: 'shared',
+            profileName: 'bar',
+        });
+
+        memoizedFoo('a');
+        memoizedFoo('a');
+        memoizedBar('a');
+        memoizedBar('b');
+
+        expect(memoizedFoo.getStats()).toEqual({
+            calls: 2,
+            hits: 1,
+            usage: '50.0000%',
+        });
+        expect(sharedCache.getStats()).toEqual({
+            calls: 4,
+            hits: 1,
+            usage: '25.0000%',
+        });
+
+        moize.collectStats(false);
+        moize.clearStats();
+    });
+
+    it('should create the named cache with the maxSize of the first function', () => {
+        const memoizedFoo = moize(foo, { cacheName: 'shared', maxSize: 2 });
+        const memoizedBar = moize(bar, { cacheName: 'shared', maxSize: 5 });
+
+        expect(sharedCaches.shared.maxSize).toBe(2);
+
+        memoizedFoo('a');
+        memoizedBar('a');
+        memoizedBar('b');
+
+        expect(memoizedFoo.keys()).toEqual([]);
+        expect(sharedCaches.shared.size).toBe(2);
+    });
+
+    it('should name the cache when a name is not provided', () => {
+        const sharedCache = moize.createCache();
+
+        expect(sharedCache.name).toMatch(/^Anonymous cache \d+$/);
+        expect(sharedCaches[sharedCache.name]).toBe(sharedCache);
+
+        const memoizedFoo = moize(foo, { cacheName: sharedCache.name });
+
+        memoizedFoo('a');
+
+        expect(sharedCache.size).toBe(1);
+    });
+});
@@ -0,0 +1,339 @@
+import moize from '../src';
+import { ManualClock } from '../src/types';
+
+let clock: ManualClock;
+let version: number;
+
+const fetchResource = jest.fn((id: string) =>
+    id === 'fail' && version > 1
+        ? Promise.reject(new Error('boom'))
+        : Promise.resolve(`${id} v${version}`)
+);
+
+function flushPromises() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('moize.staleWhileRevalidate', () => {
+    beforeEach(() => {
+        clock = moize.createManualClock();
+        version = 1;
+    });
+
+    afterEach(jest.clearAllMocks);
+
+    it('should serve the stale value while a single refresh runs', async () => {
+        const onRefresh = jest.fn();
+        const memoized = moize(fetchResource, {
+            clock,
+            isPromise: true,
+            maxAge: 1000,
+            onRefresh,
+            staleWhileRevalidate: 5000,
+        });
+
+        expect(await memoized('foo')).toBe('foo v1');
+
+        version = 2;
+
+        clock.advance(1000);
+
+        expect(memoized.keys()).toEqual([['foo']]);
+        expect(memoized.expirations[0].isStale).toBe(true);
+
+        const stale = [memoized('foo'), memoized('foo')];
+
+        expect(await Promise.all(stale)).toEqual(['foo v1', 'foo v1']);
+        expect(fetchResource).toHaveBeenCalledTimes(2);
+
+        await flushPromises();
+
+        expect(onRefresh).toHaveBeenCalledWith(['foo'], 'foo v2');
+        expect(memoized.expirations[0].isStale).toBe(false);
+        expect(await memoized('foo')).toBe('foo v2');
+        expect(fetchResource).toHaveBeenCalledTimes(2);
+
+        clock.advance(999);
+
+        expect(memoized.expirations[0].isStale).toBe(false);
+
+        clock.advance(1);
+
+        expect(memoized.expirations[0].isStale).toBe(true);
+    });
+
+    it('should refresh with the arguments rather than the key in cache', async () => {
+        const fetchUser = jest.fn((user: { id: string }) =>
+            Promise.resolve(`${user.id} v${version}`)
+        );
+        const memoized = moize(fetchUser, {
+            clock,
+            isPromise: true,
+            isSerialized: true,
+            maxAge: 1000,
+            maxSize: 2,
+            staleWhileRevalidate: 5000,
+        });
+
+        await memoized({ id: 'foo' });
+
+        memoized.set([{ id: 'bar' }], Promise.resolve('bar v1'));
+
+        version = 2;
+
+        clock.advance(1000);
+
+        expect(await memoized({ id: 'foo' })).toBe('foo v1');
+        expect(await memoized({ id: 'bar' })).toBe('bar v1');
+
+        await flushPromises();
+
+        expect(fetchUser.mock.calls).toEqual([
+            [{ id: 'foo' }],
+            [{ id: 'foo' }],
+            [{ id: 'bar' }],
+        ]);
+        expect(await memoized({ id: 'foo' })).toBe('foo v2');
+        expect(await memoized({ id: 'bar' })).toBe('bar v2');
+    });
+
+    it('should refresh entries in a store with the arguments rather than the key', async () => {
+        const memoized = moize(fetchResource, {
+            clock,
+            isPromise: true,
+            maxAge: 1000,
+            staleWhileRevalidate: 5000,
+            store: new Map(),
+            transformArgs: ([id]: string[]) => [id.toUpperCase()],
+        });
+
+        await memoized('foo');
+
+        version = 2;
+
+        clock.advance(1000);
+
+        expect(await memoized('foo')).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(fetchResource).toHaveBeenLastCalledWith('foo');
+        expect(await memoized('foo')).toBe('foo v2');
+    });
+
+    it('should keep the stale value when the refresh fails', async () => {
+        const onRefreshError = jest.fn();
+        const memoized = moize(fetchResource, {
+            clock,
+            isPromise: true,
+            maxAge: 1000,
+            onRefreshError,
+            staleWhileRevalidate: 5000,
+        });
+
+        await memoized('fail');
+
+        version = 2;
+
+        clock.advance(1000);
+
+        expect(await memoized('fail')).toBe('fail v1');
+
+        await flushPromises();
+
+        expect(onRefreshError).toHaveBeenCalledWith(
+            ['fail'],
+            new Error('boom')
+        );
+        expect(await memoized('fail')).toBe('fail v1');
+
+        await flushPromises();
+
+        expect(fetchResource).toHaveBeenCalledTimes(3);
+        expect(onRefreshError).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry the refresh the same way as calls', async () => {
+        const onRefresh = jest.fn();
+        const memoized = moize(fetchResource, {
+            clock,
+            isPromise: true,
+            maxAge: 1000,
+            onRefresh,
+            retries: 1,
+            staleWhileRevalidate: 5000,
+        });
+
+        await memoized('fail');
+
+        version = 2;
+
+        clock.advance(1000);
+
+        fetchResource.mockImplementationOnce(() =>
+            Promise.reject(new Error('boom'))
+        );
+
+        expect(await memoized('fail')).toBe('fail v1');
+
+        version = 1;
+
+        await flushPromises();
+
+        expect(fetchResource).toHaveBeenCalledTimes(3);
+        expect(onRefresh).toHaveBeenCalledWith(['fail'], 'fail v1');
+    });
+
+    it('should stop refreshing once the promiseTimeout has passed', async () => {
+        const onRefreshError = jest.fn();
+        const memoized = moize(fetchResource, {
+            clock,
+            isPromise: true,
+            maxAge: 1000,
+            onRefreshError,
+            promiseTimeout: 100,
+            staleWhileRevalidate: 5000,
+        });
+
+        await memoized('foo');
+
+        clock.advance(1000);
+
+        fetchResource.mockImplementationOnce(() => new Promise(() => {}));
+
+        expect(await memoized('foo')).toBe('foo v1');
+
+        await flushPromises();
+
+        clock.advance(100);
+
+        await flushPromises();
+
+        expect(onRefreshError).toHaveBeenCalledWith(
+            ['foo'],
+            expect.objectContaining({ name: 'TimeoutError' })
+        );
+
+        version = 2;
+
+        await memoized('foo');
+        await flushPromises();
+
+        expect(await memoized('foo')).toBe('foo v2');
+    });
+
+    it('should remove the entry once the stale window has passed', async () => {
+        const onExpire = jest.fn();
+        const onRefresh = jest.fn();
+        const memoized = moize(fetchResource, {
+            clock,
+            isPromise: true,
+            maxAge: 1000,
+            onExpire,
+            onRefresh,
+            staleWhileRevalidate: 500,
+            updateExpire: true,
+        });
+
+        await memoized('foo');
+
+        clock.advance(1000);
+
+        expect(onExpire).not.toHaveBeenCalled();
+
+        clock.advance(250);
+
+        const stale = memoized('foo');
+
+        clock.advance(250);
+
+        expect(onExpire).toHaveBeenCalledWith(['foo'], 'maxAge');
+        expect(memoized.keys()).toEqual([]);
+
+        expect(await stale).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(onRefresh).not.toHaveBeenCalled();
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should not serve stale values of functions that are not promises', () => {
+        const memoized = moize((id: string) => id, {
+            clock,
+            maxAge: 1000,
+            staleWhileRevalidate: 5000,
+        });
+
+        memoized('foo');
+
+        clock.advance(1000);
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should serve stale values when expiring lazily', async () => {
+        const memoized = moize(fetchResource, {
+            clock,
+            expirationMode: 'lazy',
+            isPromise: true,
+            maxAge: 1000,
+            staleWhileRevalidate: 5000,
+        });
+
+        await memoized('foo');
+
+        version = 2;
+        clock.advance(1000);
+
+        expect(await memoized('foo')).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(await memoized('foo')).toBe('foo v2');
+
+        clock.advance(1000);
+
+        memoized.prune();
+
+        expect(memoized.expirations[0].isStale).toBe(true);
+
+        clock.advance(5000);
+
+        memoized.prune();
+
+        expect(memoized.keys()).toEqual([]);
+    });
+
+    it('should serve stale values of entries in a store', async () => {
+        const store = new Map();
+        const onRefresh = jest.fn();
+        const memoized = moize(fetchResource, {
+            clock,
+            isPromise: true,
+            maxAge: 1000,
+            onRefresh,
+            staleWhileRevalidate: 5000,
+            store,
+        });
+
+        await memoized('foo');
+
+        version = 2;
+
+        clock.advance(1000);
+
+        expect(store.size).toBe(1);
+        expect(await memoized('foo')).toBe('foo v1');
+
+        await flushPromises();
+
+        expect(onRefresh).toHaveBeenCalledWith(['foo'], 'foo v2');
+        expect(await memoized('foo')).toBe('foo v2');
+        expect(fetchResource).toHaveBeenCalledTimes(2);
+
+        clock.advance(6000);
+
+        expect(store.size).toBe(0);
+    });
+});
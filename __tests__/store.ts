@@ -0,0 +1,285 @@
+import moize from '../src';
+import { getStoreKey } from '../src/store';
+import { Store, StoreEntry } from '../src/types';
+
+const method = jest.fn(function (one: any, two?: any) {
+    return { one, two };
+});
+
+function createArrayStore() {
+    let entries: [string, StoreEntry][] = [];
+
+    const store: Store = {
+        clear: jest.fn(() => {
+            entries = [];
+        }),
+        delete: jest.fn((storeKey: string) => {
+            entries = entries.filter(([key]) => key !== storeKey);
+        }),
+        entries: () => entries,
+        get: jest.fn((storeKey: string) => {
+            const entry = entries.find(([key]) => key === storeKey);
+
+            return entry && entry[1];
+        }),
+        set: jest.fn((storeKey: string, entry: StoreEntry) => {
+            entries = [
+                [storeKey, entry],
+                ...entries.filter(([key]) => key !== storeKey),
+            ];
+        }),
+        size: () => entries.length,
+    };
+
+    return store;
+}
+
+describe('moize.store', () => {
+    afterEach(jest.clearAllMocks);
+
+    it('should hold the entries in a Map used as the store', () => {
+        const store = new Map();
+        const memoized = moize(method, { store });
+        const object = { foo: 'bar' };
+
+        memoized('foo', object);
+        memoized('foo', object);
+        memoized('foo', { foo: 'bar' });
+
+        expect(method).toHaveBeenCalledTimes(2);
+        expect(store.size).toBe(2);
+        expect(store.get(getStoreKey(['foo', object]))).toEqual({
+            key: ['foo', object],
+            value: { one: 'foo', two: object },
+        });
+
+        expect(memoized.cache.size).toBe(2);
+        expect(memoized.keys()).toEqual([
+            ['foo', object],
+            ['foo', { foo: 'bar' }],
+        ]);
+    });
+
+    it('should hold the entries in a custom store', () => {
+        const store = createArrayStore();
+        const memoized = moize(method, { maxSize: 1, store });
+
+        memoized('foo');
+        memoized('bar');
+        memoized('foo');
+
+        expect(method).toHaveBeenCalledTimes(2);
+        expect(store.set).toHaveBeenCalledTimes(2);
+        expect(memoized.cache.size).toBe(2);
+        expect(memoized.keys()).toEqual([['bar'], ['foo']]);
+        expect(memoized.values()).toEqual([{ one: 'bar' }, { one: 'foo' }]);
+    });
+
+    it('should encode keys so that arguments are compared with SameValueZero', () => {
+        const keys = [
+            [NaN],
+            [0],
+            ['0'],
+            [true],
+            ['t'],
+            [undefined],
+            [null],
+            [{}],
+            [Symbol('foo')],
+            ['a', 'b'],
+            ['a:b'],
+            [],
+        ];
+
+        const storeKeys = keys.map(getStoreKey);
+
+        expect(new Set(storeKeys).size).toBe(keys.length);
+
+        expect(getStoreKey([NaN])).toBe(getStoreKey([NaN]));
+        expect(getStoreKey([0])).toBe(getStoreKey([-0]));
+
+        const object = {};
+
+        expect(getStoreKey([object])).toBe(getStoreKey([object]));
+        expect(getStoreKey([method])).toBe(getStoreKey([method]));
+    });
+
+    it('should apply maxArgs and transformArgs to the key', () => {
+        const store = new Map();
+        const memoized = moize(method, {
+            maxArgs: 1,
+            store,
+            transformArgs: (args: any[]) => args.map(String),
+        });
+
+        memoized(1, 'foo');
+        memoized('1', 'bar');
+
+        expect(method).toHaveBeenCalledTimes(1);
+        expect(memoized.keys()).toEqual([['1']]);
+    });
+
+    it('should expire entries based on maxAge', () => {
+        const clock = moize.createManualClock();
+        const store = new Map();
+        const onExpire = jest.fn();
+        const memoized = moize(method, {
+            clock,
+            maxAge: 1000,
+            onExpire,
+            store,
+            updateExpire: true,
+        });
+
+        memoized('foo');
+
+        expect(memoized.expirations.length).toBe(1);
+
+        clock.advance(800);
+
+        memoized('foo');
+
+        clock.advance(800);
+
+        expect(store.size).toBe(1);
+
+        clock.advance(200);
+
+        expect(store.size).toBe(0);
+        expect(memoized.expirations.length).toBe(0);
+        expect(onExpire).toHaveBeenCalledWith(['foo'], 'maxAge');
+    });
+
+    it('should keep the entry when onExpire returns false', () => {
+        const clock = moize.createManualClock();
+        const store = new Map();
+        const onExpire = jest.fn().mockReturnValueOnce(false);
+        const memoized = moize(method, {
+            clock,
+            maxAge: 1000,
+            onExpire,
+            store,
+        });
+
+        memoized('foo');
+
+        memoized.set(['foo'], 'value');
+
+        clock.advance(1000);
+
+        expect(onExpire).toHaveBeenCalledTimes(1);
+        expect(memoized.get(['foo'])).toBe('value');
+
+        clock.advance(1000);
+
+        expect(onExpire).toHaveBeenCalledTimes(2);
+        expect(memoized.has(['foo'])).toBe(false);
+    });
+
+    it('should collect stats and fire the hooks', () => {
+        moize.collectStats();
+
+        const onCacheAdd = jest.fn();
+        const onCacheChange = jest.fn();
+        const onCacheHit = jest.fn();
+
+        const memoized = moize(method, {
+            onCacheAdd,
+            onCacheChange,
+            onCacheHit,
+            profileName: 'store',
+            store: createArrayStore(),
+        });
+
+        memoized('foo');
+        memoized('foo');
+        memoized('bar');
+
+        expect(memoized.getStats()).toEqual({
+            calls: 3,
+            hits: 1,
+            usage: '33.3333%',
+        });
+
+        expect(onCacheAdd).toHaveBeenCalledTimes(2);
+        expect(onCacheChange).toHaveBeenCalledTimes(2);
+        expect(onCacheHit).toHaveBeenCalledTimes(1);
+        expect(onCacheHit).toHaveBeenCalledWith(
+            memoized.cache,
+            memoized.options,
+            memoized
+        );
+
+        moize.collectStats(false);
+        moize.clearStats();
+    });
+
+    it('should remove the entry when the promise rejects', async () => {
+        const store = new Map();
+        const error = new Error('boom');
+        const memoized = moize(
+            (value: string) =>
+                value === 'fail'
+                    ? Promise.reject(error)
+                    : Promise.resolve(value),
+            { isPromise: true, store }
+        );
+
+        await expect(memoized('foo')).resolves.toBe('foo');
+        await expect(memoized('fail')).rejects.toBe(error);
+
+        expect(memoized.keys()).toEqual([['foo']]);
+    });
+
+    it('should handle the instance methods', () => {
+        const store = createArrayStore();
+        const onCacheChange = jest.fn();
+        const memoized = moize(method, { onCacheChange, store });
+
+        memoized('foo');
+
+        memoized.set(['bar'], 'value');
+
+        expect(memoized.has(['bar'])).toBe(true);
+        expect(memoized.get(['bar'])).toBe('value');
+
+        memoized.set(['foo'], 'other value');
+
+        expect(memoized('foo')).toBe('other value');
+        expect(memoized.values()).toEqual(['other value', 'value']);
+
+        expect(memoized.remove(['foo'])).toBe(true);
+        expect(memoized.remove(['foo'])).toBe(false);
+        expect(memoized.has(['foo'])).toBe(false);
+        expect(store.delete).toHaveBeenCalledTimes(1);
+
+        memoized.clear();
+
+        expect(store.clear).toHaveBeenCalledTimes(1);
+        expect(memoized.has(['bar'])).toBe(false);
+        expect(onCacheChange).toHaveBeenCalledTimes(5);
+
+        memoized('foo');
+
+        expect(method).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not apply the options that limit the size of cache', () => {
+        const store = new Map();
+        const memoized = moize(method, {
+            evictionPolicy: 'lfu',
+            isHashed: true,
+            isTrie: true,
+            maxSize: 1,
+            maxWeight: 1,
+            store,
+        });
+
+        memoized('foo');
+        memoized('bar');
+        memoized('baz');
+
+        expect(store.size).toBe(3);
+        expect(memoized.cache.size).toBe(3);
+    });
+});
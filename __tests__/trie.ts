@@ -0,0 +1,240 @@
+import moize from '../src';
+import {
+    addTrieKey,
+    createArgumentTrie,
+    createFindTrieKeyIndex,
+    getTrieNode,
+    removeTrieKey,
+} from '../src/trie';
+import { RecencyNode } from '../src/types';
+
+const method = jest.fn(function (one: any, two?: any, three?: any, four?: any) {
+    return [one, two, three, four];
+});
+
+describe('moize.isTrie', () => {
+    afterEach(jest.clearAllMocks);
+
+    it('should memoize multiple-argument keys based on the trie', () => {
+        const memoized = moize(method, { isTrie: true, maxSize: Infinity });
+        const object = { foo: 'bar' };
+
+        for (let index = 0; index < 100; index++) {
+            memoized(index, `${index}`, object, index % 2 === 0);
+        }
+
+        expect(method).toHaveBeenCalledTimes(100);
+
+        method.mockClear();
+
+        for (let index = 0; index < 100; index++) {
+            expect(
+                memoized(index, `${index}`, object, index % 2 === 0)
+            ).toEqual([index, `${index}`, object, index % 2 === 0]);
+        }
+
+        expect(method).not.toHaveBeenCalled();
+
+        expect(memoized.cache.keys[0]).toEqual([99, '99', object, false]);
+        expect(memoized.cache.size).toBe(100);
+    });
+
+    it('should compare arguments with SameValueZero equality', () => {
+        const memoized = moize(method, { isTrie: true, maxSize: 10 });
+
+        memoized(NaN, 0);
+        memoized(NaN, -0);
+        memoized(1, '1');
+        memoized('1', 1);
+        memoized({ foo: 'bar' });
+        memoized({ foo: 'bar' });
+
+        expect(method).toHaveBeenCalledTimes(5);
+    });
+
+    it('should distinguish keys that are prefixes of one another', () => {
+        const memoized = moize(method, { isTrie: true, maxSize: 10 });
+
+        memoized('foo');
+        memoized('foo', 'bar');
+        memoized('foo', 'bar', undefined);
+        memoized('foo');
+
+        expect(method).toHaveBeenCalledTimes(3);
+    });
+
+    it('should evict the least-recently-used entry', () => {
+        const memoized = moize(method, { isTrie: true, maxSize: 2 });
+
+        memoized('foo', 'bar');
+        memoized('bar', 'baz');
+        memoized('foo', 'bar');
+        memoized('baz', 'quz');
+
+        expect(memoized.keys()).toEqual([
+            ['baz', 'quz'],
+            ['foo', 'bar'],
+        ]);
+
+        memoized('bar', 'baz');
+
+        expect(method).toHaveBeenCalledTimes(4);
+    });
+
+    it('should apply maxArgs and transformArgs', () => {
+        const memoized = moize(method, {
+            isTrie: true,
+            maxArgs: 2,
+            maxSize: 10,
+            transformArgs: (args: any[]) => args.map(String),
+        });
+
+        memoized(1, 2, 3);
+        memoized('1', '2', 'other');
+
+        expect(method).toHaveBeenCalledTimes(1);
+        expect(memoized.keys()).toEqual([['1', '2']]);
+    });
+
+    it('should handle the instance methods', () => {
+        const memoized = moize(method, { isTrie: true, maxSize: 5 });
+
+        memoized('foo', 'bar', 'baz');
+
+        memoized.set(['bar', 'baz', 'quz'], 'value');
+
+        expect(memoized.has(['bar', 'baz', 'quz'])).toBe(true);
+        expect(memoized.get(['bar', 'baz', 'quz'])).toBe('value');
+
+        memoized.set(['foo', 'bar', 'baz'], 'other value');
+
+        expect(memoized.keys()).toEqual([
+            ['foo', 'bar', 'baz'],
+            ['bar', 'baz', 'quz'],
+        ]);
+        expect(memoized.values()).toEqual(['other value', 'value']);
+        expect(memoized('foo', 'bar', 'baz')).toBe('other value');
+
+        memoized.remove(['foo', 'bar', 'baz']);
+
+        expect(memoized.has(['foo', 'bar', 'baz'])).toBe(false);
+
+        memoized.clear();
+
+        expect(memoized.has(['bar', 'baz', 'quz'])).toBe(false);
+
+        memoized('foo', 'bar', 'baz');
+
+        expect(method).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep the same entries as comparing each key', () => {
+        const trie = moize(method, { isTrie: true, maxSize: 8 });
+        const unindexed = moize(method, { isHashed: false, maxSize: 8 });
+
+        let seed = 1;
+
+        for (let index = 0; index < 1000; index++) {
+            seed = (seed * 16807) % 2147483647;
+
+            const one = seed % 3;
+            const two = (seed >> 2) % 3;
+            const three = (seed >> 4) % 2;
+
+            if (seed % 5) {
+                trie(one, two, three);
+                unindexed(one, two, three);
+            } else {
+                trie.remove([one, two, three]);
+                unindexed.remove([one, two, three]);
+            }
+
+            expect(trie.keys()).toEqual(unindexed.keys());
+        }
+
+        expect(trie.values()).toEqual(unindexed.values());
+    });
+
+    it('should not be used with custom equality', () => {
+        const memoized = moize(method, {
+            isDeepEqual: true,
+            isTrie: true,
+            maxSize: 5,
+        });
+
+        memoized({ foo: 'bar' });
+        memoized({ foo: 'bar' });
+
+        expect(method).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('argument trie', () => {
+    it('should only create nodes when requested', () => {
+        const trie = createArgumentTrie();
+
+        expect(getTrieNode(trie, ['foo', 'bar'], false)).toBe(undefined);
+        expect(trie.root.children.size).toBe(0);
+
+        const node = getTrieNode(trie, ['foo', 'bar'], true);
+
+        expect(getTrieNode(trie, ['foo', 'bar'], false)).toBe(node);
+        expect(getTrieNode(trie, ['foo'], false)).not.toBe(node);
+        expect(trie.root.children.size).toBe(1);
+    });
+
+    it('should find the index of the entry of the key', () => {
+        const trie = createArgumentTrie();
+        const findKeyIndex = createFindTrieKeyIndex(trie);
+        const entry: RecencyNode = {
+            index: 1,
+            newer: undefined,
+            older: undefined,
+        };
+
+        addTrieKey(trie, ['foo', 'bar'], entry);
+
+        expect(findKeyIndex([], ['foo', 'bar'])).toBe(1);
+        expect(findKeyIndex([], ['foo'])).toBe(-1);
+
+        entry.index = 3;
+
+        expect(findKeyIndex([], ['foo', 'bar'])).toBe(3);
+    });
+
+    it('should remove keys and their branches once their entries are removed', () => {
+        const trie = createArgumentTrie();
+        const entry: RecencyNode = {
+            index: 0,
+            newer: undefined,
+            older: undefined,
+        };
+        const other: RecencyNode = {
+            index: 1,
+            newer: undefined,
+            older: undefined,
+        };
+
+        addTrieKey(trie, ['foo', 'bar', 'baz'], entry);
+        addTrieKey(trie, ['foo', 'quz'], other);
+
+        removeTrieKey(trie, ['foo', 'bar', 'baz']);
+
+        expect(getTrieNode(trie, ['foo', 'bar', 'baz'], false).entry).toBe(
+            entry
+        );
+
+        entry.index = -1;
+
+        removeTrieKey(trie, ['foo', 'bar', 'baz']);
+
+        expect(getTrieNode(trie, ['foo', 'bar'], false)).toBe(undefined);
+        expect(getTrieNode(trie, ['foo'], false).children.size).toBe(1);
+
+        other.index = -1;
+
+        removeTrieKey(trie, ['foo', 'quz']);
+
+        expect(trie.root.children.size).toBe(0);
+    });
+});
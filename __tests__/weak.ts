@@ -0,0 +1,348 @@
+import moize from '../src';
+
+const method = jest.fn(function (one: any, two?: any) {
+    return { one, two };
+});
+
+let references: FakeWeakRef[] = [];
+let registries: FakeFinalizationRegistry[] = [];
+
+class FakeWeakRef {
+    target: any;
+
+    constructor(target: any) {
+        this.target = target;
+
+        references.push(this);
+    }
+
+    deref() {
+        return this.target;
+    }
+}
+
+class FakeFinalizationRegistry {
+    cleanup: (heldValue: any) => void;
+    entries: { heldValue: any; target: any; unregisterToken: any }[] = [];
+
+    constructor(cleanup: (heldValue: any) => void) {
+        this.cleanup = cleanup;
+
+        registries.push(this);
+    }
+
+    register(target: any, heldValue: any, unregisterToken?: any) {
+        this.entries.push({ heldValue, target, unregisterToken });
+    }
+
+    unregister(unregisterToken: any) {
+        const { length } = this.entries;
+
+        this.entries = this.entries.filter(
+            (entry) => entry.unregisterToken !== unregisterToken
+        );
+
+        return this.entries.length !== length;
+    }
+}
+
+function collect(target: any) {
+    references.forEach((reference) => {
+        if (reference.target === target) {
+            reference.target = undefined;
+        }
+    });
+}
+
+function finalize(target: any) {
+    registries.forEach((registry) => {
+        registry.entries = registry.entries.filter((entry) => {
+            if (entry.target !== target) {
+                return true;
+            }
+
+            registry.cleanup(entry.heldValue);
+
+            return false;
+        });
+    });
+}
+
+describe('moize.isWeak', () => {
+    const { FinalizationRegistry, WeakRef } = global as any;
+
+    beforeEach(() => {
+        (global as any).FinalizationRegistry = FakeFinalizationRegistry;
+        (global as any).WeakRef = FakeWeakRef;
+    });
+
+    afterEach(() => {
+        (global as any).FinalizationRegistry = FinalizationRegistry;
+        (global as any).WeakRef = WeakRef;
+
+        references = [];
+        registries = [];
+
+        jest.clearAllMocks();
+    });
+
+    it('should hold object arguments weakly', () => {
+        const memoized = moize(method, { isWeak: true, maxSize: 5 });
+        const object = { foo: 'bar' };
+
+        memoized(object, 'baz');
+        memoized(object, 'baz');
+        memoized('quz');
+
+        expect(method).toHaveBeenCalledTimes(2);
+        expect(memoized.cache.keys[1][0]).toBeInstanceOf(FakeWeakRef);
+        expect(memoized.cache.keys[1][1]).toBe('baz');
+        expect(memoized.cache.keys[0]).toEqual(['quz']);
+
+        expect(memoized.keys()).toEqual([['quz'], [object, 'baz']]);
+        expect(memoized.keys()[1][0]).toBe(object);
+        expect(memoized.has([object, 'baz'])).toBe(true);
+        expect(memoized.get([object, 'baz'])).toEqual({
+            one: object,
+            two: 'baz',
+        });
+    });
+
+    it('should remove the entry when the argument is garbage-collected', () => {
+        const onCacheChange = jest.fn();
+
+        const memoized = moize(method, {
+            isWeak: true,
+            maxSize: 5,
+            onCacheChange,
+        });
+        const object = { foo: 'bar' };
+        const other = { bar: 'baz' };
+
+        memoized(object);
+        memoized(other);
+
+        onCacheChange.mockClear();
+
+        collect(object);
+
+        expect(memoized.keys()).toEqual([[other]]);
+        expect(memoized.values()).toEqual([{ one: other }]);
+        expect(memoized.cache.size).toBe(2);
+
+        finalize(object);
+
+        expect(memoized.cache.size).toBe(1);
+        expect(onCacheChange).toHaveBeenCalledTimes(1);
+        expect(onCacheChange).toHaveBeenCalledWith(
+            memoized.cache,
+            memoized.options,
+            memoized
+        );
+    });
+
+    it('should not match an entry whose argument has been garbage-collected', () => {
+        const memoized = moize(method, { isWeak: true, maxSize: 5 });
+        const object = { foo: 'bar' };
+
+        memoized(object);
+
+        collect(object);
+
+        expect(memoized.has([undefined])).toBe(false);
+
+        memoized(undefined);
+
+        expect(method).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not fire onCacheChange when the entry was already removed', () => {
+        const onCacheChange = jest.fn();
+
+        const memoized = moize(method, {
+            isWeak: true,
+            maxSize: 5,
+            onCacheChange,
+        });
+        const object = { foo: 'bar' };
+
+        memoized(object);
+        memoized.remove([object]);
+
+        onCacheChange.mockClear();
+
+        collect(object);
+        finalize(object);
+
+        expect(onCacheChange).not.toHaveBeenCalled();
+    });
+
+    it('should not mutate the key passed when setting entries', () => {
+        const memoized = moize(method, { isWeak: true, maxSize: 5 });
+        const object = { foo: 'bar' };
+        const key = [object];
+
+        memoized.set(key, 'value');
+
+        expect(key[0]).toBe(object);
+        expect(memoized(object)).toBe('value');
+        expect(method).not.toHaveBeenCalled();
+    });
+
+    it('should compare weakly-held arguments with custom equality', () => {
+        const memoized = moize(method, {
+            isDeepEqual: true,
+            isWeak: true,
+            maxSize: 5,
+        });
+
+        memoized({ foo: 'bar' });
+        memoized({ foo: 'bar' });
+
+        expect(method).toHaveBeenCalledTimes(1);
+
+        const matchesKey = jest.fn(
+            (cacheKey: any[], key: any[]) => cacheKey[0].id === key[0].id
+        );
+        const memoizedMatchesKey = moize(method, {
+            isWeak: true,
+            matchesKey,
+            maxSize: 5,
+        });
+
+        memoizedMatchesKey({ id: 1 });
+        memoizedMatchesKey({ id: 1 });
+
+        expect(method).toHaveBeenCalledTimes(2);
+        expect(matchesKey.mock.calls[0][0][0]).toEqual({ id: 1 });
+    });
+
+    it('should clear the expiration when the argument is garbage-collected', () => {
+        jest.useFakeTimers();
+
+        const onExpire = jest.fn();
+
+        const memoized = moize(method, {
+            isWeak: true,
+            maxAge: 1000,
+            maxSize: 5,
+            onExpire,
+        });
+        const object = { foo: 'bar' };
+
+        memoized(object);
+
+        expect(memoized.expirations.length).toBe(1);
+
+        collect(object);
+        finalize(object);
+
+        expect(memoized.expirations.length).toBe(0);
+
+        jest.runAllTimers();
+
+        expect(onExpire).not.toHaveBeenCalled();
+
+        jest.useRealTimers();
+    });
+
+    it('should stop watching the arguments of entries once removed from cache', () => {
+        const clock = moize.createManualClock();
+
+        const memoized = moize(method, {
+            clock,
+            isWeak: true,
+            maxAge: 1000,
+            maxSize: 2,
+        });
+
+        memoized({ id: 1 });
+        memoized({ id: 2 }, { id: 3 });
+
+        const [registry] = registries;
+
+        expect(registry.entries.length).toBe(3);
+
+        const object = { id: 4 };
+
+        memoized(object);
+
+        expect(registry.entries.length).toBe(3);
+
+        memoized.remove([object]);
+
+        expect(registry.entries.length).toBe(2);
+
+        clock.advance(1000);
+
+        expect(registry.entries.length).toBe(0);
+
+        memoized({ id: 5 });
+        memoized.clear();
+
+        expect(registry.entries.length).toBe(0);
+    });
+
+    it('should keep the total weight of entries with weakly-held arguments', () => {
+        const memoized = moize(method, {
+            isWeak: true,
+            maxSize: 2,
+            weigh: () => 1,
+        });
+        const object = { foo: 'bar' };
+
+        memoized({ bar: 'baz' });
+        memoized(object);
+        memoized({ baz: 'quz' });
+
+        expect(memoized.weight).toBe(2);
+
+        collect(object);
+        finalize(object);
+
+        expect(memoized.weight).toBe(1);
+
+        memoized.clear();
+
+        expect(memoized.weight).toBe(0);
+    });
+
+    it('should refresh entries with the objects their weakly-held arguments reference', async () => {
+        const clock = moize.createManualClock();
+        const fetchItem = jest.fn((item: { id: number }) =>
+            Promise.resolve(item.id)
+        );
+
+        const memoized = moize(fetchItem, {
+            clock,
+            isPromise: true,
+            isWeak: true,
+            maxAge: 1000,
+            maxSize: 5,
+            staleWhileRevalidate: 5000,
+        });
+        const object = { id: 1 };
+
+        await memoized(object);
+
+        clock.advance(1000);
+
+        await memoized(object);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        expect(fetchItem).toHaveBeenCalledTimes(2);
+        expect(fetchItem.mock.calls[1][0]).toBe(object);
+    });
+
+    it('should hold arguments strongly when weak references are not supported', () => {
+        (global as any).WeakRef = undefined;
+
+        const memoized = moize(method, { isWeak: true, maxSize: 5 });
+        const object = { foo: 'bar' };
+
+        memoized(object);
+
+        expect(memoized.cache.keys[0][0]).toBe(object);
+        expect(memoized.keys()).toEqual([[object]]);
+    });
+});
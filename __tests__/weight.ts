@@ -0,0 +1,219 @@
+import moize from '../src';
+
+const method = jest.fn(function (size: number) {
+    return 'x'.repeat(size);
+});
+
+const weigh = jest.fn(function (key: any[], value: string) {
+    return value.length;
+});
+
+describe('moize.maxWeight', () => {
+    afterEach(jest.clearAllMocks);
+
+    it('should remove the least-recently-used entries until the weight fits', () => {
+        const memoized = moize(method, { maxWeight: 10, weigh });
+
+        memoized(3);
+        memoized(4);
+        memoized(2);
+
+        expect(memoized.weight).toBe(9);
+        expect(memoized.keys()).toEqual([[2], [4], [3]]);
+
+        memoized(3);
+        memoized(5);
+
+        expect(memoized.keys()).toEqual([[5], [3], [2]]);
+        expect(memoized.weight).toBe(10);
+
+        memoized(8);
+
+        expect(memoized.keys()).toEqual([[8]]);
+        expect(memoized.weight).toBe(8);
+    });
+
+    it('should keep the newest entry even when it exceeds the weight on its own', () => {
+        const memoized = moize(method, { maxWeight: 10, weigh });
+
+        memoized(2);
+
+        expect(memoized(20)).toBe('x'.repeat(20));
+        expect(memoized.keys()).toEqual([[20]]);
+        expect(memoized.weight).toBe(20);
+
+        memoized(2);
+
+        expect(memoized.keys()).toEqual([[2]]);
+    });
+
+    it('should only weigh each value once', () => {
+        const memoized = moize(method, { maxWeight: 10, weigh });
+
+        memoized(3);
+        memoized(4);
+        memoized(3);
+        memoized(4);
+
+        expect(weigh).toHaveBeenCalledTimes(2);
+        expect(weigh).toHaveBeenCalledWith([4], 'xxxx');
+    });
+
+    it('should weigh each entry equally when no weigh method is provided', () => {
+        const memoized = moize(method, { maxWeight: 2 });
+
+        memoized(1);
+        memoized(2);
+        memoized(3);
+
+        expect(memoized.keys()).toEqual([[3], [2]]);
+        expect(memoized.weight).toBe(2);
+    });
+
+    it('should still limit the number of entries when maxSize is provided', () => {
+        const memoized = moize(method, { maxSize: 2, maxWeight: 100, weigh });
+
+        memoized(1);
+        memoized(2);
+        memoized(3);
+
+        expect(memoized.keys()).toEqual([[3], [2]]);
+        expect(memoized.weight).toBe(5);
+    });
+
+    it('should limit the weight when setting entries', () => {
+        const memoized = moize(method, { maxWeight: 10, weigh });
+
+        memoized(4);
+        memoized(4);
+        memoized(3);
+
+        memoized.set([5], 'xxxxx');
+
+        expect(memoized.keys()).toEqual([[5], [3]]);
+        expect(memoized.weight).toBe(8);
+
+        memoized.set([5], 'xxxxxxxx');
+
+        expect(memoized.keys()).toEqual([[5]]);
+        expect(memoized.weight).toBe(8);
+    });
+
+    it('should remove the expirations of entries removed to fit the weight', () => {
+        const memoized = moize(method, {
+            maxAge: 1000,
+            maxWeight: 10,
+            weigh,
+        });
+
+        memoized(4);
+        memoized(3);
+        memoized(5);
+
+        expect(memoized.expirations.map(({ key }) => key)).toEqual([
+            [3],
+            [5],
+        ]);
+
+        memoized(8);
+
+        expect(memoized.expirations.map(({ key }) => key)).toEqual([[8]]);
+
+        memoized.clear();
+    });
+
+    it('should keep the total weight without weighing the entries again', () => {
+        const memoized = moize(method, { maxWeight: 100, weigh });
+
+        memoized(3);
+        memoized(4);
+
+        memoized.set([3], 'x');
+
+        expect(memoized.weight).toBe(5);
+
+        memoized.remove([4]);
+
+        expect(memoized.weight).toBe(1);
+        expect(weigh).toHaveBeenCalledTimes(3);
+    });
+
+    it('should keep the total weight when only weigh is provided', () => {
+        const memoized = moize(method, { maxSize: 2, weigh });
+
+        memoized(3);
+        memoized(4);
+        memoized(5);
+
+        expect(memoized.weight).toBe(9);
+        expect(weigh).toHaveBeenCalledTimes(3);
+    });
+
+    it('should update the weight when entries are removed', () => {
+        const memoized = moize(method, { maxWeight: 10, weigh });
+
+        memoized(4);
+        memoized(3);
+
+        memoized.remove([4]);
+
+        expect(memoized.weight).toBe(3);
+
+        memoized.clear();
+
+        expect(memoized.weight).toBe(0);
+    });
+
+    it('should notify of cache operations', () => {
+        const onCacheAdd = jest.fn();
+        const onCacheChange = jest.fn();
+
+        const memoized = moize(method, {
+            maxWeight: 5,
+            onCacheAdd,
+            onCacheChange,
+            weigh,
+        });
+
+        memoized(3);
+        memoized(4);
+
+        expect(onCacheAdd).toHaveBeenCalledTimes(2);
+        expect(onCacheChange).toHaveBeenCalledTimes(2);
+        expect(onCacheChange.mock.calls[1][0].keys).toEqual([[4]]);
+    });
+
+    it('should report the weight in stats', () => {
+        moize.collectStats();
+
+        const memoized = moize(method, {
+            maxWeight: 10,
+            profileName: 'weighted',
+            weigh,
+        });
+
+        memoized(3);
+        memoized(3);
+        memoized(4);
+
+        expect(memoized.getStats()).toEqual({
+            calls: 3,
+            hits: 1,
+            usage: '33.3333%',
+            weight: 7,
+        });
+
+        moize.collectStats(false);
+        moize.clearStats();
+    });
+
+    it('should expose the weight when only weigh is provided', () => {
+        const memoized = moize(method, { maxSize: 2, weigh });
+
+        memoized(3);
+        memoized(4);
+        memoized(5);
+
+        expect(memoized.weight).toBe(9);
+    });
+});
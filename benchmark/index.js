@@ -675,6 +675,166 @@ const runAlternativeOptionsSuite = async () => {
     });
 };
 
+// the most that hits in a large hashed cache may be slower than in a small one, as
+// finding and moving the entry hit should not depend on the cache size (the overhead
+// left is that of the large cache not fitting in the CPU caches, where a search of the
+// cache keys would be orders of magnitude slower)
+const MAX_LARGE_CACHE_HIT_OVERHEAD = 10;
+
+const runLargeCacheSuite = () => {
+    const cacheSize = 10000;
+    const smallCacheSize = 10;
+
+    const getValue = (id, locale) => {
+        return `${id}:${locale}`;
+    };
+
+    const mMoizeInfinite = moize.infinite(getValue, { isHashed: false });
+    const mMoizeInfiniteHashed = moize.infinite(getValue);
+    const mMoizeSmallHashed = moize(getValue, { maxSize: smallCacheSize });
+    const mMoizeInfiniteTrie = moize.infinite(getValue, { isTrie: true });
+    const mMoizeSerialized = moize.serialize(getValue, {
+        isHashed: false,
+        maxSize: cacheSize,
+    });
+    const mMoizeSerializedHashed = moize.serialize(getValue, {
+        maxSize: cacheSize,
+    });
+
+    const memoizedMethods = [
+        mMoizeInfinite,
+        mMoizeInfiniteHashed,
+        mMoizeInfiniteTrie,
+        mMoizeSerialized,
+        mMoizeSerializedHashed,
+    ];
+
+    for (let index = 0; index < cacheSize; index++) {
+        memoizedMethods.forEach((memoized) => {
+            memoized(index, 'en-US');
+        });
+    }
+
+    for (let index = 0; index < smallCacheSize; index++) {
+        mMoizeSmallHashed(index, 'en-US');
+    }
+
+    let id = 0;
+    let smallId = 0;
+    let suite;
+
+    const getNextId = () => {
+        id = (id + 7919) % cacheSize;
+
+        return id;
+    };
+
+    return new Promise((resolve) => {
+        suite = new Benchmark.Suite(
+            'Large cache',
+            getSuiteOptions('large cache', resolve)
+        )
+            .add('moize small cache (hashed)', () => {
+                smallId = (smallId + 7) % smallCacheSize;
+
+                mMoizeSmallHashed(smallId, 'en-US');
+            })
+            .add('moize infinite', () => {
+                mMoizeInfinite(getNextId(), 'en-US');
+            })
+            .add('moize infinite (hashed)', () => {
+                mMoizeInfiniteHashed(getNextId(), 'en-US');
+            })
+            .add('moize infinite (trie)', () => {
+                mMoizeInfiniteTrie(getNextId(), 'en-US');
+            })
+            .add('moize serialized', () => {
+                mMoizeSerialized(getNextId(), 'en-US');
+            })
+            .add('moize serialized (hashed)', () => {
+                mMoizeSerializedHashed(getNextId(), 'en-US');
+            });
+
+        suite.run({
+            async: true,
+        });
+    }).then(() => {
+        const overhead = suite[0].hz / suite[2].hz;
+
+        if (overhead > MAX_LARGE_CACHE_HIT_OVERHEAD) {
+            // eslint-disable-next-line no-console
+            console.error(
+                `Hits in a large hashed cache are ${overhead.toFixed(1)}x ` +
+                    `slower than in a small one, above the limit of ` +
+                    `${MAX_LARGE_CACHE_HIT_OVERHEAD}x`
+            );
+
+            process.exitCode = 1;
+        }
+    });
+};
+
+// the most that misses evicting entries with a maxAge may be slower than without one,
+// as removing the expiration of the entry evicted should not depend on the cache size
+const MAX_EVICTION_EXPIRATION_OVERHEAD = 3;
+
+const runEvictionSuite = () => {
+    const cacheSize = 20000;
+
+    const getValue = (id) => {
+        return `value ${id}`;
+    };
+
+    const mMoize = moize(getValue, { maxSize: cacheSize });
+    const mMoizeMaxAge = moize(getValue, {
+        maxAge: 1000 * 60 * 60,
+        maxSize: cacheSize,
+    });
+
+    for (let index = 0; index < cacheSize; index++) {
+        mMoize(index);
+        mMoizeMaxAge(index);
+    }
+
+    // ids only increase, so that each call is a miss that evicts an entry
+    let id = cacheSize;
+    let idMaxAge = cacheSize;
+    let suite;
+
+    return new Promise((resolve) => {
+        suite = new Benchmark.Suite(
+            'Eviction',
+            getSuiteOptions('eviction', resolve)
+        )
+            .add('moize miss', () => {
+                mMoize(id++);
+            })
+            .add('moize miss (maxAge)', () => {
+                mMoizeMaxAge(idMaxAge++);
+            });
+
+        suite.run({
+            async: true,
+        });
+    }).then(() => {
+        const overhead = suite[0].hz / suite[1].hz;
+
+        // the expirations are cleared so that their timer does not keep the process alive
+        mMoizeMaxAge.clear();
+
+        if (overhead > MAX_EVICTION_EXPIRATION_OVERHEAD) {
+            // eslint-disable-next-line no-console
+            console.error(
+                `Misses with maxAge are ${overhead.toFixed(1)}x slower ` +
+                    `than without, above the limit of ` +
+                    `${MAX_EVICTION_EXPIRATION_OVERHEAD}x`
+            );
+
+            process.exitCode = 1;
+        }
+    });
+};
+
 const writeCsv = () => {
     const invidualResultsHeaders = [
         'Name',
@@ -826,10 +986,17 @@ function runBenchmark() {
             case 'alternative':
                 return runAlternativeOptionsSuite();
 
+            case 'large':
+                return runLargeCacheSuite();
+
+            case 'eviction':
+                return runEvictionSuite();
+
             default:
                 throw new Error(
                     `Suite ${BENCHMARK_SUITE} not found. Available options: ` +
-                        'primitive, array, object, react, alternative'
+                        'primitive, array, object, react, alternative, large, ' +
+                        'eviction'
                 );
         }
     }
@@ -843,7 +1010,9 @@ function runBenchmark() {
         .then(runMultipleObjectSuite)
         .then(writeCsv)
         .then(runReactSuite)
-        .then(runAlternativeOptionsSuite);
+        .then(runAlternativeOptionsSuite)
+        .then(runLargeCacheSuite)
+        .then(runEvictionSuite);
 }
 
 runBenchmark();
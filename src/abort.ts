@@ -0,0 +1,306 @@
+import { createLazyMap } from './collections';
+import {
+    AbortableEntry,
+    Fn,
+    GetKeyIndex,
+    Key,
+    LazyMap,
+    Moized,
+    Options,
+    TransformKey,
+} from './types';
+import { addKeyIndexHook, removeCacheEntry } from './utils';
+
+// indexed by the promise of the entry, as its key may be replaced once added
+const abortableEntries: LazyMap<object, AbortableEntry> = createLazyMap(true);
+const callSignals: LazyMap<Options, AbortSignal> = createLazyMap(true);
+const startedEntries: LazyMap<Options, AbortableEntry> = createLazyMap(true);
+
+/**
+ * @private
+ *
+ * @description
+ * can callers pass an `AbortSignal` as the last argument, which aborts the promise of
+ * the entry once every caller waiting on it has aborted
+ *
+ * @param options the options passed to the moizer
+ * @returns are calls abortable
+ */
+export function getIsAbortable(options: Options) {
+    return !!options.isPromise && !!options.isAbortable;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * is the value passed an `AbortSignal`
+ *
+ * @param value the value to test
+ * @returns is the value an `AbortSignal`
+ */
+export function isAbortSignal(value: any): value is AbortSignal {
+    return (
+        !!value &&
+        typeof value === 'object' &&
+        typeof value.aborted === 'boolean' &&
+        typeof value.addEventListener === 'function'
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the function that removes the `AbortSignal` passed as the last argument from the
+ * key, recording it so that the caller can be added as waiting on the entry
+ *
+ * @param options the options passed to the moizer
+ * @returns the function to remove the signal from the key, if calls are abortable
+ */
+export function createRemoveAbortSignal(
+    options: Options
+): TransformKey | undefined {
+    if (!getIsAbortable(options)) {
+        return;
+    }
+
+    return function (args: Key) {
+        const signal = args[args.length - 1];
+
+        if (!isAbortSignal(signal)) {
+            callSignals.delete(options);
+
+            return args;
+        }
+
+        callSignals.set(options, signal);
+
+        return args.slice(0, args.length - 1);
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * abort the entry, and evict it from cache if it has been added, unless its promise has
+ * already settled
+ *
+ * @param abortable the abortable entry
+ */
+function abortEntry(abortable: AbortableEntry) {
+    if (abortable.isSettled) {
+        return;
+    }
+
+    abortable.controller.abort();
+
+    if (abortable.evict) {
+        abortable.evict();
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * add the caller as waiting on the entry, where the entry is aborted once every caller
+ * waiting on it has aborted. Callers without a signal never abort.
+ *
+ * @param abortable the abortable entry
+ * @param signal the signal of the caller, if any
+ */
+function addWaiter(abortable: AbortableEntry, signal: AbortSignal | undefined) {
+    abortable.waiting++;
+
+    if (!signal) {
+        return;
+    }
+
+    const onAbort = function () {
+        signal.removeEventListener('abort', onAbort);
+
+        if (--abortable.waiting === 0) {
+            abortEntry(abortable);
+        }
+    };
+
+    if (signal.aborted) {
+        onAbort();
+    } else {
+        signal.addEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * add the caller that hit the entry as waiting on it, if its promise is pending
+ *
+ * @param value the value of the entry hit
+ * @param options the options passed to the moizer
+ */
+export function addEntryWaiter(value: any, options: Options) {
+    const abortable = abortableEntries.get(value);
+    const signal = callSignals.get(options);
+
+    callSignals.delete(options);
+
+    if (abortable) {
+        addWaiter(abortable, signal);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a function that, when called with an `AbortSignal` as the last argument, calls
+ * the one passed with the signal of a new controller in its place, so that the promise of
+ * the entry is only aborted once every caller waiting on it has aborted
+ *
+ * @param fn the function to call
+ * @param options the options passed to the moizer
+ * @returns the abortable function, or the one passed if calls are not abortable
+ */
+export function createAbortableFn<OriginalFn extends Fn>(
+    fn: OriginalFn,
+    options: Options
+): OriginalFn {
+    if (!getIsAbortable(options)) {
+        return fn;
+    }
+
+    return function abortable(this: any) {
+        const args = [].slice.call(arguments);
+        const signal = args[args.length - 1];
+
+        callSignals.delete(options);
+
+        if (!isAbortSignal(signal)) {
+            startedEntries.delete(options);
+
+            return fn.apply(this, args);
+        }
+
+        const entry: AbortableEntry = {
+            controller: new AbortController(),
+            evict: undefined,
+            isSettled: false,
+            waiting: 0,
+        };
+
+        addWaiter(entry, signal);
+
+        startedEntries.set(options, entry);
+
+        args[args.length - 1] = entry.controller.signal;
+
+        return fn.apply(this, args);
+    } as OriginalFn;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * associate the abortable entry started by the call with the promise of the entry
+ * added, so that callers that hit it are added as waiting on it until it settles
+ *
+ * @param promise the promise of the entry added
+ * @param options the options passed to the moizer
+ * @param evict the method to evict the entry from cache
+ */
+export function setAbortableEntry(
+    promise: any,
+    options: Options,
+    evict: () => void
+) {
+    const abortable = startedEntries.get(options);
+
+    if (!abortable) {
+        return;
+    }
+
+    startedEntries.delete(options);
+
+    if (!promise || typeof promise.then !== 'function') {
+        return;
+    }
+
+    const settle = function () {
+        abortable.isSettled = true;
+
+        abortableEntries.delete(promise);
+    };
+
+    abortable.evict = function () {
+        abortableEntries.delete(promise);
+
+        evict();
+    };
+
+    abortableEntries.set(promise, abortable);
+
+    promise.then(settle, settle);
+
+    // the caller aborted before the entry was added, which is evicted once it has been
+    if (abortable.controller.signal.aborted) {
+        Promise.resolve().then(abortable.evict);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the lookup of keys that adds callers as waiting on the entry found, and the
+ * handling of promises that makes the entries added abortable
+ *
+ * @param moized the memoized function
+ * @param options the options passed to the moizer
+ */
+export function applyAbortable(moized: Moized, options: Options) {
+    const { cache } = moized;
+    const { updateAsyncCache } = cache;
+
+    addKeyIndexHook(cache, function (key: Key, getKeyIndex: GetKeyIndex) {
+        const keyIndex = getKeyIndex(key);
+
+        if (keyIndex !== -1) {
+            addEntryWaiter(cache.values[keyIndex], options);
+        }
+
+        return keyIndex;
+    });
+
+    cache.updateAsyncCache = function (memoized: any) {
+        updateAsyncCache.call(cache, memoized);
+
+        const promise = cache.values[0];
+
+        // the entry is found by its promise, as its key may be replaced once added, and
+        // it is not evicted once it has been given a new value
+        setAbortableEntry(promise, options, function () {
+            const { _microMemoizeOptions: microMemoizeOptions } = moized;
+
+            const keyIndex = cache.values.indexOf(promise);
+
+            if (keyIndex === -1) {
+                return;
+            }
+
+            removeCacheEntry(cache, keyIndex);
+
+            if (microMemoizeOptions.onCacheChange) {
+                microMemoizeOptions.onCacheChange(
+                    cache,
+                    microMemoizeOptions,
+                    moized
+                );
+            }
+        });
+    };
+}
@@ -0,0 +1,150 @@
+import { Cache, Key, Options, Weights } from './types';
+import { applyWeightLimit } from './weight';
+
+/**
+ * @private
+ *
+ * @constant BYTES_PER_CHARACTER
+ *
+ * @description
+ * the bytes used by each character of a string (UTF-16 code unit)
+ */
+export const BYTES_PER_CHARACTER = 2;
+
+/**
+ * @private
+ *
+ * @constant BYTES_PER_REFERENCE
+ *
+ * @description
+ * the bytes estimated for values whose size cannot be inspected, such as functions
+ * and symbols
+ */
+export const BYTES_PER_REFERENCE = 8;
+
+const toString = Object.prototype.toString;
+
+/**
+ * @private
+ *
+ * @description
+ * estimate the number of bytes used by the value passed. Strings, numbers, and booleans
+ * are counted by the size of their contents, and arrays, plain objects, typed arrays,
+ * maps, and sets by the sum of their contents. Objects that have already been counted
+ * (including circular references) are not counted again.
+ *
+ * @param value the value to estimate
+ * @param seen the objects already counted
+ * @returns the estimated number of bytes
+ */
+export function estimateBytes(value: any, seen: Set<object> = new Set()) {
+    switch (typeof value) {
+        case 'string':
+            return value.length * BYTES_PER_CHARACTER;
+
+        case 'number':
+        case 'bigint':
+            return 8;
+
+        case 'boolean':
+            return 4;
+
+        case 'function':
+        case 'symbol':
+            return BYTES_PER_REFERENCE;
+
+        case 'object':
+            break;
+
+        default:
+            return 0;
+    }
+
+    if (!value || seen.has(value)) {
+        return 0;
+    }
+
+    seen.add(value);
+
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+        return value.byteLength;
+    }
+
+    let bytes = 0;
+
+    if (Array.isArray(value)) {
+        for (let index = 0; index < value.length; index++) {
+            bytes += estimateBytes(value[index], seen);
+        }
+
+        return bytes;
+    }
+
+    if (value instanceof Map) {
+        value.forEach(function (mapValue: any, mapKey: any) {
+            bytes +=
+                estimateBytes(mapKey, seen) + estimateBytes(mapValue, seen);
+        });
+
+        return bytes;
+    }
+
+    if (value instanceof Set) {
+        value.forEach(function (setValue: any) {
+            bytes += estimateBytes(setValue, seen);
+        });
+
+        return bytes;
+    }
+
+    if (toString.call(value) === '[object Date]') {
+        return 8;
+    }
+
+    for (const property in value) {
+        if (Object.prototype.hasOwnProperty.call(value, property)) {
+            bytes +=
+                property.length * BYTES_PER_CHARACTER +
+                estimateBytes(value[property], seen);
+        }
+    }
+
+    return bytes;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * estimate the number of bytes used by the entry in cache, where objects shared between
+ * the key and value are only counted once
+ *
+ * @param key the key of the entry
+ * @param value the value of the entry
+ * @returns the estimated number of bytes
+ */
+export function getEntryBytes(key: Key, value: any) {
+    const seen: Set<object> = new Set();
+
+    return estimateBytes(key, seen) + estimateBytes(value, seen);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * limit the estimated size of the cache to `maxBytes`
+ *
+ * @param cache the cache of the memoized function
+ * @param options the options passed to the moizer
+ * @param byteWeights the estimated bytes of the entries in cache
+ */
+export function applyMaxBytes(
+    cache: Cache,
+    options: Options,
+    byteWeights: Weights
+) {
+    if (typeof options.maxBytes === 'number' && isFinite(options.maxBytes)) {
+        applyWeightLimit(cache, options.maxBytes, getEntryBytes, byteWeights);
+    }
+}
@@ -0,0 +1,134 @@
+import { Clock, ManualClock, ManualTimeout, Options } from './types';
+
+/**
+ * @private
+ *
+ * @description
+ * get the current time, in milliseconds
+ *
+ * @returns the current time
+ */
+export function getNow() {
+    return Date.now();
+}
+
+/**
+ * @private
+ *
+ * @constant defaultClock
+ *
+ * @description
+ * the clock used when none is passed in options, which uses the global timers (looked
+ * up when called, so that they can be replaced)
+ */
+export const defaultClock: Clock = {
+    clearTimeout(timeoutId: any) {
+        clearTimeout(timeoutId);
+    },
+    now: getNow,
+    setTimeout(callback: () => void, delay: number) {
+        return setTimeout(callback, delay);
+    },
+};
+
+/**
+ * @private
+ *
+ * @description
+ * get the clock used for the expirations of the moized function
+ *
+ * @param options the options passed to the moizer
+ * @returns the clock
+ */
+export function getClock(options: Options) {
+    return options.clock || defaultClock;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * find the index of the earliest timeout that is due by the time passed, where
+ * timeouts due at the same time are in the order they were set
+ *
+ * @param timeouts the timeouts that are set
+ * @param time the time the timeouts are due by
+ * @returns the index of the timeout
+ */
+function findDueTimeoutIndex(timeouts: ManualTimeout[], time: number) {
+    let dueIndex = -1;
+
+    for (let index = 0; index < timeouts.length; index++) {
+        if (
+            timeouts[index].at <= time &&
+            (dueIndex === -1 || timeouts[index].at < timeouts[dueIndex].at)
+        ) {
+            dueIndex = index;
+        }
+    }
+
+    return dueIndex;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a clock whose time only moves when advanced, firing the timeouts that are due
+ * in order as it does, which allows expirations to be tested deterministically
+ *
+ * @param startTime the time the clock starts at
+ * @returns the manual clock
+ */
+export function createManualClock(startTime = 0): ManualClock {
+    const timeouts: ManualTimeout[] = [];
+
+    let currentTime = startTime;
+    let timeoutIdCounter = 0;
+
+    return {
+        advance(time: number) {
+            const advancedTime = currentTime + time;
+
+            let index = findDueTimeoutIndex(timeouts, advancedTime);
+            let timeout: ManualTimeout;
+
+            while (index !== -1) {
+                timeout = timeouts.splice(index, 1)[0];
+                currentTime = Math.max(currentTime, timeout.at);
+
+                timeout.callback();
+
+                index = findDueTimeoutIndex(timeouts, advancedTime);
+            }
+
+            currentTime = advancedTime;
+        },
+
+        clearTimeout(timeoutId: number) {
+            for (let index = 0; index < timeouts.length; index++) {
+                if (timeouts[index].id === timeoutId) {
+                    timeouts.splice(index, 1);
+
+                    return;
+                }
+            }
+        },
+
+        now() {
+            return currentTime;
+        },
+
+        setTimeout(callback: () => void, delay: number) {
+            const id = ++timeoutIdCounter;
+
+            timeouts.push({
+                at: currentTime + Math.max(delay || 0, 0),
+                callback,
+                id,
+            });
+
+            return id;
+        },
+    };
+}
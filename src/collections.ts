@@ -0,0 +1,84 @@
+import { LazyMap, LazySet } from './types';
+
+/**
+ * @private
+ *
+ * @description
+ * create a map that only creates the underlying `Map` (or `WeakMap`) once an entry is
+ * set in it, so that environments without support for them can still use the memoized
+ * functions whose options do not need them
+ *
+ * @param [isWeak] should the map hold its keys weakly
+ * @returns the lazy map
+ */
+export function createLazyMap<MapKey, Value>(
+    isWeak?: boolean
+): LazyMap<MapKey, Value> {
+    let map: Map<MapKey, Value>;
+
+    return {
+        delete(key: MapKey) {
+            return !!map && map.delete(key);
+        },
+
+        forEach(callback: (value: Value, key: MapKey) => void) {
+            if (map) {
+                map.forEach(callback);
+            }
+        },
+
+        get(key: MapKey) {
+            return map ? map.get(key) : undefined;
+        },
+
+        has(key: MapKey) {
+            return !!map && map.has(key);
+        },
+
+        set(key: MapKey, value: Value) {
+            if (!map) {
+                map = isWeak ? (new WeakMap() as any) : new Map();
+            }
+
+            map.set(key, value);
+        },
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a set that only creates the underlying `Set` (or `WeakSet`) once a value is
+ * added to it, for the same reason as `createLazyMap`
+ *
+ * @param [isWeak] should the set hold its values weakly
+ * @returns the lazy set
+ */
+export function createLazySet<Value>(isWeak?: boolean): LazySet<Value> {
+    let set: Set<Value>;
+
+    return {
+        add(value: Value) {
+            if (!set) {
+                set = isWeak ? (new WeakSet() as any) : new Set();
+            }
+
+            set.add(value);
+        },
+
+        delete(value: Value) {
+            return !!set && set.delete(value);
+        },
+
+        forEach(callback: (value: Value) => void) {
+            if (set) {
+                set.forEach(callback);
+            }
+        },
+
+        has(value: Value) {
+            return !!set && set.has(value);
+        },
+    };
+}
@@ -0,0 +1,47 @@
+import { getClock } from './clock';
+import { Expiration, Options } from './types';
+
+/**
+ * @private
+ *
+ * @description
+ * should entries be refreshed probabilistically ahead of their expiration, based on
+ * the time their computation took
+ *
+ * @param options the options passed to the moizer
+ * @returns are entries refreshed early
+ */
+export function getIsEarlyRefresh(options: Options) {
+    return typeof options.earlyRefresh === 'number' && options.earlyRefresh > 0;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * set the time the computation of the value of the entry took on its expiration,
+ * which for promises is the time until the promise resolves
+ *
+ * @param expiration the expiration of the entry added
+ * @param options the options passed to the moizer
+ * @param value the value of the entry
+ * @param startedAt the time the computation started at
+ */
+export function setExpirationComputeTime(
+    expiration: Expiration,
+    options: Options,
+    value: any,
+    startedAt: number
+) {
+    const setComputeTime = function () {
+        expiration.computeTime = getClock(options).now() - startedAt;
+    };
+
+    if (options.isPromise && value && typeof value.then === 'function') {
+        value.then(setComputeTime, function () {
+            // rejections are handled by the cache
+        });
+    } else {
+        setComputeTime();
+    }
+}
@@ -0,0 +1,129 @@
+import { isAbortSignal } from './abort';
+import { Concurrency, Fn, Options } from './types';
+
+/**
+ * @private
+ *
+ * @description
+ * is the number of calls of the method running at once limited by `maxConcurrent`
+ *
+ * @param options the options passed to the moizer
+ * @returns are calls limited
+ */
+export function getIsConcurrencyLimited(options: Options) {
+    const { maxConcurrent } = options;
+
+    return (
+        !!options.isPromise &&
+        typeof maxConcurrent === 'number' &&
+        maxConcurrent > 0 &&
+        isFinite(maxConcurrent)
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * run the call, counting it as active until its promise settles, at which point the
+ * next call queued is started
+ *
+ * @param concurrency the state of the calls running and queued
+ * @param call the call to run
+ * @returns the promise of the call
+ */
+function runCall(concurrency: Concurrency, call: () => any): Promise<any> {
+    let promise: Promise<any>;
+
+    concurrency.active++;
+
+    try {
+        promise = Promise.resolve(call());
+    } catch (error) {
+        promise = Promise.reject(error);
+    }
+
+    const release = function () {
+        concurrency.active--;
+
+        const next = concurrency.queue.shift();
+
+        if (next) {
+            next();
+        }
+    };
+
+    promise.then(release, release);
+
+    return promise;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a function that calls the one passed once fewer than `maxConcurrent` of its
+ * calls are running, queueing the call until then. Calls are removed from the queue, and
+ * rejected with an `AbortError`, once the `AbortSignal` passed as the last argument has
+ * aborted.
+ *
+ * @param fn the function to limit
+ * @param options the options passed to the moizer
+ * @param concurrency the state of the calls running and queued
+ * @returns the limited function, or the one passed if calls are not limited
+ */
+export function createConcurrencyLimitedFn<OriginalFn extends Fn>(
+    fn: OriginalFn,
+    options: Options,
+    concurrency: Concurrency
+): OriginalFn {
+    if (!getIsConcurrencyLimited(options)) {
+        return fn;
+    }
+
+    return function limited(this: any) {
+        const args = arguments;
+        const call = () => fn.apply(this, args);
+
+        if (concurrency.active < options.maxConcurrent) {
+            return runCall(concurrency, call);
+        }
+
+        const signal = args[args.length - 1];
+
+        return new Promise(function (resolve, reject) {
+            const start = function () {
+                resolve(runCall(concurrency, call));
+            };
+
+            const onAbort = function () {
+                const index = concurrency.queue.indexOf(start);
+
+                // the call may have started already
+                if (index === -1) {
+                    return;
+                }
+
+                concurrency.queue.splice(index, 1);
+
+                const error = new Error(
+                    'The call was aborted before it started.'
+                );
+
+                error.name = 'AbortError';
+
+                reject(error);
+            };
+
+            concurrency.queue.push(start);
+
+            if (isAbortSignal(signal)) {
+                if (signal.aborted) {
+                    onAbort();
+                } else {
+                    signal.addEventListener('abort', onAbort);
+                }
+            }
+        });
+    } as OriginalFn;
+}
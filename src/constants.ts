@@ -6,19 +6,57 @@ import { Options } from './types';
  * @constant DEFAULT_OPTIONS
  */
 export const DEFAULT_OPTIONS: Options = {
+    cacheName: undefined,
+    cacheRejections: false,
+    clock: undefined,
+    earlyRefresh: undefined,
+    errorMaxAge: undefined,
+    evictionPolicy: 'lru',
+    expirationMode: 'timer',
+    isAbortable: false,
     isDeepEqual: false,
+    isHashed: undefined,
     isPromise: false,
     isReact: false,
     isSerialized: false,
     isShallowEqual: false,
+    isTrie: false,
+    isWeak: false,
     matchesArg: undefined,
     matchesKey: undefined,
     maxAge: undefined,
+    maxAgeJitter: undefined,
     maxArgs: undefined,
+    maxBytes: undefined,
+    maxConcurrent: undefined,
+    maxLifetime: undefined,
     maxSize: 1,
+    maxWeight: undefined,
     onExpire: undefined,
+    onPromiseReject: undefined,
+    onPromiseResolve: undefined,
+    onRefresh: undefined,
+    onRefreshError: undefined,
+    onReject: undefined,
+    partitionBy: undefined,
     profileName: undefined,
+    promiseTimeout: undefined,
+    refreshAhead: undefined,
+    retries: undefined,
+    retryBackoff: 'fixed',
+    retryDelay: undefined,
     serializer: undefined,
+    staleWhileRevalidate: undefined,
+    store: undefined,
     transformArgs: undefined,
     updateExpire: false,
+    weigh: undefined,
 };
+
+/**
+ * @private
+ *
+ * @constant DEFAULT_ERROR_MAX_AGE the maxAge of cached rejections when neither the
+ * `errorMaxAge` nor the maxAge of the entry is finite, so that they are retried
+ */
+export const DEFAULT_ERROR_MAX_AGE = 1000 * 5;
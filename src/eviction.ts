@@ -0,0 +1,522 @@
+import { createLazyMap } from './collections';
+import {
+    Cache,
+    FrequencySketch,
+    GetEvictionIndex,
+    GetKeyIndex,
+    Key,
+    LazyMap,
+    Options,
+} from './types';
+import {
+    addEntryToFront,
+    getNewerIndex,
+    getOldestIndex,
+    moveEntryToFront,
+} from './recency';
+import { addKeyIndexHook, removeCacheEntry } from './utils';
+
+/**
+ * @private
+ *
+ * @description
+ * create the method that orders the cache based on recency of use, evicting the entry
+ * selected by the eviction policy when a new entry is added to a full cache. The native
+ * array methods are used to move entries (unless the order of recency is kept apart from
+ * the cache), as they are faster than shifting each entry individually for large caches.
+ *
+ * @param getEvictionIndex the method to select the index of the entry to evict
+ * @returns the method to order the cache
+ */
+export function createOrderByEviction(getEvictionIndex: GetEvictionIndex) {
+    return function orderByLru(
+        this: Cache,
+        key: Key,
+        value: any,
+        startingIndex: number
+    ) {
+        const { keys } = this;
+        const { maxSize } = this.options;
+
+        if (startingIndex < keys.length) {
+            moveEntryToFront(this, key, value, startingIndex);
+        } else {
+            if (keys.length && keys.length >= maxSize) {
+                removeCacheEntry(this, getEvictionIndex(this));
+            }
+
+            addEntryToFront(this, key, value);
+        }
+
+        while (keys.length > maxSize) {
+            removeCacheEntry(this, getOldestIndex(this));
+        }
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the index of the least-recently-used entry in cache
+ *
+ * @param cache the cache to evict from
+ * @returns the index of the entry to evict
+ */
+export function getLruEvictionIndex(cache: Cache) {
+    return getOldestIndex(cache);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * order the cache based on a Least-Recently-Used basis
+ */
+export const orderByLru = createOrderByEviction(getLruEvictionIndex);
+
+/**
+ * @private
+ *
+ * @description
+ * create the method that gets the index of the least-frequently-used entry in cache, where
+ * ties are broken by evicting the least-recently-used of the entries
+ *
+ * @param frequencies the number of times each key in cache has been hit
+ * @returns the method to select the index of the entry to evict
+ */
+export function createGetLfuEvictionIndex(
+    frequencies: WeakMap<Key, number>
+): GetEvictionIndex {
+    return function (cache: Cache) {
+        const { keys } = cache;
+
+        let evictionIndex = getOldestIndex(cache);
+        let minFrequency = Infinity;
+        let frequency: number;
+
+        for (
+            let index = evictionIndex;
+            index !== -1;
+            index = getNewerIndex(cache, index)
+        ) {
+            frequency = frequencies.get(keys[index]) || 0;
+
+            if (frequency < minFrequency) {
+                evictionIndex = index;
+                minFrequency = frequency;
+
+                if (!frequency) {
+                    break;
+                }
+            }
+        }
+
+        return evictionIndex;
+    };
+}
+
+/**
+ * @private
+ *
+ * @constant SKETCH_DEPTH
+ *
+ * @description
+ * the number of rows of counters in the frequency sketch
+ */
+export const SKETCH_DEPTH = 4;
+
+/**
+ * @private
+ *
+ * @constant SKETCH_MAX_COUNT
+ *
+ * @description
+ * the maximum value of a single counter in the frequency sketch
+ */
+export const SKETCH_MAX_COUNT = 15;
+
+/**
+ * @private
+ *
+ * @constant SKETCH_SEEDS
+ *
+ * @description
+ * the seeds used to derive a different counter index for each row of the sketch
+ */
+const SKETCH_SEEDS = [0x97cb3127, 0x0ba4f2d7, 0x8b8e8e3d, 0x3b36a8e9];
+
+const objectIds: LazyMap<object, number> = createLazyMap(true);
+
+let objectIdCounter = 0;
+
+/**
+ * @private
+ *
+ * @description
+ * multiply the numbers passed with the overflow of 32-bit integers, the same way as
+ * `Math.imul`, for environments that do not support it
+ *
+ * @param a the first number to multiply
+ * @param b the second number to multiply
+ * @returns the 32-bit product of the numbers
+ */
+export function multiplyInt32(a: number, b: number) {
+    const aLow = a & 0xffff;
+    const bLow = b & 0xffff;
+
+    return (
+        (aLow * bLow + ((((a >>> 16) * bLow + aLow * (b >>> 16)) << 16) >>> 0)) |
+        0
+    );
+}
+
+const imul: (a: number, b: number) => number = Math.imul || multiplyInt32;
+
+/**
+ * @private
+ *
+ * @description
+ * get the 32-bit FNV-1a hash of the string passed
+ *
+ * @param string the string to hash
+ * @returns the hash of the string
+ */
+export function hashString(string: string) {
+    let hash = 0x811c9dc5;
+
+    for (let index = 0; index < string.length; index++) {
+        hash = imul(hash ^ string.charCodeAt(index), 0x01000193);
+    }
+
+    return hash;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the numeric hash of the key used to record its frequency in the sketch. Primitives
+ * are hashed by value, and objects and functions by reference, so keys that are equal
+ * without containing the same references are counted separately.
+ *
+ * @param key the key to hash
+ * @returns the hash of the key
+ */
+export function getFrequencyHash(key: Key) {
+    let hash = 0x811c9dc5 ^ key.length;
+    let arg: any;
+    let argHash: number;
+
+    for (let index = 0; index < key.length; index++) {
+        arg = key[index];
+
+        if (
+            (typeof arg === 'object' && arg !== null) ||
+            typeof arg === 'function'
+        ) {
+            argHash = objectIds.get(arg);
+
+            if (argHash === undefined) {
+                argHash = ++objectIdCounter;
+
+                objectIds.set(arg, argHash);
+            }
+        } else {
+            argHash = hashString(typeof arg + String(arg));
+        }
+
+        hash = imul(hash ^ argHash, 0x01000193);
+    }
+
+    return hash;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a count-min sketch that approximates the frequency of keys, including those no
+ * longer in cache. Counters are halved once a sample of additions has been recorded, so
+ * that the history of keys which are no longer popular decays over time.
+ *
+ * @param maxSize the maximum size of the cache
+ * @returns the frequency sketch
+ */
+export function createFrequencySketch(maxSize: number): FrequencySketch {
+    const size = Math.min(Math.max(maxSize, 16), 1 << 20);
+
+    let capacity = 16;
+
+    while (capacity < size) {
+        capacity *= 2;
+    }
+
+    const width = capacity * 4;
+
+    return {
+        additions: 0,
+        counters: new Uint8Array(width * SKETCH_DEPTH),
+        sampleSize: capacity * 10,
+        width,
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the index of the counter for the hash in the row of the sketch
+ *
+ * @param sketch the frequency sketch
+ * @param hash the hash of the key
+ * @param row the row of the sketch
+ * @returns the index of the counter
+ */
+export function getSketchIndex(
+    sketch: FrequencySketch,
+    hash: number,
+    row: number
+) {
+    let index = imul(hash ^ SKETCH_SEEDS[row], 0x85ebca6b);
+
+    index ^= index >>> 13;
+    index = imul(index, 0xc2b2ae35);
+    index ^= index >>> 16;
+
+    return row * sketch.width + (index & (sketch.width - 1));
+}
+
+/**
+ * @private
+ *
+ * @description
+ * estimate the frequency of the hash in the sketch
+ *
+ * @param sketch the frequency sketch
+ * @param hash the hash of the key
+ * @returns the estimated frequency
+ */
+export function getSketchFrequency(sketch: FrequencySketch, hash: number) {
+    let frequency = SKETCH_MAX_COUNT;
+
+    for (let row = 0; row < SKETCH_DEPTH; row++) {
+        frequency = Math.min(
+            frequency,
+            sketch.counters[getSketchIndex(sketch, hash, row)]
+        );
+    }
+
+    return frequency;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * record an occurrence of the hash in the sketch, and halve all counters when the sample
+ * size has been reached
+ *
+ * @param sketch the frequency sketch
+ * @param hash the hash of the key
+ */
+export function incrementSketchFrequency(
+    sketch: FrequencySketch,
+    hash: number
+) {
+    const { counters } = sketch;
+
+    let isIncremented = false;
+    let counterIndex: number;
+
+    for (let row = 0; row < SKETCH_DEPTH; row++) {
+        counterIndex = getSketchIndex(sketch, hash, row);
+
+        if (counters[counterIndex] < SKETCH_MAX_COUNT) {
+            counters[counterIndex]++;
+
+            isIncremented = true;
+        }
+    }
+
+    if (isIncremented && ++sketch.additions >= sketch.sampleSize) {
+        for (let index = 0; index < counters.length; index++) {
+            counters[index] >>= 1;
+        }
+
+        sketch.additions = sketch.additions >> 1;
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the method that orders the cache based on the Window TinyLFU policy. New entries
+ * are added to a small window, and when the window is full its least-recently-used entry
+ * becomes a candidate for the main portion of the cache. When the cache is also full, the
+ * candidate is only admitted if it is estimated to be used more frequently than the
+ * least-recently-used entry of the main portion, and whichever is not kept is evicted.
+ *
+ * @param sketch the frequency sketch
+ * @param mainKeys the keys in the main portion of the cache
+ * @returns the method to order the cache
+ */
+export function createOrderByTinyLfu(
+    sketch: FrequencySketch,
+    mainKeys: WeakSet<Key>
+) {
+    return function orderByLru(
+        this: Cache,
+        key: Key,
+        value: any,
+        startingIndex: number
+    ) {
+        const { keys } = this;
+        const { maxSize } = this.options;
+
+        if (startingIndex < keys.length) {
+            moveEntryToFront(this, key, value, startingIndex);
+
+            return;
+        }
+
+        // a new entry is always the result of an access, which is only recorded on hits
+        incrementSketchFrequency(sketch, getFrequencyHash(key));
+
+        addEntryToFront(this, key, value);
+
+        const windowSize = Math.max(1, Math.round(maxSize * 0.01));
+
+        let windowCount = 0;
+        let windowIndex = -1;
+        let mainIndex = -1;
+
+        for (
+            let index = getOldestIndex(this);
+            index !== -1;
+            index = getNewerIndex(this, index)
+        ) {
+            if (mainKeys.has(keys[index])) {
+                if (mainIndex === -1) {
+                    mainIndex = index;
+                }
+            } else {
+                windowCount++;
+
+                if (windowIndex === -1) {
+                    windowIndex = index;
+                }
+            }
+        }
+
+        let evictionIndex = -1;
+
+        if (windowCount > windowSize) {
+            const candidate = keys[windowIndex];
+
+            if (keys.length <= maxSize) {
+                mainKeys.add(candidate);
+            } else if (
+                mainIndex !== -1 &&
+                getSketchFrequency(sketch, getFrequencyHash(candidate)) >
+                    getSketchFrequency(
+                        sketch,
+                        getFrequencyHash(keys[mainIndex])
+                    )
+            ) {
+                mainKeys.add(candidate);
+
+                evictionIndex = mainIndex;
+            } else {
+                evictionIndex = windowIndex;
+            }
+        } else if (keys.length > maxSize) {
+            evictionIndex = mainIndex !== -1 ? mainIndex : windowIndex;
+        }
+
+        if (evictionIndex !== -1) {
+            removeCacheEntry(this, evictionIndex);
+        }
+
+        while (keys.length > maxSize) {
+            removeCacheEntry(this, getOldestIndex(this));
+        }
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the Least-Frequently-Used policy to the cache
+ *
+ * @param cache the cache of the memoized function
+ */
+export function applyLfuPolicy(cache: Cache) {
+    // keyed by the cache key itself, so entries removed from cache are released automatically
+    const frequencies = new WeakMap<Key, number>();
+
+    addKeyIndexHook(cache, function (key: Key, getKeyIndex: GetKeyIndex) {
+        const keyIndex = getKeyIndex(key);
+
+        if (keyIndex !== -1) {
+            const cacheKey = cache.keys[keyIndex];
+
+            frequencies.set(cacheKey, (frequencies.get(cacheKey) || 0) + 1);
+        }
+
+        return keyIndex;
+    });
+    cache.orderByLru = createOrderByEviction(
+        createGetLfuEvictionIndex(frequencies)
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the Window TinyLFU policy to the cache
+ *
+ * @param cache the cache of the memoized function
+ */
+export function applyTinyLfuPolicy(cache: Cache) {
+    const sketch = createFrequencySketch(cache.options.maxSize);
+
+    addKeyIndexHook(cache, function (key: Key, getKeyIndex: GetKeyIndex) {
+        const keyIndex = getKeyIndex(key);
+
+        if (keyIndex !== -1) {
+            incrementSketchFrequency(
+                sketch,
+                getFrequencyHash(cache.keys[keyIndex])
+            );
+        }
+
+        return keyIndex;
+    });
+    cache.orderByLru = createOrderByTinyLfu(sketch, new WeakSet());
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the eviction policy to the cache, tracking the usage required to select which
+ * entry to evict when the cache is full
+ *
+ * @param cache the cache of the memoized function
+ * @param options the options passed to the moizer
+ */
+export function applyEvictionPolicy(cache: Cache, options: Options) {
+    if (!isFinite(options.maxSize)) {
+        return;
+    }
+
+    if (options.evictionPolicy === 'lfu') {
+        applyLfuPolicy(cache);
+    } else if (options.evictionPolicy === 'tinylfu') {
+        applyTinyLfuPolicy(cache);
+    }
+}
@@ -0,0 +1,253 @@
+import {
+    Cache,
+    EntryRemoveHook,
+    FindKeyIndex,
+    HashedIndex,
+    IsEqual,
+    IsMatchingKey,
+    Key,
+    OnCacheOperation,
+    Options,
+} from './types';
+import { getIsTrie } from './trie';
+import { createFindKeyIndex } from './utils';
+
+/**
+ * @private
+ *
+ * @constant UNHASHABLE
+ *
+ * @description
+ * marker returned when a key contains arguments that cannot be hashed
+ */
+export const UNHASHABLE = {};
+
+/**
+ * @private
+ *
+ * @description
+ * create the empty index of hashes to the positions of entries in cache
+ *
+ * @returns the hashed index
+ */
+export function createHashedIndex(): HashedIndex {
+    return {
+        multiple: new Map(),
+        single: new Map(),
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the hash of the key passed, if every argument in it is a primitive. Single-argument
+ * keys use the argument itself as the hash (as `Map` uses SameValueZero equality), and
+ * multiple-argument keys are encoded into a string where each argument is tagged by type
+ * so that values like `1` and `'1'` do not collide.
+ *
+ * @param key the key to hash
+ * @returns the hash of the key, or UNHASHABLE
+ */
+export function getKeyHash(key: Key): any {
+    const { length } = key;
+
+    if (length === 1) {
+        const type = typeof key[0];
+
+        return (type === 'object' && key[0] !== null) || type === 'function'
+            ? UNHASHABLE
+            : key[0];
+    }
+
+    let hash = '';
+    let arg: any;
+
+    for (let index = 0; index < length; index++) {
+        arg = key[index];
+
+        switch (typeof arg) {
+            case 'string':
+                hash += `s${arg.length}:${arg}`;
+                break;
+
+            case 'number':
+                hash += `n${arg}:`;
+                break;
+
+            case 'boolean':
+                hash += arg ? 't' : 'f';
+                break;
+
+            case 'undefined':
+                hash += 'u';
+                break;
+
+            case 'object':
+                if (arg === null) {
+                    hash += 'l';
+                    break;
+                }
+
+                return UNHASHABLE;
+
+            default:
+                return UNHASHABLE;
+        }
+    }
+
+    return hash;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the function that finds the index of the key in the list of cache keys, using
+ * the hashed index when the key can be hashed and falling back to iterative comparison
+ * when it cannot. The index holds the position of each entry in cache, which is kept up
+ * to date as entries move, so the entry is found without searching the list of keys
+ *
+ * @param index the hashed index
+ * @param findKeyIndex the iterative fallback for keys that cannot be hashed
+ * @returns the function that finds the index of the key
+ */
+export function createFindHashedKeyIndex(
+    index: HashedIndex,
+    findKeyIndex: FindKeyIndex
+): FindKeyIndex {
+    return function (keys: Key[], key: Key) {
+        const hash = getKeyHash(key);
+
+        if (hash === UNHASHABLE) {
+            return findKeyIndex(keys, key);
+        }
+
+        const node = (key.length === 1 ? index.single : index.multiple).get(
+            hash
+        );
+
+        return node ? node.index : -1;
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a function that, when an item is added to the cache, adds the position of its
+ * entry to the index
+ *
+ * @param index the hashed index
+ * @returns the onCacheAdd function to handle indexing
+ */
+export function createOnCacheAddIndexKey(index: HashedIndex): OnCacheOperation {
+    return function onCacheAdd(cache: Cache) {
+        const key = cache.keys[0];
+        const hash = getKeyHash(key);
+
+        if (hash !== UNHASHABLE) {
+            (key.length === 1 ? index.single : index.multiple).set(
+                hash,
+                cache.recency.nodes[0]
+            );
+        }
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a function that, when an entry is removed from cache, removes it from the index
+ *
+ * @param index the hashed index
+ * @returns the hook to handle the removal of entries
+ */
+export function createRemoveIndexedKey(index: HashedIndex): EntryRemoveHook {
+    return function (key: Key) {
+        const hash = getKeyHash(key);
+
+        if (hash === UNHASHABLE) {
+            return;
+        }
+
+        const map = key.length === 1 ? index.single : index.multiple;
+        const node = map.get(hash);
+
+        // the hash may since be held by a new entry for an equal key
+        if (node && node.index === -1) {
+            map.delete(hash);
+        }
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * is the hashed index used for the options passed
+ *
+ * @param options the options passed to the moizer
+ * @returns is the hashed index used
+ */
+export function getIsHashed(options: Options) {
+    if (
+        options.matchesArg ||
+        options.matchesKey ||
+        options.store ||
+        getIsTrie(options)
+    ) {
+        return false;
+    }
+
+    if (typeof options.isHashed === 'boolean') {
+        return options.isHashed;
+    }
+
+    // only hashed by default where `Map` is supported, as the index is held in one, and
+    // where keys may be hashed and there is more than one entry to find
+    return (
+        typeof Map === 'function' &&
+        (!!options.isSerialized ||
+            (options.maxSize > 1 &&
+                !options.isDeepEqual &&
+                !options.isShallowEqual))
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the options specific to the hashed index
+ *
+ * @param options the options passed to the moizer
+ * @param isEqual the function to test equality of the key on a per-argument basis
+ * @param isMatchingKey the function to test equality of the whole key
+ * @returns the object of options based on the entries passed
+ */
+export function getHashedOptions(
+    options: Options,
+    isEqual: IsEqual,
+    isMatchingKey: IsMatchingKey
+): {
+    findKeyIndex?: FindKeyIndex;
+    onCacheAdd?: OnCacheOperation;
+    onEntryRemove?: EntryRemoveHook;
+} {
+    if (!getIsHashed(options)) {
+        return {};
+    }
+
+    const index = createHashedIndex();
+
+    return {
+        findKeyIndex: createFindHashedKeyIndex(
+            index,
+            createFindKeyIndex(isEqual, isMatchingKey)
+        ),
+        onCacheAdd: createOnCacheAddIndexKey(index),
+        onEntryRemove: createRemoveIndexedKey(index),
+    };
+}
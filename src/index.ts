@@ -1,8 +1,21 @@
 import memoize from 'micro-memoize';
+import { applyAbortable, createAbortableFn, getIsAbortable } from './abort';
+import { applyMaxBytes } from './bytes';
+import { createManualClock } from './clock';
+import { createLazyMap, createLazySet } from './collections';
 import { createMoizedComponent } from './component';
+import { createConcurrencyLimitedFn } from './concurrency';
 import { DEFAULT_OPTIONS } from './constants';
+import { applyEvictionPolicy } from './eviction';
+import { getHashedOptions } from './hashed';
 import { createMoizeInstance } from './instance';
-import { getMaxAgeOptions } from './maxAge';
+import {
+    applyEvictedExpirations,
+    applyLazyExpiration,
+    applyUpdateExpire,
+    getIsCachingRejections,
+    getMaxAgeOptions,
+} from './maxAge';
 import {
     createOnCacheOperation,
     getIsEqual,
@@ -18,7 +31,9 @@ import {
     statsCache,
 } from './stats';
 import {
-    Expiration,
+    Concurrency,
+    Expirations,
+    GetMaxAge,
     IsEqual,
     IsMatchingKey,
     Key,
@@ -28,9 +43,32 @@ import {
     Moized,
     OnExpire,
     Options,
+    PendingKeys,
     Serialize,
+    Weights,
 } from './types';
-import { combine, compose, isMoized, mergeOptions } from './utils';
+import { createPartitionedMoized } from './partition';
+import { applyPendingPromises } from './pending';
+import {
+    applyRefresh,
+    createRecordedFn,
+    getIsRefreshed,
+    getRefreshOptions,
+} from './refresh';
+import { applyCacheRejections, applyRejectionRemoval } from './rejections';
+import { createRetriedFn } from './retry';
+import { createSharedCache, createSharedStore, getSharedCache } from './shared';
+import { createStoreMemoized } from './store';
+import { getTrieOptions } from './trie';
+import {
+    applyFindKeyIndex,
+    combine,
+    compose,
+    isMoized,
+    mergeOptions,
+} from './utils';
+import { applyWeakKeys, getWeakOptions } from './weak';
+import { applyMaxWeight, createWeights } from './weight';
 
 export * from './types';
 
@@ -111,56 +149,145 @@ const moize: Moize = function <
         return createMoizedComponent(moize, fn, options);
     }
 
+    if (options.partitionBy) {
+        return createPartitionedMoized(moize, fn, options);
+    }
+
     const coalescedOptions: Options = {
         ...DEFAULT_OPTIONS,
         ...options,
+        errorMaxAge:
+            typeof options.errorMaxAge === 'number' && options.errorMaxAge >= 0
+                ? options.errorMaxAge
+                : DEFAULT_OPTIONS.errorMaxAge,
         maxAge:
-            typeof options.maxAge === 'number' && options.maxAge >= 0
+            typeof options.maxAge === 'function' ||
+            (typeof options.maxAge === 'number' && options.maxAge >= 0)
                 ? options.maxAge
                 : DEFAULT_OPTIONS.maxAge,
         maxArgs:
             typeof options.maxArgs === 'number' && options.maxArgs >= 0
                 ? options.maxArgs
                 : DEFAULT_OPTIONS.maxArgs,
+        maxBytes:
+            typeof options.maxBytes === 'number' && options.maxBytes >= 0
+                ? options.maxBytes
+                : DEFAULT_OPTIONS.maxBytes,
+        maxLifetime:
+            typeof options.maxLifetime === 'number' && options.maxLifetime >= 0
+                ? options.maxLifetime
+                : DEFAULT_OPTIONS.maxLifetime,
         maxSize:
             typeof options.maxSize === 'number' && options.maxSize >= 0
                 ? options.maxSize
+                : typeof options.maxWeight === 'number' ||
+                  typeof options.maxBytes === 'number'
+                ? Infinity
                 : DEFAULT_OPTIONS.maxSize,
+        maxWeight:
+            typeof options.maxWeight === 'number' && options.maxWeight >= 0
+                ? options.maxWeight
+                : DEFAULT_OPTIONS.maxWeight,
         profileName: options.profileName || getDefaultProfileName(fn),
+        retries:
+            typeof options.retries === 'number' && options.retries >= 0
+                ? options.retries
+                : DEFAULT_OPTIONS.retries,
     };
-    const expirations: Array<Expiration> = [];
+
+    if (coalescedOptions.cacheName) {
+        coalescedOptions.store = createSharedStore(
+            getSharedCache(
+                coalescedOptions.cacheName,
+                coalescedOptions.maxSize
+            ),
+            coalescedOptions.profileName
+        );
+    }
+
+    const expirations: Expirations = createLazyMap();
+    const pending: PendingKeys = createLazySet();
+    const concurrency: Concurrency = { active: 0, queue: [] };
+    const weights: Weights = createWeights();
+    const byteWeights: Weights = createWeights();
 
     const {
+        cacheName: cacheNameIgnored,
+        cacheRejections: cacheRejectionsIgnored,
+        clock: clockIgnored,
+        earlyRefresh: earlyRefreshIgnored,
+        errorMaxAge: errorMaxAgeIgnored,
+        evictionPolicy: evictionPolicyIgnored,
+        expirationMode: expirationModeIgnored,
         matchesArg: equalsIgnored,
+        isAbortable: isAbortableIgnored,
         isDeepEqual: isDeepEqualIgnored,
+        isHashed: isHashedIgnored,
         isPromise,
         isReact: isReactIgnored,
         isSerialized: isSerialzedIgnored,
         isShallowEqual: isShallowEqualIgnored,
+        isTrie: isTrieIgnored,
+        isWeak: isWeakIgnored,
         matchesKey: matchesKeyIgnored,
         maxAge: maxAgeIgnored,
+        maxAgeJitter: maxAgeJitterIgnored,
         maxArgs: maxArgsIgnored,
+        maxBytes: maxBytesIgnored,
+        maxConcurrent: maxConcurrentIgnored,
+        maxLifetime: maxLifetimeIgnored,
         maxSize,
+        maxWeight: maxWeightIgnored,
         onCacheAdd,
         onCacheChange,
         onCacheHit,
         onExpire: onExpireIgnored,
+        onPromiseReject: onPromiseRejectIgnored,
+        onPromiseResolve: onPromiseResolveIgnored,
+        onRefresh: onRefreshIgnored,
+        onRefreshError: onRefreshErrorIgnored,
+        onReject: onRejectIgnored,
+        partitionBy: partitionByIgnored,
         profileName: profileNameIgnored,
+        promiseTimeout: promiseTimeoutIgnored,
+        refreshAhead: refreshAheadIgnored,
+        retries: retriesIgnored,
+        retryBackoff: retryBackoffIgnored,
+        retryDelay: retryDelayIgnored,
         serializer: serializerIgnored,
+        staleWhileRevalidate: staleWhileRevalidateIgnored,
+        store,
         transformArgs: transformArgsIgnored,
         updateExpire: updateExpireIgnored,
+        weigh: weighIgnored,
         ...customOptions
     } = coalescedOptions;
 
-    const isEqual = getIsEqual(coalescedOptions);
-    const isMatchingKey = getIsMatchingKey(coalescedOptions);
+    const baseIsEqual = getIsEqual(coalescedOptions);
+    const baseIsMatchingKey = getIsMatchingKey(coalescedOptions);
 
+    const weakOptions = getWeakOptions(
+        coalescedOptions,
+        baseIsEqual,
+        baseIsMatchingKey
+    );
+
+    const isEqual = weakOptions.isEqual || baseIsEqual;
+    const isMatchingKey = weakOptions.isMatchingKey || baseIsMatchingKey;
+
+    const hashedOptions = getHashedOptions(
+        coalescedOptions,
+        isEqual,
+        isMatchingKey
+    );
+    const trieOptions = getTrieOptions(coalescedOptions);
     const maxAgeOptions = getMaxAgeOptions(
         expirations,
         coalescedOptions,
         isEqual,
         isMatchingKey
     );
+    const refreshOptions = getRefreshOptions(expirations, coalescedOptions);
     const statsOptions = getStatsOptions(coalescedOptions);
 
     const transformKey = getTransformKey(coalescedOptions);
@@ -173,28 +300,111 @@ const moize: Moize = function <
         maxSize,
         onCacheAdd: createOnCacheOperation(
             combine(
+                hashedOptions.onCacheAdd,
+                trieOptions.onCacheAdd,
                 onCacheAdd,
                 maxAgeOptions.onCacheAdd,
+                refreshOptions.onCacheAdd,
                 statsOptions.onCacheAdd
             )
         ),
         onCacheChange: createOnCacheOperation(onCacheChange),
         onCacheHit: createOnCacheOperation(
-            combine(
-                onCacheHit,
-                maxAgeOptions.onCacheHit,
-                statsOptions.onCacheHit
-            )
+            combine(onCacheHit, statsOptions.onCacheHit)
         ),
         transformKey,
     };
 
-    const memoized = memoize(fn, microMemoizeOptions);
+    // entries are refreshed with the retries, timeout, and concurrency limit of calls,
+    // but are not recorded as the call of an entry added, nor aborted by callers
+    const refreshedFn = createConcurrencyLimitedFn(
+        createRetriedFn(fn, coalescedOptions),
+        coalescedOptions,
+        concurrency
+    );
+
+    // the compute time of entries includes any retries, and the time spent queued
+    const calledFn = createAbortableFn(
+        createRecordedFn(refreshedFn, coalescedOptions),
+        coalescedOptions
+    );
+
+    const memoized = store
+        ? createStoreMemoized(
+              calledFn,
+              refreshedFn,
+              store,
+              microMemoizeOptions,
+              expirations,
+              pending
+          )
+        : memoize(calledFn, microMemoizeOptions);
+
+    const findKeyIndex = hashedOptions.findKeyIndex || trieOptions.findKeyIndex;
+
+    if (findKeyIndex) {
+        applyFindKeyIndex(
+            memoized.cache,
+            findKeyIndex,
+            hashedOptions.onEntryRemove || trieOptions.onEntryRemove
+        );
+    }
+
+    // applied before the orderings wrapping it, so that the entries they evict are reported
+    if (maxAgeOptions.onCacheAdd) {
+        applyEvictedExpirations(memoized.cache, expirations, coalescedOptions);
+    }
+
+    if (
+        maxAgeOptions.onCacheAdd &&
+        coalescedOptions.expirationMode === 'lazy'
+    ) {
+        applyLazyExpiration(memoized.cache, expirations, coalescedOptions);
+    }
+
+    // a store refreshes its entries itself
+    if (maxAgeOptions.onCacheAdd && getIsRefreshed(coalescedOptions)) {
+        applyRefresh(memoized as Moized, refreshedFn, expirations);
+    }
+
+    if (maxAgeOptions.onCacheAdd && coalescedOptions.updateExpire) {
+        applyUpdateExpire(memoized.cache, expirations, coalescedOptions);
+    }
+
+    if (maxAgeOptions.onCacheAdd && getIsCachingRejections(coalescedOptions)) {
+        applyCacheRejections(memoized.cache, expirations, coalescedOptions);
+    } else if (isPromise && !store) {
+        applyRejectionRemoval(memoized.cache);
+    }
+
+    // a store tracks its pending entries itself
+    if (isPromise && !store) {
+        applyPendingPromises(memoized.cache, pending, coalescedOptions);
+    }
+
+    if (getIsAbortable(coalescedOptions) && !store) {
+        applyAbortable(memoized as Moized, coalescedOptions);
+    }
+
+    // the capacity of a store, and what it evicts, is owned by the store itself
+    if (!store) {
+        applyEvictionPolicy(memoized.cache, coalescedOptions);
+        applyMaxWeight(memoized.cache, coalescedOptions, weights);
+        applyMaxBytes(memoized.cache, coalescedOptions, byteWeights);
+    }
+
+    // applied last, so that the orderings applied before it receive the weakened key
+    applyWeakKeys(memoized as Moized, expirations, coalescedOptions);
 
     return createMoizeInstance<Fn, CombinedOptions>(memoized, {
+        byteWeights,
+        concurrency,
         expirations,
+        findKeyIndex,
         options: coalescedOptions,
         originalFunction: fn,
+        pending,
+        weights,
     });
 };
 
@@ -236,6 +446,36 @@ moize.compose = function (...moized: Moize[]) {
     return compose<Moize>(...moized) || moize;
 };
 
+/**
+ * @function
+ * @name createCache
+ * @memberof module:moize
+ * @alias moize.createCache
+ *
+ * @description
+ * create a cache whose capacity is shared by the moized functions that use it, by
+ * passing its name as the `cacheName` option
+ *
+ * @param [options] the options of the shared cache
+ * @returns the shared cache
+ */
+moize.createCache = createSharedCache;
+
+/**
+ * @function
+ * @name createManualClock
+ * @memberof module:moize
+ * @alias moize.createManualClock
+ *
+ * @description
+ * create a clock whose time only moves when advanced, to pass as the `clock` option
+ * so that expirations can be fired deterministically
+ *
+ * @param [startTime=0] the time the clock starts at
+ * @returns the manual clock
+ */
+moize.createManualClock = createManualClock;
+
 /**
  * @function
  * @name deep
@@ -347,11 +587,11 @@ moize.matchesKey = function (keyMatcher: IsMatchingKey) {
  * @description
  * a moized method where the age of the cache is limited to the number of milliseconds passed
  *
- * @param maxAge the TTL of the value in cache
+ * @param maxAge the TTL of the value in cache, or the method to compute it for each entry
  * @returns the moizer function
  */
 moize.maxAge = function maxAge<ExpireHandler>(
-    maxAge: number,
+    maxAge: number | GetMaxAge,
     expireOptions?: ExpireHandler
 ) {
     const type = typeof expireOptions;
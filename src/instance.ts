@@ -1,5 +1,20 @@
-import { clearExpiration } from './maxAge';
+import { getEntryBytes } from './bytes';
+import {
+    clearExpiration,
+    expireKeyIfStale,
+    pruneExpirations,
+    resetExpirationMaxAge,
+} from './maxAge';
+import { getPendingKeys } from './pending';
+import { getOrderedEntries } from './recency';
+import { setExpirationArgs } from './refresh';
 import { clearStats, getStats } from './stats';
+import {
+    addStoreEntry,
+    getStoreEntry,
+    getStoreKey,
+    removeStoreEntry,
+} from './store';
 import {
     Fn,
     Key,
@@ -10,7 +25,19 @@ import {
     Options,
     StatsProfile,
 } from './types';
-import { createFindKeyIndex } from './utils';
+import {
+    clearCacheEntries,
+    createFindKeyIndex,
+    getExpirationList,
+    removeCacheEntry,
+} from './utils';
+import { getLiveEntries } from './weak';
+import {
+    getCacheWeight,
+    getEntryWeight,
+    getIsWeighted,
+    getWeigh,
+} from './weight';
 
 const hasOwnProperty = Object.prototype.hasOwnProperty;
 
@@ -51,25 +78,55 @@ export function copyStaticProperties(
  */
 export function addInstanceMethods<OriginalFn extends Fn>(
     memoized: Moizeable,
-    { expirations }: MoizeConfiguration<OriginalFn>
+    {
+        byteWeights,
+        expirations,
+        findKeyIndex: findIndexedKeyIndex,
+        pending,
+    }: MoizeConfiguration<OriginalFn>
 ) {
     const { options } = memoized;
 
-    const findKeyIndex = createFindKeyIndex(
-        options.isEqual,
-        options.isMatchingKey
-    );
+    const findKeyIndex =
+        findIndexedKeyIndex ||
+        createFindKeyIndex(options.isEqual, options.isMatchingKey);
 
     const moized = (memoized as unknown) as Moized<OriginalFn, Options>;
 
+    /**
+     * @private
+     *
+     * @description
+     * find the index of the key in cache, treating the entry as missing if it has
+     * expired when expiring lazily
+     *
+     * @param key the key to find
+     * @returns the index of the key in cache
+     */
+    function findLiveKeyIndex(key: Key) {
+        const { cache } = moized;
+
+        const keyIndex = findKeyIndex(cache.keys, key);
+
+        // the entry may remain in cache if `onExpire` prevents its removal
+        return keyIndex !== -1 &&
+            moized.options.expirationMode === 'lazy' &&
+            expireKeyIfStale(expirations, cache.keys[keyIndex], moized.options)
+            ? findKeyIndex(cache.keys, key)
+            : keyIndex;
+    }
+
     moized.clear = function () {
         const {
             _microMemoizeOptions: { onCacheChange },
             cache,
         } = moized;
 
-        cache.keys.length = 0;
-        cache.values.length = 0;
+        clearCacheEntries(cache);
+
+        expirations.forEach(function (expiration, key) {
+            clearExpiration(expirations, key, true, moized.options);
+        });
 
         if (onCacheChange) {
             onCacheChange(cache, moized.options, moized);
@@ -83,19 +140,41 @@ export function addInstanceMethods<OriginalFn extends Fn>(
     };
 
     moized.get = function (key: Key) {
+        const { transformKey } = moized._microMemoizeOptions;
+
+        const cacheKey = transformKey ? transformKey(key) : key;
+        const keyIndex = findLiveKeyIndex(cacheKey);
+
+        return keyIndex !== -1 ? moized.apply(this, key) : undefined;
+    };
+
+    moized.getBytes = function (key: Key) {
         const {
             _microMemoizeOptions: { transformKey },
             cache,
         } = moized;
 
-        const cacheKey = transformKey ? transformKey(key) : key;
-        const keyIndex = findKeyIndex(cache.keys, cacheKey);
+        const keyIndex = findKeyIndex(
+            cache.keys,
+            transformKey ? transformKey(key) : key
+        );
 
-        return keyIndex !== -1 ? moized.apply(this, key) : undefined;
+        return keyIndex !== -1
+            ? getEntryWeight(
+                  byteWeights,
+                  getEntryBytes,
+                  cache.keys[keyIndex],
+                  cache.values[keyIndex]
+              )
+            : undefined;
     };
 
     moized.getStats = function (): StatsProfile {
-        return getStats(moized.options.profileName);
+        const stats = getStats(moized.options.profileName);
+
+        return getIsWeighted(moized.options)
+            ? { ...stats, weight: moized.weight }
+            : stats;
     };
 
     moized.has = function (key: Key) {
@@ -103,11 +182,25 @@ export function addInstanceMethods<OriginalFn extends Fn>(
 
         const cacheKey = transformKey ? transformKey(key) : key;
 
-        return findKeyIndex(moized.cache.keys, cacheKey) !== -1;
+        return findLiveKeyIndex(cacheKey) !== -1;
     };
 
     moized.keys = function () {
-        return moized.cacheSnapshot.keys;
+        if (moized.options.expirationMode === 'lazy') {
+            pruneExpirations(expirations, moized.options);
+        }
+
+        return moized.options.isWeak
+            ? getLiveEntries(moized.cache).keys
+            : moized.cacheSnapshot.keys;
+    };
+
+    moized.pending = function () {
+        return getPendingKeys(pending);
+    };
+
+    moized.prune = function () {
+        pruneExpirations(expirations, moized.options);
     };
 
     moized.remove = function (key: Key) {
@@ -127,19 +220,18 @@ export function addInstanceMethods<OriginalFn extends Fn>(
 
         const existingKey = cache.keys[keyIndex];
 
-        cache.keys.splice(keyIndex, 1);
-        cache.values.splice(keyIndex, 1);
+        removeCacheEntry(cache, keyIndex);
 
         if (onCacheChange) {
             onCacheChange(cache, moized.options, moized);
         }
 
-        clearExpiration(expirations, existingKey, true);
+        clearExpiration(expirations, existingKey, true, moized.options);
 
         return true;
     };
 
-    moized.set = function (key: Key, value: any) {
+    moized.set = function (key: Key, value: any, maxAge?: number) {
         const { _microMemoizeOptions, cache, options } = moized;
         const {
             onCacheAdd,
@@ -151,18 +243,22 @@ export function addInstanceMethods<OriginalFn extends Fn>(
         const keyIndex = findKeyIndex(cache.keys, cacheKey);
 
         if (keyIndex === -1) {
-            const cutoff = options.maxSize - 1;
+            cache.orderByLru(cacheKey, value, cache.size);
 
-            if (cache.size > cutoff) {
-                cache.keys.length = cutoff;
-                cache.values.length = cutoff;
+            if (onCacheAdd) {
+                onCacheAdd(cache, options, moized);
             }
 
-            cache.keys.unshift(cacheKey);
-            cache.values.unshift(value);
+            setExpirationArgs(expirations.get(cacheKey), options, key);
 
-            if (onCacheAdd) {
-                onCacheAdd(cache, options, moized);
+            if (typeof maxAge === 'number') {
+                resetExpirationMaxAge(
+                    expirations,
+                    expirations.get(cacheKey),
+                    moized.options,
+                    value,
+                    maxAge
+                );
             }
 
             if (onCacheChange) {
@@ -173,9 +269,16 @@ export function addInstanceMethods<OriginalFn extends Fn>(
 
             cache.values[keyIndex] = value;
 
-            if (keyIndex > 0) {
-                cache.orderByLru(existingKey, value, keyIndex);
-            }
+            // ordered even when already first, so any limit on weight is applied to the new value
+            cache.orderByLru(existingKey, value, keyIndex);
+
+            resetExpirationMaxAge(
+                expirations,
+                expirations.get(existingKey),
+                moized.options,
+                value,
+                maxAge
+            );
 
             if (typeof onCacheChange === 'function') {
                 onCacheChange(cache, options, moized);
@@ -184,7 +287,110 @@ export function addInstanceMethods<OriginalFn extends Fn>(
     };
 
     moized.values = function () {
-        return moized.cacheSnapshot.values;
+        if (moized.options.expirationMode === 'lazy') {
+            pruneExpirations(expirations, moized.options);
+        }
+
+        return moized.options.isWeak
+            ? getLiveEntries(moized.cache).values
+            : moized.cacheSnapshot.values;
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * replace the methods of the moized function object that manipulate the cache with
+ * ones that manipulate the store passed in options
+ *
+ * @param memoized the memoized function from the store
+ */
+export function addStoreInstanceMethods<OriginalFn extends Fn>(
+    memoized: Moizeable,
+    { expirations }: MoizeConfiguration<OriginalFn>
+) {
+    const moized = (memoized as unknown) as Moized<OriginalFn, Options>;
+
+    function getEntryStoreKey(key: Key) {
+        const { transformKey } = moized._microMemoizeOptions;
+
+        return getStoreKey(transformKey ? transformKey(key) : key);
+    }
+
+    moized.clear = function () {
+        const {
+            _microMemoizeOptions: { onCacheChange },
+            cache,
+        } = moized;
+
+        moized.options.store.clear();
+
+        expirations.forEach(function (expiration, storeKey) {
+            clearExpiration(expirations, storeKey, true, moized.options);
+        });
+
+        if (onCacheChange) {
+            onCacheChange(cache, moized.options, moized);
+        }
+
+        return true;
+    };
+
+    moized.get = function (key: Key) {
+        return getStoreEntry(moized, expirations, getEntryStoreKey(key))
+            ? moized.apply(this, key)
+            : undefined;
+    };
+
+    moized.has = function (key: Key) {
+        return !!getStoreEntry(moized, expirations, getEntryStoreKey(key));
+    };
+
+    moized.remove = function (key: Key) {
+        return removeStoreEntry(moized, expirations, getEntryStoreKey(key));
+    };
+
+    moized.set = function (key: Key, value: any, maxAge?: number) {
+        const { _microMemoizeOptions, cache, options } = moized;
+        const { onCacheChange, transformKey } = _microMemoizeOptions;
+
+        const cacheKey = transformKey ? transformKey(key) : key;
+        const storeKey = getStoreKey(cacheKey);
+        const existingEntry = options.store.get(storeKey);
+
+        if (!existingEntry) {
+            addStoreEntry(moized, expirations, storeKey, {
+                key: cacheKey,
+                value,
+            });
+
+            setExpirationArgs(expirations.get(storeKey), options, key);
+
+            if (typeof maxAge === 'number') {
+                resetExpirationMaxAge(
+                    expirations,
+                    expirations.get(storeKey),
+                    options,
+                    value,
+                    maxAge
+                );
+            }
+        } else {
+            options.store.set(storeKey, { key: existingEntry.key, value });
+
+            resetExpirationMaxAge(
+                expirations,
+                expirations.get(storeKey),
+                options,
+                value,
+                maxAge
+            );
+
+            if (typeof onCacheChange === 'function') {
+                onCacheChange(cache, options, moized);
+            }
+        }
     };
 }
 
@@ -195,20 +401,28 @@ export function addInstanceMethods<OriginalFn extends Fn>(
  * add propeties to the moized fuction object that surfaces extra information
  *
  * @param memoized the memoized function
- * @param expirations the list of expirations for cache items
+ * @param byteWeights the estimated bytes of the entries in cache
+ * @param concurrency the state of the calls running and queued
+ * @param expirations the expirations for cache items
  * @param options the options passed to the moizer
  * @param originalFunction the function that is being memoized
+ * @param weights the weights of the entries in cache
  */
 export function addInstanceProperties<OriginalFn extends Moizeable>(
     memoized: Memoized<OriginalFn>,
     {
+        byteWeights,
+        concurrency,
         expirations,
         options: moizeOptions,
         originalFunction,
+        weights,
     }: MoizeConfiguration<OriginalFn>
 ) {
     const { options: microMemoizeOptions } = memoized;
 
+    const weigh = getWeigh(moizeOptions);
+
     Object.defineProperties(memoized, {
         _microMemoizeOptions: {
             configurable: true,
@@ -217,15 +431,27 @@ export function addInstanceProperties<OriginalFn extends Moizeable>(
             },
         },
 
+        bytes: {
+            configurable: true,
+            get() {
+                return getCacheWeight(
+                    memoized.cache,
+                    byteWeights,
+                    getEntryBytes
+                );
+            },
+        },
+
         cacheSnapshot: {
             configurable: true,
             get() {
                 const { cache: currentCache } = memoized;
+                const { keys, values } = getOrderedEntries(currentCache);
 
                 return {
-                    keys: currentCache.keys.slice(0),
+                    keys,
                     size: currentCache.size,
-                    values: currentCache.values.slice(0),
+                    values,
                 };
             },
         },
@@ -233,14 +459,14 @@ export function addInstanceProperties<OriginalFn extends Moizeable>(
         expirations: {
             configurable: true,
             get() {
-                return expirations;
+                return getExpirationList(expirations);
             },
         },
 
         expirationsSnapshot: {
             configurable: true,
             get() {
-                return expirations.slice(0);
+                return getExpirationList(expirations);
             },
         },
 
@@ -264,6 +490,20 @@ export function addInstanceProperties<OriginalFn extends Moizeable>(
                 return originalFunction;
             },
         },
+
+        queueSize: {
+            configurable: true,
+            get() {
+                return concurrency.queue.length;
+            },
+        },
+
+        weight: {
+            configurable: true,
+            get() {
+                return getCacheWeight(memoized.cache, weights, weigh);
+            },
+        },
     });
 
     const moized = (memoized as unknown) as Moized<OriginalFn, Options>;
@@ -291,5 +531,9 @@ export function createMoizeInstance<
     addInstanceMethods<OriginalFn>(memoized, configuration);
     addInstanceProperties<OriginalFn>(memoized, configuration);
 
+    if (configuration.options.store) {
+        addStoreInstanceMethods<OriginalFn>(memoized, configuration);
+    }
+
     return memoized as Moized<OriginalFn, CombinedOptions>;
 }
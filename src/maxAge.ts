@@ -1,60 +1,572 @@
 import {
     Cache,
     Expiration,
+    ExpirationReason,
+    Expirations,
     Fn,
+    GetKeyIndex,
     IsEqual,
     IsMatchingKey,
     Key,
     OnCacheOperation,
     Options,
 } from './types';
-import { createFindKeyIndex, findExpirationIndex } from './utils';
+import { getClock } from './clock';
+import { getScheduler } from './scheduler';
+import {
+    addEntryRemoveHook,
+    addKeyIndexHook,
+    createFindKeyIndex,
+    isActiveExpiration,
+    removeCacheEntry,
+} from './utils';
 
 /**
  * @private
  *
  * @description
- * clear an active expiration and remove it from the list if applicable
+ * clear an active expiration and remove it from the expirations if applicable
  *
- * @param expirations the list of expirations
+ * @param expirations the expirations for cache items
  * @param key the key to clear
- * @param shouldRemove should the expiration be removed from the list
+ * @param shouldRemove should the expiration be removed from the expirations
+ * @param options the options passed to the moizer
  */
 export function clearExpiration(
-    expirations: Expiration[],
-    key: Key,
-    shouldRemove?: boolean
+    expirations: Expirations,
+    key: Key | string,
+    shouldRemove: boolean,
+    options: Options
 ) {
-    const expirationIndex = findExpirationIndex(expirations, key);
+    const expiration = expirations.get(key);
 
-    if (expirationIndex !== -1) {
-        clearTimeout(expirations[expirationIndex].timeoutId);
+    if (expiration) {
+        getScheduler(options).cancel(expiration);
 
         if (shouldRemove) {
-            expirations.splice(expirationIndex, 1);
+            expirations.delete(key);
+        }
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * does the options passed have a maxAge that entries can expire based on
+ *
+ * @param options the options passed to the moizer
+ * @returns does the maxAge apply
+ */
+export function hasMaxAge(options: Options) {
+    const { maxAge } = options;
+
+    return (
+        typeof maxAge === 'function' ||
+        (typeof maxAge === 'number' && isFinite(maxAge))
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * does the options passed have a maxLifetime that caps the total age of entries
+ *
+ * @param options the options passed to the moizer
+ * @returns does the maxLifetime apply
+ */
+export function hasMaxLifetime(options: Options) {
+    const { maxLifetime } = options;
+
+    return typeof maxLifetime === 'number' && isFinite(maxLifetime);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * randomize the maxAge passed by up to the `maxAgeJitter` fraction of it either way,
+ * so that entries added at the same time do not all expire at the same time
+ *
+ * @param maxAge the maxAge to randomize
+ * @param options the options passed to the moizer
+ * @returns the randomized maxAge
+ */
+export function applyMaxAgeJitter(maxAge: number, options: Options) {
+    const { maxAgeJitter } = options;
+
+    if (
+        typeof maxAgeJitter !== 'number' ||
+        maxAgeJitter <= 0 ||
+        !isFinite(maxAge)
+    ) {
+        return maxAge;
+    }
+
+    return Math.max(
+        Math.round(maxAge * (1 + maxAgeJitter * (Math.random() * 2 - 1))),
+        0
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the maxAge of the entry, computing it from the key and value when `maxAge` is
+ * a function, with the `maxAgeJitter` applied
+ *
+ * @param options the options passed to the moizer
+ * @param key the key of the entry
+ * @param value the value of the entry
+ * @returns the maxAge of the entry
+ */
+export function getMaxAge(options: Options, key: Key, value: any): number {
+    const { maxAge } = options;
+
+    if (typeof maxAge === 'function') {
+        return applyMaxAgeJitter(maxAge(key, value), options);
+    }
+
+    // entries only expire based on their maxLifetime when there is no maxAge
+    return applyMaxAgeJitter(
+        typeof maxAge === 'number' ? maxAge : Infinity,
+        options
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the limit that the time the expiration fires at is based on, which is the
+ * maxLifetime when it is capped by it
+ *
+ * @param expiration the expiration to get the reason of
+ * @param options the options passed to the moizer
+ * @returns the reason the entry expires
+ */
+export function getExpirationReason(
+    expiration: Expiration,
+    options: Options
+): ExpirationReason {
+    return hasMaxLifetime(options) &&
+        expiration.expiresAt >= expiration.createdAt + options.maxLifetime
+        ? 'maxLifetime'
+        : 'maxAge';
+}
+
+/**
+ * @private
+ *
+ * @description
+ * schedule the expiration to fire once the maxAge of its entry has passed, replacing
+ * any time it was previously scheduled for. The time is capped at the maxLifetime of
+ * the entry, so that renewing the expiration cannot keep the entry beyond it. When
+ * expiring lazily, only the time is stored, and the expiration fires once the entry
+ * is next accessed after that time.
+ *
+ * @param expiration the expiration to schedule
+ * @param options the options passed to the moizer
+ * @param age the time until the expiration fires, if not the maxAge of the entry
+ */
+export function scheduleExpiration(
+    expiration: Expiration,
+    options: Options,
+    age: number = expiration.maxAge
+) {
+    const expiresAt = getClock(options).now() + age;
+
+    expiration.expiresAt = hasMaxLifetime(options)
+        ? Math.min(expiresAt, expiration.createdAt + options.maxLifetime)
+        : expiresAt;
+
+    // entries without a finite maxAge (or with one not yet known) never expire
+    if (!isFinite(expiration.expiresAt)) {
+        getScheduler(options).cancel(expiration);
+    } else if (options.expirationMode !== 'lazy') {
+        getScheduler(options).schedule(expiration);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * should entries be served stale while they are revalidated, once their maxAge has passed
+ *
+ * @param options the options passed to the moizer
+ * @returns are entries revalidated
+ */
+export function getIsStaleWhileRevalidate(options: Options) {
+    return (
+        !!options.isPromise &&
+        typeof options.staleWhileRevalidate === 'number' &&
+        options.staleWhileRevalidate > 0
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * are rejected promises kept in cache, so that the rejection is served to callers
+ * until its expiration instead of the call being retried
+ *
+ * @param options the options passed to the moizer
+ * @returns are rejections cached
+ */
+export function getIsCachingRejections(options: Options) {
+    return !!options.isPromise && !!options.cacheRejections;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * mark the entry of the expiration as stale if it can be revalidated, so that it is
+ * kept in cache for the `staleWhileRevalidate` window instead of being removed. Entries
+ * that have reached their maxLifetime, or are cached rejections, are not served stale.
+ *
+ * @param expiration the expiration that has fired, if any
+ * @param options the options passed to the moizer
+ * @returns was the entry marked as stale
+ */
+export function markExpirationStale(
+    expiration: Expiration | undefined,
+    options: Options
+) {
+    if (
+        !expiration ||
+        expiration.isStale ||
+        expiration.isRejected ||
+        !getIsStaleWhileRevalidate(options) ||
+        getExpirationReason(expiration, options) === 'maxLifetime'
+    ) {
+        return false;
+    }
+
+    expiration.isStale = true;
+
+    scheduleExpiration(expiration, options, options.staleWhileRevalidate);
+
+    return true;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * set the maxAge of the expiration based on the value of its entry, and schedule it.
+ * When the value is a promise and the maxAge is computed, the entry does not expire
+ * until the promise resolves, at which point the maxAge is computed from the
+ * resolved value.
+ *
+ * @param expirations the expirations for cache items
+ * @param expiration the expiration to schedule
+ * @param options the options passed to the moizer
+ * @param value the value of the entry
+ */
+export function setExpirationMaxAge(
+    expirations: Expirations,
+    expiration: Expiration,
+    options: Options,
+    value: any
+) {
+    if (
+        typeof options.maxAge !== 'function' ||
+        !options.isPromise ||
+        !value ||
+        typeof value.then !== 'function'
+    ) {
+        expiration.maxAge = getMaxAge(options, expiration.key, value);
+
+        scheduleExpiration(expiration, options);
+
+        return;
+    }
+
+    expiration.maxAge = Infinity;
+
+    scheduleExpiration(expiration, options);
+
+    value.then(
+        function (resolvedValue: any) {
+            // the entry may have been removed, or given an explicit maxAge, before resolving
+            if (
+                isActiveExpiration(expirations, expiration) &&
+                expiration.maxAge === Infinity
+            ) {
+                expiration.maxAge = getMaxAge(
+                    options,
+                    expiration.key,
+                    resolvedValue
+                );
+
+                scheduleExpiration(expiration, options);
+            }
+        },
+        function () {
+            // rejections are handled by the cache
+        }
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * reset the maxAge of the expiration when the value of its entry is set, either to
+ * the explicit maxAge passed or to the one computed from the new value. An entry that
+ * was a cached rejection no longer expires based on the `errorMaxAge`.
+ *
+ * @param expirations the expirations for cache items
+ * @param expiration the expiration to reset, if any
+ * @param options the options passed to the moizer
+ * @param value the new value of the entry
+ * @param maxAge the explicit maxAge of the entry, if any
+ */
+export function resetExpirationMaxAge(
+    expirations: Expirations,
+    expiration: Expiration | undefined,
+    options: Options,
+    value: any,
+    maxAge: number | undefined
+) {
+    if (!expiration) {
+        return;
+    }
+
+    const { isRejected } = expiration;
+
+    expiration.isRejected = false;
+
+    if (typeof maxAge === 'number') {
+        expiration.isPending = false;
+        expiration.maxAge = maxAge;
+
+        scheduleExpiration(expiration, options);
+    } else if (typeof options.maxAge === 'function') {
+        expiration.isPending = false;
+
+        setExpirationMaxAge(expirations, expiration, options, value);
+    } else if (isRejected) {
+        expiration.isPending = false;
+        expiration.maxAge = getMaxAge(options, expiration.key, value);
+
+        scheduleExpiration(expiration, options);
+    } else if (expiration.isPending) {
+        // the new value is not affected by the expiration of the one it replaced
+        expiration.isPending = false;
+
+        scheduleExpiration(expiration, options);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * handle the expiration of an entry by calling `onExpire` with the limit that triggered
+ * it, and either keeping the entry (re-arming its expiration) if it returns `false`, or
+ * removing it otherwise. An entry kept past its maxLifetime starts a new one. When
+ * `onExpire` returns a promise, the entry remains available and its expiration is
+ * pending until the promise settles, where a rejection removes the entry. If the entry
+ * is removed or replaced before then, the result is ignored.
+ *
+ * @param expirations the expirations for cache items
+ * @param expiration the expiration that has fired
+ * @param options the options passed to the moizer
+ * @param removeEntry the method to remove the entry and its expiration
+ */
+export function handleExpiration(
+    expirations: Expirations,
+    expiration: Expiration,
+    options: Options,
+    removeEntry: () => void
+) {
+    const { onExpire } = options;
+
+    const reason = getExpirationReason(expiration, options);
+    const result =
+        typeof onExpire === 'function'
+            ? onExpire(expiration.key, reason)
+            : undefined;
+
+    const retain = function () {
+        if (reason === 'maxLifetime') {
+            expiration.createdAt = getClock(options).now();
+        }
+
+        scheduleExpiration(expiration, options);
+    };
+
+    if (!result || typeof result.then !== 'function') {
+        if (result === false) {
+            retain();
+        } else {
+            removeEntry();
         }
+
+        return;
     }
+
+    const { expiresAt } = expiration;
+
+    const settle = function (shouldRetain: boolean) {
+        // replacing the entry re-arms its expiration
+        if (
+            !isActiveExpiration(expirations, expiration) ||
+            expiration.expiresAt !== expiresAt
+        ) {
+            return;
+        }
+
+        expiration.isPending = false;
+
+        if (shouldRetain) {
+            retain();
+        } else {
+            removeEntry();
+        }
+    };
+
+    expiration.isPending = true;
+
+    result.then(
+        function (isExpired: boolean) {
+            settle(isExpired === false);
+        },
+        function () {
+            settle(false);
+        }
+    );
 }
 
 /**
  * @private
  *
  * @description
- * Create the timeout for the given expiration method. If the ability to `unref`
- * exists, then apply it to avoid process locks in NodeJS.
+ * reset the expiration of an entry that has been used, if `updateExpire` is set
  *
- * @param expirationMethod the method to fire upon expiration
- * @param maxAge the time to expire after
- * @returns the timeout ID
+ * @param expiration the expiration to reset, if any
+ * @param options the options passed to the moizer
  */
-export function createTimeout(expirationMethod: () => void, maxAge: number) {
-    const timeoutId = setTimeout(expirationMethod, maxAge);
+export function resetExpiration(
+    expiration: Expiration | undefined,
+    options: Options
+) {
+    // stale entries keep the time they expire until revalidated, pending ones until
+    // `onExpire` settles, and cached rejections until retried
+    if (
+        options.updateExpire &&
+        expiration &&
+        !expiration.isStale &&
+        !expiration.isPending &&
+        !expiration.isRejected
+    ) {
+        scheduleExpiration(expiration, options);
+    }
+}
 
-    if (typeof timeoutId.unref === 'function') {
-        timeoutId.unref();
+/**
+ * @private
+ *
+ * @description
+ * fire the expiration if the time it expires at has passed
+ *
+ * @param expiration the expiration to check, if any
+ * @param options the options passed to the moizer
+ * @returns was the expiration fired
+ */
+export function expireIfStale(
+    expiration: Expiration | undefined,
+    options: Options
+) {
+    // pending expirations have fired already, and are waiting on `onExpire`
+    if (
+        !expiration ||
+        expiration.isPending ||
+        expiration.expiresAt > getClock(options).now()
+    ) {
+        return false;
     }
 
-    return timeoutId;
+    expiration.expirationMethod();
+
+    return true;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * fire the expiration of the key in cache, if the time it expires at has passed
+ *
+ * @param expirations the expirations for cache items
+ * @param key the key in cache
+ * @param options the options passed to the moizer
+ * @returns was the expiration fired
+ */
+export function expireKeyIfStale(
+    expirations: Expirations,
+    key: Key,
+    options: Options
+) {
+    return expireIfStale(expirations.get(key), options);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * fire the expirations whose time to expire at has passed
+ *
+ * @param expirations the expirations for cache items
+ * @param options the options passed to the moizer
+ */
+export function pruneExpirations(expirations: Expirations, options: Options) {
+    const now = getClock(options).now();
+    const expired: Expiration[] = [];
+
+    // collected first, as firing an expiration can remove it from the expirations
+    expirations.forEach(function (expiration) {
+        if (!expiration.isPending && expiration.expiresAt <= now) {
+            expired.push(expiration);
+        }
+    });
+
+    for (let index = 0; index < expired.length; index++) {
+        expired[index].expirationMethod();
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the lookup of keys that treats entries whose time to expire at has passed as
+ * missing, firing their expirations as they are found
+ *
+ * @param cache the cache of the memoized function
+ * @param expirations the expirations for cache items
+ * @param options the options passed to the moizer
+ */
+export function applyLazyExpiration(
+    cache: Cache,
+    expirations: Expirations,
+    options: Options
+) {
+    addKeyIndexHook(cache, function (key: Key, getKeyIndex: GetKeyIndex) {
+        const keyIndex = getKeyIndex(key);
+
+        // the entry may remain in cache if `onExpire` prevents its removal
+        return keyIndex !== -1 &&
+            expireKeyIfStale(expirations, cache.keys[keyIndex], options)
+            ? getKeyIndex(key)
+            : keyIndex;
+    });
 }
 
 /**
@@ -63,20 +575,18 @@ export function createTimeout(expirationMethod: () => void, maxAge: number) {
  * @description
  * create a function that, when an item is added to the cache, adds an expiration for it
  *
- * @param expirations the mutable expirations array
+ * @param expirations the mutable expirations for cache items
  * @param options the options passed on initialization
  * @param isEqual the function to check argument equality
  * @param isMatchingKey the function to check complete key equality
  * @returns the onCacheAdd function to handle expirations
  */
 export function createOnCacheAddSetExpiration(
-    expirations: Expiration[],
+    expirations: Expirations,
     options: Options,
     isEqual: IsEqual,
     isMatchingKey: IsMatchingKey
 ): OnCacheOperation {
-    const { maxAge } = options;
-
     return function onCacheAdd(
         cache: Cache,
         moizedOptions: Options,
@@ -84,44 +594,66 @@ export function createOnCacheAddSetExpiration(
     ) {
         const key: any = cache.keys[0];
 
-        if (findExpirationIndex(expirations, key) === -1) {
-            const expirationMethod = function () {
+        if (!expirations.has(key)) {
+            const expiration: Expiration = {
+                createdAt: getClock(options).now(),
+                expirationMethod: undefined,
+                expiresAt: undefined,
+                key,
+                maxAge: undefined,
+            };
+
+            const removeEntry = function () {
                 const findKeyIndex = createFindKeyIndex(isEqual, isMatchingKey);
 
                 const keyIndex: number = findKeyIndex(cache.keys, key);
-                const value: any = cache.values[keyIndex];
 
                 if (~keyIndex) {
-                    cache.keys.splice(keyIndex, 1);
-                    cache.values.splice(keyIndex, 1);
+                    removeCacheEntry(cache, keyIndex);
 
                     if (typeof options.onCacheChange === 'function') {
                         options.onCacheChange(cache, moizedOptions, moized);
                     }
                 }
 
-                clearExpiration(expirations, key, true);
-
-                if (
-                    typeof options.onExpire === 'function' &&
-                    options.onExpire(key) === false
-                ) {
-                    cache.keys.unshift(key);
-                    cache.values.unshift(value);
-
-                    onCacheAdd(cache, moizedOptions, moized);
+                clearExpiration(expirations, key, true, options);
+            };
 
-                    if (typeof options.onCacheChange === 'function') {
-                        options.onCacheChange(cache, moizedOptions, moized);
-                    }
+            expiration.expirationMethod = function () {
+                if (!markExpirationStale(expiration, options)) {
+                    handleExpiration(
+                        expirations,
+                        expiration,
+                        options,
+                        removeEntry
+                    );
                 }
             };
 
-            expirations.push({
-                expirationMethod,
-                key,
-                timeoutId: createTimeout(expirationMethod, maxAge),
-            });
+            expirations.set(key, expiration);
+
+            const value = cache.values[0];
+
+            setExpirationMaxAge(expirations, expiration, options, value);
+
+            // the countdown of promises starts again once they resolve
+            if (
+                options.updateExpire &&
+                options.isPromise &&
+                value &&
+                typeof value.then === 'function'
+            ) {
+                value.then(
+                    function () {
+                        if (isActiveExpiration(expirations, expiration)) {
+                            resetExpiration(expiration, options);
+                        }
+                    },
+                    function () {
+                        // rejections are handled by the cache
+                    }
+                );
+            }
         }
     };
 }
@@ -130,29 +662,49 @@ export function createOnCacheAddSetExpiration(
  * @private
  *
  * @description
- * creates a function that, when a cache item is hit, reset the expiration
+ * apply the lookup of keys that resets the expiration of entries as they are found.
+ * This is done on lookup rather than in `onCacheHit`, as that is called before the
+ * entry hit is moved to the front of the cache, and so its key is not known.
  *
- * @param expirations the mutable expirations array
- * @param options the options passed on initialization
- * @returns the onCacheAdd function to handle expirations
+ * @param cache the cache of the memoized function
+ * @param expirations the expirations for cache items
+ * @param options the options passed to the moizer
  */
-export function createOnCacheHitResetExpiration(
-    expirations: Expiration[],
+export function applyUpdateExpire(
+    cache: Cache,
+    expirations: Expirations,
     options: Options
-): OnCacheOperation {
-    return function onCacheHit(cache: Cache) {
-        const key = cache.keys[0];
-        const expirationIndex = findExpirationIndex(expirations, key);
-
-        if (~expirationIndex) {
-            clearExpiration(expirations, key, false);
+) {
+    addKeyIndexHook(cache, function (key: Key, getKeyIndex: GetKeyIndex) {
+        const keyIndex = getKeyIndex(key);
 
-            expirations[expirationIndex].timeoutId = createTimeout(
-                expirations[expirationIndex].expirationMethod,
-                options.maxAge
-            );
+        if (keyIndex !== -1) {
+            resetExpiration(expirations.get(cache.keys[keyIndex]), options);
         }
-    };
+
+        return keyIndex;
+    });
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the removal of the expirations of entries as they are removed from cache, as
+ * those evicted when an entry is added are not removed through their expiration
+ *
+ * @param cache the cache of the memoized function
+ * @param expirations the expirations for cache items
+ * @param options the options passed to the moizer
+ */
+export function applyEvictedExpirations(
+    cache: Cache,
+    expirations: Expirations,
+    options: Options
+) {
+    addEntryRemoveHook(cache, function (key: Key) {
+        clearExpiration(expirations, key, true, options);
+    });
 }
 
 /**
@@ -168,16 +720,19 @@ export function createOnCacheHitResetExpiration(
  * @returns the object of options based on the entries passed
  */
 export function getMaxAgeOptions(
-    expirations: Expiration[],
+    expirations: Expirations,
     options: Options,
     isEqual: IsEqual,
     isMatchingKey: IsMatchingKey
 ): {
     onCacheAdd: OnCacheOperation | undefined;
-    onCacheHit: OnCacheOperation | undefined;
 } {
+    // a store schedules the expiration of its entries itself
     const onCacheAdd =
-        typeof options.maxAge === 'number' && isFinite(options.maxAge)
+        (hasMaxAge(options) ||
+            hasMaxLifetime(options) ||
+            getIsCachingRejections(options)) &&
+        !options.store
             ? createOnCacheAddSetExpiration(
                   expirations,
                   options,
@@ -186,11 +741,5 @@ export function getMaxAgeOptions(
               )
             : undefined;
 
-    return {
-        onCacheAdd,
-        onCacheHit:
-            onCacheAdd && options.updateExpire
-                ? createOnCacheHitResetExpiration(expirations, options)
-                : undefined,
-    };
+    return { onCacheAdd };
 }
@@ -1,4 +1,5 @@
 import { deepEqual, sameValueZeroEqual, shallowEqual } from 'fast-equals';
+import { createRemoveAbortSignal } from './abort';
 import { createGetInitialArgs } from './maxArgs';
 import { getIsSerializedKeyEqual, getSerializerFunction } from './serialize';
 import {
@@ -74,6 +75,7 @@ export function getTransformKey(options: Options): TransformKey | undefined {
         options.isSerialized && getSerializerFunction(options),
         typeof options.transformArgs === 'function' && options.transformArgs,
         typeof options.maxArgs === 'number' &&
-            createGetInitialArgs(options.maxArgs)
+            createGetInitialArgs(options.maxArgs),
+        createRemoveAbortSignal(options)
     ) as TransformKey;
 }
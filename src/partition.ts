@@ -0,0 +1,376 @@
+import { copyStaticProperties } from './instance';
+import {
+    addErrorHits,
+    getDefaultProfileName,
+    getUsagePercentage,
+    statsCache,
+} from './stats';
+import {
+    Cache,
+    Expiration,
+    Key,
+    Moize,
+    Moizeable,
+    Moized,
+    Options,
+    StatsObject,
+    StatsProfile,
+} from './types';
+import { addEntryRemoveHook } from './utils';
+import { getIsWeighted } from './weight';
+
+/**
+ * @private
+ *
+ * @description
+ * get the profile name of the partition, so that its statistics are collected apart
+ * from those of other partitions
+ *
+ * @param profileName the profile name of the partitioned function
+ * @param partitionKey the key of the partition
+ * @returns the profile name of the partition
+ */
+export function getPartitionProfileName(
+    profileName: string,
+    partitionKey: any
+) {
+    return `${profileName} [${String(partitionKey)}]`;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * Create a memoized function that holds its entries in independent sub-caches, one per
+ * partition. Each partition is itself a moized function with the options passed, so
+ * that every partition has its own `maxSize`, `maxAge`, and statistics, and the entries
+ * of one partition never evict those of another. A partition is dropped once its last
+ * entry is removed, keeping the statistics it collected in those of the function.
+ *
+ * @param moizer the top-level moize method
+ * @param fn the function to memoize
+ * @param options the memoization options
+ * @returns the partitioned memoized function
+ */
+export function createPartitionedMoized<OriginalFn extends Moizeable>(
+    moizer: Moize,
+    fn: OriginalFn,
+    options: Options
+) {
+    const { partitionBy } = options;
+
+    const profileName = options.profileName || getDefaultProfileName(fn);
+    const partitions: Map<any, Moized<OriginalFn>> = new Map();
+
+    let droppedStats: StatsProfile = { calls: 0, hits: 0 };
+
+    function dropPartition(partitionKey: any, partition: Moized<OriginalFn>) {
+        if (partitions.get(partitionKey) !== partition) {
+            return;
+        }
+
+        partitions.delete(partitionKey);
+
+        if (statsCache.isCollectingStats) {
+            const partitionStats = partition.getStats();
+
+            droppedStats.calls += partitionStats.calls;
+            droppedStats.hits += partitionStats.hits;
+
+            addErrorHits(droppedStats, partitionStats);
+        }
+
+        partition.clearStats();
+    }
+
+    function getPartition(key: Key, shouldCreate: boolean) {
+        const partitionKey = partitionBy(key);
+
+        let partition = partitions.get(partitionKey);
+
+        if (!partition && shouldCreate) {
+            const createdPartition: Moized<OriginalFn> = moizer(fn, {
+                ...options,
+                partitionBy: undefined,
+                profileName: getPartitionProfileName(profileName, partitionKey),
+            });
+            const { cache } = createdPartition;
+
+            let isOrdering = false;
+
+            addEntryRemoveHook(cache, function () {
+                if (!isOrdering && !cache.keys.length) {
+                    dropPartition(partitionKey, createdPartition);
+                }
+            });
+
+            const { orderByLru } = cache;
+
+            // entries evicted to make room for a new one leave the cache briefly empty
+            cache.orderByLru = function (
+                this: Cache,
+                key: Key,
+                value: any,
+                startingIndex: number
+            ) {
+                isOrdering = true;
+
+                try {
+                    orderByLru.call(this, key, value, startingIndex);
+                } finally {
+                    isOrdering = false;
+                }
+            };
+
+            partitions.set(partitionKey, createdPartition);
+
+            partition = createdPartition;
+        }
+
+        return partition;
+    }
+
+    function reducePartitions<Result>(
+        reducer: (result: Result, partition: Moized<OriginalFn>) => Result,
+        initialValue: Result
+    ) {
+        let result = initialValue;
+
+        partitions.forEach(function (partition) {
+            result = reducer(result, partition);
+        });
+
+        return result;
+    }
+
+    function getCombinedCache() {
+        const keys: Key[] = [];
+        const values: any[] = [];
+
+        partitions.forEach(function (partition) {
+            const { cacheSnapshot } = partition;
+
+            keys.push(...cacheSnapshot.keys);
+            values.push(...cacheSnapshot.values);
+        });
+
+        return { keys, size: keys.length, values } as Cache;
+    }
+
+    const moized: any = function (this: any) {
+        return getPartition([].slice.call(arguments), true).apply(
+            this,
+            arguments
+        );
+    };
+
+    moized.clear = function () {
+        partitions.forEach(function (partition, partitionKey) {
+            partition.clear();
+
+            dropPartition(partitionKey, partition);
+        });
+
+        return true;
+    };
+
+    moized.clearPartition = function (partitionKey: any) {
+        const partition = partitions.get(partitionKey);
+
+        if (!partition) {
+            return false;
+        }
+
+        partition.clear();
+
+        dropPartition(partitionKey, partition);
+
+        return true;
+    };
+
+    moized.clearStats = function () {
+        partitions.forEach(function (partition) {
+            partition.clearStats();
+        });
+
+        droppedStats = { calls: 0, hits: 0 };
+    };
+
+    moized.get = function (key: Key) {
+        const partition = getPartition(key, false);
+
+        return partition ? partition.get(key) : undefined;
+    };
+
+    moized.getBytes = function (key: Key) {
+        const partition = getPartition(key, false);
+
+        return partition ? partition.getBytes(key) : undefined;
+    };
+
+    moized.getStats = function (): StatsObject {
+        const stats = reducePartitions(
+            function (result, partition) {
+                const partitionStats = partition.getStats();
+
+                result.calls += partitionStats.calls;
+                result.hits += partitionStats.hits;
+
+                return addErrorHits(result, partitionStats);
+            },
+            { ...droppedStats }
+        );
+
+        const partitionsStats: Record<string, StatsObject> = {};
+
+        partitions.forEach(function (partition, partitionKey) {
+            partitionsStats[
+                String(partitionKey)
+            ] = partition.getStats() as StatsObject;
+        });
+
+        const combinedStats: StatsObject = {
+            ...stats,
+            partitions: partitionsStats,
+            usage: getUsagePercentage(stats.calls, stats.hits),
+        };
+
+        return getIsWeighted(options)
+            ? { ...combinedStats, weight: moized.weight }
+            : combinedStats;
+    };
+
+    moized.has = function (key: Key) {
+        const partition = getPartition(key, false);
+
+        return !!partition && partition.has(key);
+    };
+
+    moized.keys = function () {
+        return reducePartitions(function (keys, partition) {
+            return keys.concat(partition.keys());
+        }, [] as Key[]);
+    };
+
+    moized.pending = function () {
+        return reducePartitions(function (keys, partition) {
+            return keys.concat(partition.pending());
+        }, [] as Key[]);
+    };
+
+    moized.prune = function () {
+        partitions.forEach(function (partition) {
+            partition.prune();
+        });
+    };
+
+    moized.remove = function (key: Key) {
+        const partition = getPartition(key, false);
+
+        return !!partition && partition.remove(key);
+    };
+
+    moized.set = function (key: Key, value: any, maxAge?: number) {
+        getPartition(key, true).set(key, value, maxAge);
+    };
+
+    moized.values = function () {
+        return reducePartitions(function (values, partition) {
+            return values.concat(partition.values());
+        }, [] as any[]);
+    };
+
+    Object.defineProperties(moized, {
+        bytes: {
+            configurable: true,
+            get() {
+                return reducePartitions(function (bytes, partition) {
+                    return bytes + partition.bytes;
+                }, 0);
+            },
+        },
+
+        cache: {
+            configurable: true,
+            get: getCombinedCache,
+        },
+
+        cacheSnapshot: {
+            configurable: true,
+            get: getCombinedCache,
+        },
+
+        expirations: {
+            configurable: true,
+            get() {
+                return reducePartitions(function (expirations, partition) {
+                    return expirations.concat(partition.expirations);
+                }, [] as Expiration[]);
+            },
+        },
+
+        expirationsSnapshot: {
+            configurable: true,
+            get() {
+                return moized.expirations;
+            },
+        },
+
+        fn: {
+            configurable: true,
+            get() {
+                return fn;
+            },
+        },
+
+        isMoized: {
+            configurable: true,
+            get() {
+                return true;
+            },
+        },
+
+        options: {
+            configurable: true,
+            get() {
+                return options;
+            },
+        },
+
+        originalFunction: {
+            configurable: true,
+            get() {
+                return fn;
+            },
+        },
+
+        partitions: {
+            configurable: true,
+            get() {
+                return partitions;
+            },
+        },
+
+        queueSize: {
+            configurable: true,
+            get() {
+                return reducePartitions(function (queueSize, partition) {
+                    return queueSize + partition.queueSize;
+                }, 0);
+            },
+        },
+
+        weight: {
+            configurable: true,
+            get() {
+                return reducePartitions(function (weight, partition) {
+                    return weight + partition.weight;
+                }, 0);
+            },
+        },
+    });
+
+    copyStaticProperties(fn, moized);
+
+    return moized as Moized<OriginalFn>;
+}
@@ -0,0 +1,88 @@
+import { Cache, Key, Options, PendingKeys } from './types';
+
+/**
+ * @private
+ *
+ * @description
+ * track the key of the entry as pending until its promise settles, notifying
+ * `onPromiseResolve` or `onPromiseReject` of the result once it does
+ *
+ * @param pending the keys of entries whose promises are pending
+ * @param key the key of the entry
+ * @param promise the promise of the entry
+ * @param options the options passed to the moizer
+ */
+export function trackPendingPromise(
+    pending: PendingKeys,
+    key: Key,
+    promise: any,
+    options: Options
+) {
+    if (!promise || typeof promise.then !== 'function') {
+        return;
+    }
+
+    pending.add(key);
+
+    promise.then(
+        function (value: any) {
+            pending.delete(key);
+
+            if (typeof options.onPromiseResolve === 'function') {
+                options.onPromiseResolve(key, value);
+            }
+        },
+        function (error: Error) {
+            pending.delete(key);
+
+            if (typeof options.onPromiseReject === 'function') {
+                options.onPromiseReject(key, error);
+            }
+        }
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the handling of promises that tracks the entries added as pending until their
+ * promises settle, after that of micro-memoize (or the one applied in its place)
+ *
+ * @param cache the cache of the memoized function
+ * @param pending the keys of entries whose promises are pending
+ * @param options the options passed to the moizer
+ */
+export function applyPendingPromises(
+    cache: Cache,
+    pending: PendingKeys,
+    options: Options
+) {
+    const { updateAsyncCache } = cache;
+
+    cache.updateAsyncCache = function (memoized: any) {
+        updateAsyncCache.call(cache, memoized);
+
+        trackPendingPromise(pending, cache.keys[0], cache.values[0], options);
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the list of keys of entries whose promises are pending, in the order they were
+ * added
+ *
+ * @param pending the keys of entries whose promises are pending
+ * @returns the list of pending keys
+ */
+export function getPendingKeys(pending: PendingKeys) {
+    const keys: Key[] = [];
+
+    pending.forEach(function (key) {
+        keys.push(key);
+    });
+
+    return keys;
+}
@@ -0,0 +1,324 @@
+import { Cache, Key, Recency, RecencyNode } from './types';
+
+/**
+ * @private
+ *
+ * @description
+ * create the empty order of recency of the entries in cache
+ *
+ * @returns the order of recency
+ */
+export function createRecency(): Recency {
+    return {
+        newest: undefined,
+        nodes: [],
+        oldest: undefined,
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * link the node passed as the newest in the order of recency
+ *
+ * @param recency the order of recency
+ * @param node the node to link
+ */
+function linkNewest(recency: Recency, node: RecencyNode) {
+    node.newer = undefined;
+    node.older = recency.newest;
+
+    if (recency.newest) {
+        recency.newest.newer = node;
+    } else {
+        recency.oldest = node;
+    }
+
+    recency.newest = node;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * unlink the node passed from the order of recency
+ *
+ * @param recency the order of recency
+ * @param node the node to unlink
+ */
+function unlink(recency: Recency, node: RecencyNode) {
+    if (node.newer) {
+        node.newer.older = node.older;
+    } else {
+        recency.newest = node.older;
+    }
+
+    if (node.older) {
+        node.older.newer = node.newer;
+    } else {
+        recency.oldest = node.newer;
+    }
+
+    node.newer = undefined;
+    node.older = undefined;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * move the entry in the slot passed to another slot, replacing the entry in it
+ *
+ * @param cache the cache of the memoized function
+ * @param recency the order of recency
+ * @param fromIndex the slot of the entry to move
+ * @param toIndex the slot to move the entry to
+ */
+function moveSlot(
+    cache: Cache,
+    recency: Recency,
+    fromIndex: number,
+    toIndex: number
+) {
+    const node = recency.nodes[fromIndex];
+
+    cache.keys[toIndex] = cache.keys[fromIndex];
+    cache.values[toIndex] = cache.values[fromIndex];
+
+    recency.nodes[toIndex] = node;
+    node.index = toIndex;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * add the entry to the front of the cache as the most recently used. When the order of
+ * recency is kept apart from the cache, the entry in front is moved to a new slot at the
+ * end rather than every entry being shifted.
+ *
+ * @param cache the cache of the memoized function
+ * @param key the key of the entry
+ * @param value the value of the entry
+ */
+export function addEntryToFront(cache: Cache, key: Key, value: any) {
+    const { keys, recency, values } = cache;
+
+    if (!recency) {
+        keys.unshift(key);
+        values.unshift(value);
+
+        return;
+    }
+
+    if (keys.length) {
+        moveSlot(cache, recency, 0, keys.length);
+    }
+
+    const node: RecencyNode = {
+        index: 0,
+        newer: undefined,
+        older: undefined,
+    };
+
+    keys[0] = key;
+    values[0] = value;
+
+    recency.nodes[0] = node;
+
+    linkNewest(recency, node);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * move the entry at the index passed to the front of the cache as the most recently used,
+ * with the value passed. When the order of recency is kept apart from the cache, the
+ * entry swaps slots with the one in front rather than every entry being shifted.
+ *
+ * @param cache the cache of the memoized function
+ * @param key the key of the entry
+ * @param value the value of the entry
+ * @param index the index of the entry
+ */
+export function moveEntryToFront(
+    cache: Cache,
+    key: Key,
+    value: any,
+    index: number
+) {
+    const { keys, recency, values } = cache;
+
+    if (!recency) {
+        keys.splice(index, 1);
+        values.splice(index, 1);
+
+        keys.unshift(key);
+        values.unshift(value);
+
+        return;
+    }
+
+    const node = recency.nodes[index];
+
+    if (index) {
+        moveSlot(cache, recency, 0, index);
+
+        recency.nodes[0] = node;
+        node.index = 0;
+    }
+
+    keys[0] = key;
+    values[0] = value;
+
+    unlink(recency, node);
+    linkNewest(recency, node);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * remove the entry at the index passed from cache. When the order of recency is kept
+ * apart from the cache, the slot is filled by the entry in the last slot (or, for the
+ * slot in front, by the next most recently used entry) rather than every entry being
+ * shifted.
+ *
+ * @param cache the cache of the memoized function
+ * @param index the index of the entry
+ * @returns the key of the entry removed
+ */
+export function removeEntryAt(cache: Cache, index: number): Key {
+    const { keys, recency, values } = cache;
+
+    if (!recency) {
+        const [key] = keys.splice(index, 1);
+
+        values.splice(index, 1);
+
+        return key;
+    }
+
+    const key = keys[index];
+    const node = recency.nodes[index];
+
+    unlink(recency, node);
+
+    node.index = -1;
+
+    let emptyIndex = index;
+
+    if (!emptyIndex && recency.newest) {
+        emptyIndex = recency.newest.index;
+
+        moveSlot(cache, recency, emptyIndex, 0);
+    }
+
+    const lastIndex = keys.length - 1;
+
+    if (emptyIndex !== lastIndex) {
+        moveSlot(cache, recency, lastIndex, emptyIndex);
+    }
+
+    keys.pop();
+    values.pop();
+    recency.nodes.pop();
+
+    return key;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * clear the order of recency of the entries in cache, when it is kept
+ *
+ * @param cache the cache of the memoized function
+ */
+export function clearRecency(cache: Cache) {
+    const { recency } = cache;
+
+    if (!recency) {
+        return;
+    }
+
+    for (let index = 0; index < recency.nodes.length; index++) {
+        recency.nodes[index].index = -1;
+    }
+
+    recency.newest = undefined;
+    recency.nodes.length = 0;
+    recency.oldest = undefined;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the index of the least recently used entry in cache
+ *
+ * @param cache the cache of the memoized function
+ * @returns the index of the entry, or -1 if the cache is empty
+ */
+export function getOldestIndex(cache: Cache) {
+    const { recency } = cache;
+
+    if (!recency) {
+        return cache.keys.length - 1;
+    }
+
+    return recency.oldest ? recency.oldest.index : -1;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the index of the entry used next most recently after the one at the index passed,
+ * so that entries can be walked from the least recently used
+ *
+ * @param cache the cache of the memoized function
+ * @param index the index of the entry
+ * @returns the index of the newer entry, or -1 if the entry is the most recently used
+ */
+export function getNewerIndex(cache: Cache, index: number) {
+    const { recency } = cache;
+
+    if (!recency) {
+        return index - 1;
+    }
+
+    const { newer } = recency.nodes[index];
+
+    return newer ? newer.index : -1;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the keys and values of the entries in cache, from the most to the least recently
+ * used
+ *
+ * @param cache the cache of the memoized function
+ * @returns the keys and values in order of recency
+ */
+export function getOrderedEntries(cache: Cache) {
+    const { keys, recency, values } = cache;
+
+    if (!recency) {
+        return { keys: keys.slice(0), values: values.slice(0) };
+    }
+
+    const orderedKeys: Key[] = [];
+    const orderedValues: any[] = [];
+
+    for (let node = recency.newest; node; node = node.older) {
+        orderedKeys.push(keys[node.index]);
+        orderedValues.push(values[node.index]);
+    }
+
+    return { keys: orderedKeys, values: orderedValues };
+}
@@ -0,0 +1,403 @@
+import { getClock } from './clock';
+import { createLazyMap, createLazySet } from './collections';
+import { getIsEarlyRefresh, setExpirationComputeTime } from './computeTime';
+import {
+    getIsStaleWhileRevalidate,
+    getMaxAge,
+    hasMaxLifetime,
+    scheduleExpiration,
+} from './maxAge';
+import {
+    Cache,
+    EntryCall,
+    Expiration,
+    Expirations,
+    Fn,
+    GetKeyIndex,
+    Key,
+    LazyMap,
+    LazySet,
+    Moized,
+    OnCacheOperation,
+    Options,
+} from './types';
+import { addKeyIndexHook, isActiveExpiration } from './utils';
+import { derefKey } from './weak';
+
+const entryCalls: LazyMap<Options, EntryCall> = createLazyMap(true);
+const refreshing: LazySet<Expiration> = createLazySet(true);
+
+/**
+ * @private
+ *
+ * @description
+ * should entries be refreshed before they expire, once they are accessed within the
+ * `refreshAhead` window
+ *
+ * @param options the options passed to the moizer
+ * @returns are entries refreshed ahead
+ */
+export function getIsRefreshAhead(options: Options) {
+    return typeof options.refreshAhead === 'number' && options.refreshAhead > 0;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * are entries refreshed in the background when accessed, either when stale or ahead
+ * of their expiration (within a window or probabilistically)
+ *
+ * @param options the options passed to the moizer
+ * @returns are entries refreshed
+ */
+export function getIsRefreshed(options: Options) {
+    return (
+        getIsStaleWhileRevalidate(options) ||
+        getIsRefreshAhead(options) ||
+        getIsEarlyRefresh(options)
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a function that records the call of it before calling the one passed, so that
+ * the entry added can be refreshed by calling the original function the same way (as
+ * its key may be transformed from the arguments), and the time its computation took
+ * can be measured. The call is forgotten when the function throws, as no entry is added
+ * for it.
+ *
+ * @param fn the function to record the calls of
+ * @param options the options passed to the moizer
+ * @returns the recorded function, or the one passed if entries are not refreshed
+ */
+export function createRecordedFn<OriginalFn extends Fn>(
+    fn: OriginalFn,
+    options: Options
+): OriginalFn {
+    if (!getIsRefreshed(options)) {
+        return fn;
+    }
+
+    return function recorded(this: any) {
+        entryCalls.set(options, {
+            args: [].slice.call(arguments),
+            context: this,
+            startedAt: getClock(options).now(),
+        });
+
+        try {
+            return fn.apply(this, arguments);
+        } catch (error) {
+            entryCalls.delete(options);
+
+            throw error;
+        }
+    } as OriginalFn;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * set the arguments and context the entry of the expiration is refreshed with. Arguments
+ * held weakly are not kept, as that would prevent them from being collected, so those
+ * entries are refreshed with the arguments their key references.
+ *
+ * @param expiration the expiration of the entry
+ * @param options the options passed to the moizer
+ * @param args the arguments to refresh the entry with
+ * @param context the context to refresh the entry with
+ */
+export function setExpirationArgs(
+    expiration: Expiration | undefined,
+    options: Options,
+    args: any[],
+    context?: any
+) {
+    if (expiration && getIsRefreshed(options) && !options.isWeak) {
+        expiration.args = args;
+        expiration.context = context;
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * set the call that computed the value of the entry on its expiration, along with the
+ * time the computation took when entries are refreshed early. Values added directly,
+ * rather than computed, have no call.
+ *
+ * @param expiration the expiration of the entry added
+ * @param options the options passed to the moizer
+ * @param value the value of the entry
+ */
+export function setExpirationCall(
+    expiration: Expiration,
+    options: Options,
+    value: any
+) {
+    const call = entryCalls.get(options);
+
+    if (!call) {
+        return;
+    }
+
+    entryCalls.delete(options);
+
+    setExpirationArgs(expiration, options, call.args, call.context);
+
+    if (getIsEarlyRefresh(options)) {
+        setExpirationComputeTime(expiration, options, value, call.startedAt);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the micro-memoize options specific to refreshing entries
+ *
+ * @param expirations the expirations for cache items
+ * @param options the options passed to the moizer
+ * @returns the object of options based on the entries passed
+ */
+export function getRefreshOptions(
+    expirations: Expirations,
+    options: Options
+): { onCacheAdd?: OnCacheOperation } {
+    if (!getIsRefreshed(options) || options.store) {
+        return {};
+    }
+
+    return {
+        onCacheAdd(cache: Cache) {
+            const expiration = expirations.get(cache.keys[0]);
+
+            if (expiration) {
+                setExpirationCall(expiration, options, cache.values[0]);
+            }
+        },
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * should the entry of the expiration be refreshed when accessed, which is when it is
+ * stale or it expires within the `refreshAhead` window (a fraction of its maxAge, or of
+ * its maxLifetime if shorter, when less than 1, otherwise the number of milliseconds).
+ * With `earlyRefresh`, it is also refreshed with a probability that increases as it
+ * nears expiration, and the longer its computation took (XFetch).
+ *
+ * @param expiration the expiration of the entry
+ * @param options the options passed to the moizer
+ * @returns should the entry be refreshed
+ */
+export function getShouldRefresh(expiration: Expiration, options: Options) {
+    if (expiration.isStale) {
+        return true;
+    }
+
+    // entries whose maxAge is not yet known, such as pending promises, are not refreshed
+    if (!isFinite(expiration.expiresAt)) {
+        return false;
+    }
+
+    const { earlyRefresh, maxLifetime, refreshAhead } = options;
+
+    const timeLeft = expiration.expiresAt - getClock(options).now();
+
+    if (getIsRefreshAhead(options)) {
+        const lifetime = hasMaxLifetime(options)
+            ? Math.min(expiration.maxAge, maxLifetime)
+            : expiration.maxAge;
+        const window =
+            refreshAhead < 1 ? lifetime * refreshAhead : refreshAhead;
+
+        if (timeLeft <= window) {
+            return true;
+        }
+    }
+
+    return (
+        getIsEarlyRefresh(options) &&
+        expiration.computeTime > 0 &&
+        -expiration.computeTime * earlyRefresh * Math.log(Math.random()) >=
+            timeLeft
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * replace the value of the entry of the expiration with the one refreshed, and
+ * schedule its expiration based on the new value, which starts a new maxLifetime
+ *
+ * @param moized the moized function
+ * @param expiration the expiration of the entry
+ * @param value the refreshed value
+ * @param resolvedValue the value the refreshed value resolved to
+ * @returns was the value replaced
+ */
+function replaceEntryValue(
+    moized: Moized,
+    expiration: Expiration,
+    value: any,
+    resolvedValue: any
+) {
+    const {
+        _microMemoizeOptions: microMemoizeOptions,
+        cache,
+        options,
+    } = moized;
+    const { key, storeKey } = expiration;
+
+    if (storeKey !== undefined) {
+        if (!options.store.get(storeKey)) {
+            return false;
+        }
+
+        options.store.set(storeKey, { key, value });
+    } else {
+        const keyIndex = cache.keys.indexOf(key);
+
+        if (keyIndex === -1) {
+            return false;
+        }
+
+        cache.values[keyIndex] = value;
+
+        // ordered so any limit on weight is applied to the new value
+        cache.orderByLru(key, value, keyIndex);
+    }
+
+    expiration.createdAt = getClock(options).now();
+    expiration.isPending = false;
+    expiration.isRejected = false;
+    expiration.isStale = false;
+    expiration.maxAge = getMaxAge(options, key, resolvedValue);
+
+    scheduleExpiration(expiration, options);
+
+    if (microMemoizeOptions.onCacheChange) {
+        microMemoizeOptions.onCacheChange(cache, microMemoizeOptions, moized);
+    }
+
+    return true;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * recompute the value of the entry of the expiration in the background, replacing
+ * the cached value once it resolves and keeping the existing value if it rejects (or
+ * throws). Methods that are not promises are called asynchronously, so that the
+ * access is not blocked by the refresh. The function refreshed with applies the retries,
+ * timeout, and concurrency limit of calls. Only one refresh of an entry is run at a time,
+ * and the time it takes is recorded as the compute time of the entry. Entries whose
+ * weakly-held arguments have been collected are not refreshed.
+ *
+ * @param moized the moized function
+ * @param fn the function to refresh the entry with
+ * @param expirations the expirations for cache items
+ * @param expiration the expiration of the entry to refresh
+ */
+export function refreshEntry(
+    moized: Moized,
+    fn: Fn,
+    expirations: Expirations,
+    expiration: Expiration
+) {
+    const { context, key } = expiration;
+    const args = expiration.args || derefKey(key);
+
+    if (!args || refreshing.has(expiration)) {
+        return;
+    }
+
+    refreshing.add(expiration);
+    const clock = getClock(moized.options);
+
+    let startedAt: number;
+    let value: any;
+
+    const call = function () {
+        startedAt = clock.now();
+
+        return (value = fn.apply(context, args));
+    };
+
+    const refreshed: Promise<any> = moized.options.isPromise
+        ? new Promise(function (resolve) {
+              resolve(call());
+          })
+        : Promise.resolve().then(call);
+
+    refreshed.then(
+        function (resolvedValue: any) {
+            refreshing.delete(expiration);
+
+            const { onRefresh } = moized.options;
+
+            expiration.computeTime = clock.now() - startedAt;
+
+            // the entry may have been removed or replaced while refreshing
+            if (
+                isActiveExpiration(expirations, expiration) &&
+                replaceEntryValue(moized, expiration, value, resolvedValue) &&
+                typeof onRefresh === 'function'
+            ) {
+                onRefresh(key, resolvedValue);
+            }
+        },
+        function (error: Error) {
+            refreshing.delete(expiration);
+
+            const { onRefreshError } = moized.options;
+
+            if (typeof onRefreshError === 'function') {
+                onRefreshError(key, error);
+            }
+        }
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the lookup of keys that refreshes entries as they are found if applicable, so
+ * the existing value is returned while the refreshed one is computed
+ *
+ * @param moized the memoized function
+ * @param fn the function to refresh entries with
+ * @param expirations the expirations for cache items
+ */
+export function applyRefresh(
+    moized: Moized,
+    fn: Fn,
+    expirations: Expirations
+) {
+    const { cache } = moized;
+
+    addKeyIndexHook(cache, function (key: Key, getKeyIndex: GetKeyIndex) {
+        const keyIndex = getKeyIndex(key);
+
+        if (keyIndex !== -1) {
+            const expiration = expirations.get(cache.keys[keyIndex]);
+
+            if (expiration && getShouldRefresh(expiration, moized.options)) {
+                refreshEntry(moized, fn, expirations, expiration);
+            }
+        }
+
+        return keyIndex;
+    });
+}
@@ -0,0 +1,140 @@
+import { createLazySet } from './collections';
+import { DEFAULT_ERROR_MAX_AGE } from './constants';
+import { scheduleExpiration } from './maxAge';
+import {
+    Cache,
+    Expiration,
+    Expirations,
+    GetKeyIndex,
+    Key,
+    LazySet,
+    Options,
+} from './types';
+import {
+    addKeyIndexHook,
+    applyUpdateAsyncCache,
+    removeCacheEntry,
+} from './utils';
+
+const rejectedHits: LazySet<Cache> = createLazySet(true);
+
+/**
+ * @private
+ *
+ * @description
+ * mark the entry of the expiration as rejected, and schedule its expiration based on
+ * the `errorMaxAge` (or the maxAge of the entry when not set), notifying `onReject`.
+ * Rejections are never kept indefinitely, so when neither is finite the
+ * `DEFAULT_ERROR_MAX_AGE` is used.
+ *
+ * @param expiration the expiration of the entry rejected, if any
+ * @param options the options passed to the moizer
+ * @param error the error the promise rejected with
+ */
+export function cacheRejection(
+    expiration: Expiration | undefined,
+    options: Options,
+    error: Error
+) {
+    if (!expiration) {
+        return;
+    }
+
+    const { errorMaxAge, onReject } = options;
+
+    expiration.isRejected = true;
+
+    if (typeof errorMaxAge === 'number') {
+        expiration.maxAge = errorMaxAge;
+    } else if (!isFinite(expiration.maxAge)) {
+        expiration.maxAge = DEFAULT_ERROR_MAX_AGE;
+    }
+
+    scheduleExpiration(expiration, options);
+
+    if (typeof onReject === 'function') {
+        onReject(expiration.key, error);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * record whether the entry of the expiration passed, which has been hit, is a cached
+ * rejection, so that it is counted separately from hits in the stats
+ *
+ * @param cache the cache of the memoized function
+ * @param expiration the expiration of the entry hit, if any
+ */
+export function setIsRejectedHit(
+    cache: Cache,
+    expiration: Expiration | undefined
+) {
+    if (expiration && expiration.isRejected) {
+        rejectedHits.add(cache);
+    } else {
+        rejectedHits.delete(cache);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * was the last entry hit in the cache a cached rejection, consuming the record of it
+ *
+ * @param cache the cache of the memoized function
+ * @returns was the entry hit a cached rejection
+ */
+export function getIsRejectedHit(cache: Cache) {
+    return rejectedHits.delete(cache);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the handling of promises that removes rejected ones from cache, along with
+ * their expiration
+ *
+ * @param cache the cache of the memoized function
+ */
+export function applyRejectionRemoval(cache: Cache) {
+    applyUpdateAsyncCache(cache, function (keyIndex: number) {
+        removeCacheEntry(cache, keyIndex);
+    });
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the handling of promises that keeps rejected ones in cache, in place of the one
+ * in micro-memoize that removes them, and the lookup of keys that records whether the
+ * entry found is a cached rejection
+ *
+ * @param cache the cache of the memoized function
+ * @param expirations the expirations for cache items
+ * @param options the options passed to the moizer
+ */
+export function applyCacheRejections(
+    cache: Cache,
+    expirations: Expirations,
+    options: Options
+) {
+    applyUpdateAsyncCache(cache, function (keyIndex: number, error: Error) {
+        cacheRejection(expirations.get(cache.keys[keyIndex]), options, error);
+    });
+
+    addKeyIndexHook(cache, function (key: Key, getKeyIndex: GetKeyIndex) {
+        const keyIndex = getKeyIndex(key);
+
+        setIsRejectedHit(
+            cache,
+            keyIndex !== -1 ? expirations.get(cache.keys[keyIndex]) : undefined
+        );
+
+        return keyIndex;
+    });
+}
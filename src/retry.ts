@@ -0,0 +1,190 @@
+import { isAbortSignal } from './abort';
+import { getClock } from './clock';
+import { Fn, Options } from './types';
+
+/**
+ * @private
+ *
+ * @description
+ * does the options passed have a `promiseTimeout` that each attempt is limited to
+ *
+ * @param options the options passed to the moizer
+ * @returns does the promiseTimeout apply
+ */
+export function hasPromiseTimeout(options: Options) {
+    const { promiseTimeout } = options;
+
+    return (
+        typeof promiseTimeout === 'number' &&
+        promiseTimeout > 0 &&
+        isFinite(promiseTimeout)
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * are the promises of the method retried when they reject, or limited by a timeout
+ *
+ * @param options the options passed to the moizer
+ * @returns are promises retried
+ */
+export function getIsRetried(options: Options) {
+    return (
+        !!options.isPromise &&
+        (options.retries > 0 || hasPromiseTimeout(options))
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the time to wait before the attempt passed, which is either computed from the
+ * `retryDelay` method, or based on the `retryDelay` passed, where with a `retryBackoff`
+ * of `'exponential'` it doubles with each attempt, and is randomized by up to half of it
+ *
+ * @param options the options passed to the moizer
+ * @param attempt the number of the retry, starting at 1
+ * @param error the error the previous attempt rejected with
+ * @returns the time to wait in milliseconds
+ */
+export function getRetryDelay(options: Options, attempt: number, error: Error) {
+    const { retryBackoff, retryDelay } = options;
+
+    if (typeof retryDelay === 'function') {
+        return retryDelay(attempt, error);
+    }
+
+    if (typeof retryDelay !== 'number' || retryDelay <= 0) {
+        return 0;
+    }
+
+    if (retryBackoff !== 'exponential') {
+        return retryDelay;
+    }
+
+    const delay = retryDelay * Math.pow(2, attempt - 1);
+
+    return Math.round(delay / 2 + (Math.random() * delay) / 2);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * limit the promise passed to the `promiseTimeout`, rejecting with a `TimeoutError` if it
+ * has not settled by then
+ *
+ * @param promise the promise to limit
+ * @param options the options passed to the moizer
+ * @returns the limited promise
+ */
+export function applyPromiseTimeout(
+    promise: Promise<any>,
+    options: Options
+): Promise<any> {
+    if (!hasPromiseTimeout(options)) {
+        return promise;
+    }
+
+    const { promiseTimeout } = options;
+    const clock = getClock(options);
+
+    return new Promise(function (resolve, reject) {
+        const timeoutId = clock.setTimeout(function () {
+            const error = new Error(
+                `The promise did not settle within ${promiseTimeout}ms.`
+            );
+
+            error.name = 'TimeoutError';
+
+            reject(error);
+        }, promiseTimeout);
+
+        promise.then(
+            function (value: any) {
+                clock.clearTimeout(timeoutId);
+
+                resolve(value);
+            },
+            function (error: Error) {
+                clock.clearTimeout(timeoutId);
+
+                reject(error);
+            }
+        );
+    });
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a function that calls the one passed until the promise it returns resolves,
+ * retrying up to `retries` times after waiting the `retryDelay`, with each attempt
+ * limited to the `promiseTimeout`. Attempts are not retried once the `AbortSignal`
+ * passed as the last argument has aborted, where the error of the last attempt is
+ * rethrown.
+ *
+ * @param fn the function to retry
+ * @param options the options passed to the moizer
+ * @returns the retried function, or the one passed if promises are not retried
+ */
+export function createRetriedFn<OriginalFn extends Fn>(
+    fn: OriginalFn,
+    options: Options
+): OriginalFn {
+    if (!getIsRetried(options)) {
+        return fn;
+    }
+
+    return function retried(this: any) {
+        const args = arguments;
+        const signal = args[args.length - 1];
+        const retries = options.retries > 0 ? options.retries : 0;
+
+        const call = () => fn.apply(this, args);
+
+        const isAborted = function () {
+            return isAbortSignal(signal) && signal.aborted;
+        };
+
+        const attempt = function (retry: number): Promise<any> {
+            let promise: Promise<any>;
+
+            try {
+                promise = Promise.resolve(call());
+            } catch (error) {
+                promise = Promise.reject(error);
+            }
+
+            return applyPromiseTimeout(promise, options).catch(function (
+                error: Error
+            ) {
+                if (retry >= retries || isAborted()) {
+                    throw error;
+                }
+
+                const delay = getRetryDelay(options, retry + 1, error);
+                const wait: Promise<void> =
+                    delay > 0
+                        ? new Promise(function (resolve) {
+                              getClock(options).setTimeout(resolve, delay);
+                          })
+                        : Promise.resolve();
+
+                return wait.then(function () {
+                    if (isAborted()) {
+                        throw error;
+                    }
+
+                    return attempt(retry + 1);
+                });
+            });
+        };
+
+        return attempt(0);
+    } as OriginalFn;
+}
@@ -0,0 +1,285 @@
+import { defaultClock } from './clock';
+import { createLazyMap } from './collections';
+import {
+    Clock,
+    Expiration,
+    LazyMap,
+    Options,
+    ScheduledExpiration,
+    Scheduler,
+} from './types';
+
+/**
+ * @private
+ *
+ * @constant MAX_DELAY
+ *
+ * @description
+ * the maximum delay of a timer, in milliseconds
+ */
+const MAX_DELAY = 2147483647;
+
+const clockSchedulers: LazyMap<Clock, Scheduler> = createLazyMap(true);
+
+/**
+ * @private
+ *
+ * @description
+ * Create the scheduler of expirations, which keeps the expirations in a min-heap by the
+ * time they expire, and only has a single timer active at a time (for the earliest of
+ * them). Expirations that are cancelled or moved to a later time are not removed from
+ * the heap immediately, but rather skipped or requeued when they reach the top of it.
+ *
+ * @param clock the clock to get the current time and set timers with
+ * @returns the scheduler
+ */
+export function createScheduler(clock: Clock = defaultClock): Scheduler {
+    const active: Set<Expiration> = new Set();
+    const queuedAt: Map<Expiration, number> = new Map();
+
+    let heap: ScheduledExpiration[] = [];
+    let timeoutAt: number;
+    let timeoutId: any;
+
+    function swap(index: number, otherIndex: number) {
+        const node = heap[index];
+
+        heap[index] = heap[otherIndex];
+        heap[otherIndex] = node;
+    }
+
+    function siftUp(index: number) {
+        let parentIndex: number;
+
+        while (index > 0) {
+            parentIndex = (index - 1) >> 1;
+
+            if (heap[parentIndex].at <= heap[index].at) {
+                return;
+            }
+
+            swap(index, parentIndex);
+
+            index = parentIndex;
+        }
+    }
+
+    function siftDown(index: number) {
+        let smallestIndex: number;
+        let childIndex: number;
+
+        while (index * 2 + 1 < heap.length) {
+            smallestIndex = index;
+            childIndex = index * 2 + 1;
+
+            if (heap[childIndex].at < heap[smallestIndex].at) {
+                smallestIndex = childIndex;
+            }
+
+            if (
+                childIndex + 1 < heap.length &&
+                heap[childIndex + 1].at < heap[smallestIndex].at
+            ) {
+                smallestIndex = childIndex + 1;
+            }
+
+            if (smallestIndex === index) {
+                return;
+            }
+
+            swap(index, smallestIndex);
+
+            index = smallestIndex;
+        }
+    }
+
+    function push(expiration: Expiration) {
+        queuedAt.set(expiration, expiration.expiresAt);
+
+        heap.push({ at: expiration.expiresAt, expiration });
+
+        siftUp(heap.length - 1);
+    }
+
+    function pop() {
+        const node = heap[0];
+        const last = heap.pop();
+
+        if (heap.length) {
+            heap[0] = last;
+
+            siftDown(0);
+        }
+
+        return node;
+    }
+
+    function run() {
+        // the timer may fire marginally before the time it was set for, so anything due
+        // by that time is treated as expired
+        const time = Math.max(clock.now(), timeoutAt);
+        const expired: Expiration[] = [];
+
+        timeoutId = undefined;
+
+        let node: ScheduledExpiration;
+        let expiration: Expiration;
+
+        while (heap.length && heap[0].at <= time) {
+            node = pop();
+            expiration = node.expiration;
+
+            if (queuedAt.get(expiration) !== node.at) {
+                // superseded by a node for an earlier time
+                continue;
+            }
+
+            queuedAt.delete(expiration);
+
+            if (!active.has(expiration)) {
+                continue;
+            }
+
+            if (expiration.expiresAt > time) {
+                push(expiration);
+            } else {
+                active.delete(expiration);
+                expired.push(expiration);
+            }
+        }
+
+        let hasError = false;
+        let error: any;
+
+        // fired after the heap is settled, as the expiration methods may schedule again,
+        // where one throwing does not prevent the others from firing
+        for (let index = 0; index < expired.length; index++) {
+            try {
+                expired[index].expirationMethod();
+            } catch (expirationError) {
+                if (!hasError) {
+                    hasError = true;
+                    error = expirationError;
+                }
+            }
+        }
+
+        if (hasError) {
+            throw error;
+        }
+    }
+
+    function arm() {
+        if (!heap.length) {
+            if (timeoutId !== undefined) {
+                clock.clearTimeout(timeoutId);
+
+                timeoutId = undefined;
+            }
+
+            return;
+        }
+
+        const nextAt = heap[0].at;
+
+        if (timeoutId !== undefined) {
+            // an overdue timer may never fire (such as when timers are mocked in tests),
+            // so it is replaced rather than relied upon
+            if (timeoutAt <= nextAt && timeoutAt >= clock.now()) {
+                return;
+            }
+
+            clock.clearTimeout(timeoutId);
+        }
+
+        // delays beyond the maximum of timers fire immediately, so those are reached in steps
+        const currentTime = clock.now();
+        const delay = Math.min(Math.max(nextAt - currentTime, 0), MAX_DELAY);
+
+        timeoutAt = currentTime + delay;
+        timeoutId = clock.setTimeout(function () {
+            try {
+                run();
+            } finally {
+                arm();
+            }
+        }, delay);
+
+        if (timeoutId && typeof timeoutId.unref === 'function') {
+            timeoutId.unref();
+        }
+    }
+
+    function compact() {
+        heap = [];
+        queuedAt.clear();
+
+        active.forEach(push);
+
+        arm();
+    }
+
+    return {
+        cancel(expiration: Expiration) {
+            active.delete(expiration);
+
+            // cancelled expirations are only dropped from the heap lazily, so rebuild it
+            // once they outnumber the active ones
+            if (heap.length > active.size * 2 + 32) {
+                compact();
+            }
+        },
+
+        schedule(expiration: Expiration) {
+            active.add(expiration);
+
+            const at = queuedAt.get(expiration);
+
+            if (at === undefined || expiration.expiresAt < at) {
+                push(expiration);
+                arm();
+            }
+        },
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * the scheduler shared by the expirations of all moized functions using the default
+ * clock, created once the first expiration is scheduled
+ */
+let scheduler: Scheduler;
+
+/**
+ * @private
+ *
+ * @description
+ * get the scheduler for the expirations of the moized function, which is shared by all
+ * moized functions using the same clock
+ *
+ * @param options the options passed to the moizer
+ * @returns the scheduler
+ */
+export function getScheduler(options: Options) {
+    const { clock } = options;
+
+    if (!clock || clock === defaultClock) {
+        if (!scheduler) {
+            scheduler = createScheduler();
+        }
+
+        return scheduler;
+    }
+
+    let clockScheduler = clockSchedulers.get(clock);
+
+    if (!clockScheduler) {
+        clockScheduler = createScheduler(clock);
+
+        clockSchedulers.set(clock, clockScheduler);
+    }
+
+    return clockScheduler;
+}
@@ -0,0 +1,205 @@
+import { addErrorHits, getStats, getUsagePercentage } from './stats';
+import {
+    SharedCache,
+    SharedCacheEntry,
+    SharedCacheOptions,
+    StatsObject,
+    StatsProfile,
+    Store,
+    StoreEntry,
+} from './types';
+
+/**
+ * @private
+ *
+ * @constant sharedCaches
+ *
+ * @description
+ * the shared caches created, by name
+ */
+export const sharedCaches: Record<string, SharedCache> = {};
+
+let anonymousCacheNameCounter = 1;
+let namespaceCounter = 0;
+
+/**
+ * @private
+ *
+ * @description
+ * remove the least-recently-used entries of the shared cache until it is within its
+ * `maxSize`
+ *
+ * @param sharedCache the shared cache
+ */
+export function evictSharedEntries(sharedCache: SharedCache) {
+    const { entries } = sharedCache;
+    const iterator = entries.keys();
+
+    while (entries.size > sharedCache.maxSize) {
+        entries.delete(iterator.next().value);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the statistics of the shared cache, based on those of the moized functions that
+ * use it
+ *
+ * @param sharedCache the shared cache
+ * @returns the statistics of the shared cache
+ */
+export function getSharedCacheStats(sharedCache: SharedCache): StatsObject {
+    const total: StatsProfile = { calls: 0, hits: 0 };
+
+    for (let index = 0; index < sharedCache.profileNames.length; index++) {
+        const stats = getStats(sharedCache.profileNames[index]);
+
+        total.calls += stats.calls;
+        total.hits += stats.hits;
+
+        addErrorHits(total, stats);
+    }
+
+    return {
+        ...total,
+        usage: getUsagePercentage(total.calls, total.hits),
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the cache whose capacity is shared by the moized functions that use it
+ *
+ * @param [options] the options of the shared cache
+ * @returns the shared cache
+ */
+export function createSharedCache(options: SharedCacheOptions = {}) {
+    const name =
+        options.name || `Anonymous cache ${anonymousCacheNameCounter++}`;
+
+    const sharedCache: SharedCache = {
+        clear() {
+            sharedCache.entries.clear();
+        },
+        entries: new Map(),
+        getStats() {
+            return getSharedCacheStats(sharedCache);
+        },
+        maxSize:
+            typeof options.maxSize === 'number' && options.maxSize >= 0
+                ? options.maxSize
+                : Infinity,
+        name,
+        profileNames: [],
+        get size() {
+            return sharedCache.entries.size;
+        },
+    };
+
+    sharedCaches[name] = sharedCache;
+
+    return sharedCache;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the shared cache with the name passed, creating it if it does not exist
+ *
+ * @param cacheName the name of the shared cache
+ * @param maxSize the maxSize to create the shared cache with
+ * @returns the shared cache
+ */
+export function getSharedCache(cacheName: string, maxSize: number) {
+    return (
+        sharedCaches[cacheName] ||
+        createSharedCache({ maxSize, name: cacheName })
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the store for a moized function that holds its entries in the shared cache,
+ * where its keys are namespaced so they are distinct from those of other functions
+ *
+ * @param sharedCache the shared cache
+ * @param profileName the profile name of the moized function
+ * @returns the store of the moized function
+ */
+export function createSharedStore(
+    sharedCache: SharedCache,
+    profileName: string
+): Store {
+    const namespace = `${++namespaceCounter}|`;
+
+    if (sharedCache.profileNames.indexOf(profileName) === -1) {
+        sharedCache.profileNames.push(profileName);
+    }
+
+    function getNamespacedEntries() {
+        const namespacedEntries: SharedCacheEntry[] = [];
+
+        sharedCache.entries.forEach(function (sharedEntry) {
+            if (sharedEntry.namespace === namespace) {
+                namespacedEntries.push(sharedEntry);
+            }
+        });
+
+        return namespacedEntries;
+    }
+
+    return {
+        clear() {
+            const namespacedEntries = getNamespacedEntries();
+
+            for (let index = 0; index < namespacedEntries.length; index++) {
+                sharedCache.entries.delete(
+                    namespace + namespacedEntries[index].storeKey
+                );
+            }
+        },
+        delete(storeKey: string) {
+            return sharedCache.entries.delete(namespace + storeKey);
+        },
+        entries() {
+            // the shared cache is ordered from least-recently used, whereas moize orders
+            // from most-recently used
+            return getNamespacedEntries()
+                .reverse()
+                .map(function ({ entry, storeKey }): [string, StoreEntry] {
+                    return [storeKey, entry];
+                });
+        },
+        get(storeKey: string) {
+            const sharedKey = namespace + storeKey;
+            const sharedEntry = sharedCache.entries.get(sharedKey);
+
+            if (!sharedEntry) {
+                return;
+            }
+
+            sharedCache.entries.delete(sharedKey);
+            sharedCache.entries.set(sharedKey, sharedEntry);
+
+            return sharedEntry.entry;
+        },
+        set(storeKey: string, entry: StoreEntry) {
+            const sharedKey = namespace + storeKey;
+
+            sharedCache.entries.delete(sharedKey);
+            sharedCache.entries.set(sharedKey, { entry, namespace, storeKey });
+
+            evictSharedEntries(sharedCache);
+        },
+        size() {
+            return getNamespacedEntries().length;
+        },
+    };
+}
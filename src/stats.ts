@@ -1,4 +1,6 @@
+import { getIsRejectedHit } from './rejections';
 import {
+    Cache,
     Fn,
     FunctionalComponent,
     GlobalStatsObject,
@@ -61,10 +63,11 @@ export function createOnCacheAddIncrementCalls(options: Options) {
  * @private
  *
  * @description
- * create a function that increments the number of calls and cache hits for the specific profile
+ * create a function that increments the number of calls and cache hits for the specific profile,
+ * where cached rejections are counted as error hits rather than hits
  */
 export function createOnCacheHitIncrementCallsAndHits(options: Options) {
-    return function () {
+    return function (cache: Cache) {
         const { profiles } = statsCache;
         const { profileName } = options;
 
@@ -75,8 +78,15 @@ export function createOnCacheHitIncrementCallsAndHits(options: Options) {
             };
         }
 
-        profiles[profileName].calls++;
-        profiles[profileName].hits++;
+        const profile = profiles[profileName];
+
+        profile.calls++;
+
+        if (getIsRejectedHit(cache)) {
+            profile.errorHits = (profile.errorHits || 0) + 1;
+        } else {
+            profile.hits++;
+        }
     };
 }
 
@@ -121,6 +131,27 @@ export function getDefaultProfileName(fn: Fn | FunctionalComponent<{}>) {
     return profileNameLocation ? `${fnName} ${profileNameLocation}` : fnName;
 }
 
+/**
+ * @private
+ *
+ * @description
+ * add the number of cached rejections served in the stats passed to the total, if any
+ *
+ * @param total the stats to add to
+ * @param stats the stats to add
+ * @returns the total passed
+ */
+export function addErrorHits<Stats extends StatsProfile>(
+    total: Stats,
+    stats: StatsProfile
+) {
+    if (stats.errorHits) {
+        total.errorHits = (total.errorHits || 0) + stats.errorHits;
+    }
+
+    return total;
+}
+
 /**
  * @private
  *
@@ -177,7 +208,7 @@ export function getStats(profileName?: string): GlobalStatsObject {
             completeProfiles.calls += profiles[profileName].calls;
             completeProfiles.hits += profiles[profileName].hits;
 
-            return completeProfiles;
+            return addErrorHits(completeProfiles, profiles[profileName]);
         },
         {
             calls: 0,
@@ -0,0 +1,527 @@
+import { addEntryWaiter, getIsAbortable, setAbortableEntry } from './abort';
+import { getClock } from './clock';
+import { createLazyMap } from './collections';
+import {
+    expireIfStale,
+    getIsCachingRejections,
+    handleExpiration,
+    hasMaxAge,
+    hasMaxLifetime,
+    markExpirationStale,
+    resetExpiration,
+    setExpirationMaxAge,
+} from './maxAge';
+import { trackPendingPromise } from './pending';
+import {
+    getShouldRefresh,
+    refreshEntry,
+    setExpirationCall,
+} from './refresh';
+import { cacheRejection, setIsRejectedHit } from './rejections';
+import { getScheduler } from './scheduler';
+import {
+    Cache,
+    Expiration,
+    Expirations,
+    Fn,
+    Key,
+    LazyMap,
+    Memoized,
+    MicroMemoizeOptions,
+    Moizeable,
+    Moized,
+    Options,
+    PendingKeys,
+    Store,
+    StoreEntry,
+} from './types';
+
+const objectIds: LazyMap<object, number> = createLazyMap(true);
+const symbolIds: LazyMap<symbol, number> = createLazyMap();
+
+let idCounter = 0;
+
+/**
+ * @private
+ *
+ * @description
+ * get the unique id of the object or symbol passed, assigning one if it does not exist
+ *
+ * @param reference the object or symbol
+ * @returns the id of the reference
+ */
+export function getReferenceId(reference: any) {
+    const isSymbol = typeof reference === 'symbol';
+
+    let id = isSymbol ? symbolIds.get(reference) : objectIds.get(reference);
+
+    if (id === undefined) {
+        id = ++idCounter;
+
+        if (isSymbol) {
+            symbolIds.set(reference, id);
+        } else {
+            objectIds.set(reference, id);
+        }
+    }
+
+    return id;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the key used in the store for the key passed. Each argument is encoded and tagged
+ * by type, where primitives are encoded by value and objects, functions, and symbols by
+ * reference, so that keys in the store are equal when each argument is equal based on
+ * SameValueZero.
+ *
+ * @param key the key to encode
+ * @returns the key in the store
+ */
+export function getStoreKey(key: Key) {
+    let storeKey = '';
+    let arg: any;
+
+    for (let index = 0; index < key.length; index++) {
+        arg = key[index];
+
+        switch (typeof arg) {
+            case 'string':
+                storeKey += `s${arg.length}:${arg}`;
+                break;
+
+            case 'number':
+                storeKey += `n${arg}:`;
+                break;
+
+            case 'boolean':
+                storeKey += arg ? 't' : 'f';
+                break;
+
+            case 'undefined':
+                storeKey += 'u';
+                break;
+
+            case 'object':
+                storeKey += arg === null ? 'l' : `o${getReferenceId(arg)}:`;
+                break;
+
+            case 'symbol':
+                storeKey += `y${getReferenceId(arg)}:`;
+                break;
+
+            default:
+                storeKey += `o${getReferenceId(arg)}:`;
+        }
+    }
+
+    return storeKey;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the number of entries in the store
+ *
+ * @param store the store of cache entries
+ * @returns the number of entries
+ */
+export function getStoreSize(store: Store) {
+    return typeof store.size === 'function' ? store.size() : store.size;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the entries in the store, whether the adapter returns them as an array or an
+ * iterator
+ *
+ * @param store the store of cache entries
+ * @returns the list of entries
+ */
+export function getStoreEntries(store: Store): StoreEntry[] {
+    const storeEntries = store.entries();
+    const entries: StoreEntry[] = [];
+
+    if (Array.isArray(storeEntries)) {
+        for (let index = 0; index < storeEntries.length; index++) {
+            entries.push(storeEntries[index][1]);
+        }
+
+        return entries;
+    }
+
+    let step = storeEntries.next();
+
+    while (!step.done) {
+        entries.push(step.value[1]);
+
+        step = storeEntries.next();
+    }
+
+    return entries;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the cache passed to the handlers of cache operations, which reflects the
+ * entries in the store
+ *
+ * @param store the store of cache entries
+ * @param options the options passed to micro-memoize
+ * @returns the cache
+ */
+export function createStoreCache(
+    store: Store,
+    options: MicroMemoizeOptions
+): Cache {
+    return Object.defineProperties(
+        { options },
+        {
+            keys: {
+                get() {
+                    return getStoreEntries(store).map(function (entry) {
+                        return entry.key;
+                    });
+                },
+            },
+
+            size: {
+                get() {
+                    return getStoreSize(store);
+                },
+            },
+
+            values: {
+                get() {
+                    return getStoreEntries(store).map(function (entry) {
+                        return entry.value;
+                    });
+                },
+            },
+        }
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * clear the expiration for the entry in the store
+ *
+ * @param expirations the expirations for cache items
+ * @param storeKey the key of the entry in the store
+ * @param options the options passed to the moizer
+ */
+export function clearStoreExpiration(
+    expirations: Expirations,
+    storeKey: string,
+    options: Options
+) {
+    const expiration = expirations.get(storeKey);
+
+    if (expiration) {
+        getScheduler(options).cancel(expiration);
+
+        expirations.delete(storeKey);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * remove the entry from the store, if it exists
+ *
+ * @param moized the moized function
+ * @param expirations the expirations for cache items
+ * @param storeKey the key of the entry in the store
+ * @returns was the entry removed
+ */
+export function removeStoreEntry(
+    moized: Moized,
+    expirations: Expirations,
+    storeKey: string
+) {
+    const { _microMemoizeOptions: microMemoizeOptions, options } = moized;
+
+    clearStoreExpiration(expirations, storeKey, options);
+
+    if (!options.store.get(storeKey)) {
+        return false;
+    }
+
+    options.store.delete(storeKey);
+
+    if (microMemoizeOptions.onCacheChange) {
+        microMemoizeOptions.onCacheChange(
+            moized.cache,
+            microMemoizeOptions,
+            moized
+        );
+    }
+
+    return true;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * schedule the expiration of the entry in the store based on `maxAge`, replacing
+ * any existing expiration of it. Entries are given an expiration when rejections are
+ * cached, so that rejections can expire based on the `errorMaxAge`.
+ *
+ * @param moized the moized function
+ * @param expirations the expirations for cache items
+ * @param storeKey the key of the entry in the store
+ * @param entry the entry to expire
+ */
+export function setStoreExpiration(
+    moized: Moized,
+    expirations: Expirations,
+    storeKey: string,
+    entry: StoreEntry
+) {
+    const { options } = moized;
+
+    if (
+        !hasMaxAge(options) &&
+        !hasMaxLifetime(options) &&
+        !getIsCachingRejections(options)
+    ) {
+        return;
+    }
+
+    clearStoreExpiration(expirations, storeKey, options);
+
+    const expiration: Expiration = {
+        createdAt: getClock(options).now(),
+        expirationMethod: undefined,
+        expiresAt: undefined,
+        key: entry.key,
+        maxAge: undefined,
+        storeKey,
+    };
+
+    expiration.expirationMethod = function () {
+        if (markExpirationStale(expiration, options)) {
+            return;
+        }
+
+        // the entry may have been removed by the store itself
+        if (!options.store.get(storeKey)) {
+            clearStoreExpiration(expirations, storeKey, options);
+
+            return;
+        }
+
+        handleExpiration(expirations, expiration, options, function () {
+            removeStoreEntry(moized, expirations, storeKey);
+        });
+    };
+
+    expirations.set(storeKey, expiration);
+
+    setExpirationCall(expiration, options, entry.value);
+    setExpirationMaxAge(expirations, expiration, moized.options, entry.value);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * reset the expiration of the entry in the store, if `updateExpire` is set
+ *
+ * @param moized the moized function
+ * @param expirations the expirations for cache items
+ * @param storeKey the key of the entry in the store
+ */
+export function resetStoreExpiration(
+    moized: Moized,
+    expirations: Expirations,
+    storeKey: string
+) {
+    resetExpiration(expirations.get(storeKey), moized.options);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the entry in the store, treating it as missing if it has expired when expiring
+ * lazily
+ *
+ * @param moized the moized function
+ * @param expirations the expirations for cache items
+ * @param storeKey the key of the entry in the store
+ * @returns the entry, or undefined if it does not exist
+ */
+export function getStoreEntry(
+    moized: Moized,
+    expirations: Expirations,
+    storeKey: string
+): StoreEntry | undefined {
+    const { expirationMode, store } = moized.options;
+
+    const entry = store.get(storeKey);
+
+    // the entry may remain in the store if `onExpire` prevents its removal
+    return entry &&
+        expirationMode === 'lazy' &&
+        expireIfStale(expirations.get(storeKey), moized.options)
+        ? store.get(storeKey)
+        : entry;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * add the entry to the store, notifying of the addition and scheduling its expiration
+ *
+ * @param moized the moized function
+ * @param expirations the expirations for cache items
+ * @param storeKey the key of the entry in the store
+ * @param entry the entry to add
+ */
+export function addStoreEntry(
+    moized: Moized,
+    expirations: Expirations,
+    storeKey: string,
+    entry: StoreEntry
+) {
+    const { _microMemoizeOptions: microMemoizeOptions, cache } = moized;
+    const { onCacheAdd, onCacheChange } = microMemoizeOptions;
+
+    moized.options.store.set(storeKey, entry);
+
+    if (onCacheAdd) {
+        onCacheAdd(cache, microMemoizeOptions, moized);
+    }
+
+    if (onCacheChange) {
+        onCacheChange(cache, microMemoizeOptions, moized);
+    }
+
+    setStoreExpiration(moized, expirations, storeKey, entry);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the memoized function whose cache entries are held in the store passed,
+ * as an alternative to the cache of micro-memoize
+ *
+ * @param fn the function to memoize
+ * @param refreshedFn the function to refresh entries with
+ * @param store the store of cache entries
+ * @param options the options passed to micro-memoize
+ * @param expirations the expirations for cache items
+ * @param pending the keys of entries whose promises are pending
+ * @returns the memoized function
+ */
+export function createStoreMemoized<OriginalFn extends Moizeable>(
+    fn: OriginalFn,
+    refreshedFn: Fn,
+    store: Store,
+    options: MicroMemoizeOptions,
+    expirations: Expirations,
+    pending: PendingKeys
+): Memoized<OriginalFn> {
+    const normalizedOptions = options as Memoized<OriginalFn>['options'];
+    const {
+        isPromise,
+        onCacheChange,
+        onCacheHit,
+        transformKey,
+    } = normalizedOptions;
+
+    const cache = createStoreCache(store, options);
+
+    const memoized: any = function (this: any) {
+        const args = [].slice.call(arguments);
+        const key = transformKey ? transformKey(args) : args;
+        const storeKey = getStoreKey(key);
+        const existingEntry = getStoreEntry(memoized, expirations, storeKey);
+
+        if (existingEntry) {
+            const expiration = expirations.get(storeKey);
+
+            if (expiration && getShouldRefresh(expiration, memoized.options)) {
+                refreshEntry(memoized, refreshedFn, expirations, expiration);
+            }
+
+            resetStoreExpiration(memoized, expirations, storeKey);
+
+            if (getIsAbortable(memoized.options)) {
+                addEntryWaiter(existingEntry.value, memoized.options);
+            }
+
+            if (onCacheHit) {
+                setIsRejectedHit(cache, expiration);
+
+                onCacheHit(cache, normalizedOptions, memoized);
+            }
+
+            return existingEntry.value;
+        }
+
+        const entry: StoreEntry = {
+            key,
+            value: fn.apply(this, arguments),
+        };
+
+        if (isPromise) {
+            entry.value = entry.value.then(
+                function (value: any) {
+                    if (onCacheHit) {
+                        onCacheHit(cache, normalizedOptions, memoized);
+                    }
+
+                    if (onCacheChange) {
+                        onCacheChange(cache, normalizedOptions, memoized);
+                    }
+
+                    return value;
+                },
+                function (error: Error) {
+                    if (getIsCachingRejections(memoized.options)) {
+                        cacheRejection(
+                            expirations.get(storeKey),
+                            memoized.options,
+                            error
+                        );
+                    } else {
+                        removeStoreEntry(memoized, expirations, storeKey);
+                    }
+
+                    throw error;
+                }
+            );
+
+            trackPendingPromise(pending, key, entry.value, memoized.options);
+            setAbortableEntry(entry.value, memoized.options, function () {
+                removeStoreEntry(memoized, expirations, storeKey);
+            });
+        }
+
+        addStoreEntry(memoized, expirations, storeKey, entry);
+
+        return entry.value;
+    };
+
+    memoized.cache = cache;
+    memoized.fn = fn;
+    memoized.isMemoized = true;
+    memoized.options = normalizedOptions;
+
+    return memoized;
+}
@@ -0,0 +1,238 @@
+import {
+    ArgumentTrie,
+    Cache,
+    EntryRemoveHook,
+    FindKeyIndex,
+    Key,
+    OnCacheOperation,
+    Options,
+    RecencyNode,
+    TrieNode,
+} from './types';
+
+/**
+ * @private
+ *
+ * @description
+ * create an empty node of the argument trie
+ *
+ * @returns the trie node
+ */
+export function createTrieNode(): TrieNode {
+    return {
+        children: new Map(),
+        entry: undefined,
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the empty trie of arguments to cache keys
+ *
+ * @returns the argument trie
+ */
+export function createArgumentTrie(): ArgumentTrie {
+    return {
+        root: createTrieNode(),
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the node of the trie for the key, where each argument of the key is the branch
+ * taken at that depth (compared with SameValueZero equality, as `Map` does)
+ *
+ * @param trie the argument trie
+ * @param key the key to find the node for
+ * @param shouldCreate should missing nodes be created
+ * @returns the node of the trie, or undefined if it does not exist
+ */
+export function getTrieNode(
+    trie: ArgumentTrie,
+    key: Key,
+    shouldCreate: boolean
+): TrieNode | undefined {
+    let node = trie.root;
+    let child: TrieNode;
+
+    for (let index = 0; index < key.length; index++) {
+        child = node.children.get(key[index]);
+
+        if (!child) {
+            if (!shouldCreate) {
+                return;
+            }
+
+            child = createTrieNode();
+
+            node.children.set(key[index], child);
+        }
+
+        node = child;
+    }
+
+    return node;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * add the key to the trie, with the position of its entry in cache
+ *
+ * @param trie the argument trie
+ * @param key the key to add
+ * @param entry the position of the entry in cache
+ */
+export function addTrieKey(trie: ArgumentTrie, key: Key, entry: RecencyNode) {
+    getTrieNode(trie, key, true).entry = entry;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * remove the key from the trie if its entry has been removed from cache, along with the
+ * branches of the trie that no longer lead to a key
+ *
+ * @param trie the argument trie
+ * @param key the key to remove
+ */
+export function removeTrieKey(trie: ArgumentTrie, key: Key) {
+    const path: TrieNode[] = [trie.root];
+
+    let node = trie.root;
+
+    for (let index = 0; index < key.length; index++) {
+        node = node.children.get(key[index]);
+
+        if (!node) {
+            return;
+        }
+
+        path.push(node);
+    }
+
+    // the node may since be held by a new entry for an equal key
+    if (!node.entry || node.entry.index !== -1) {
+        return;
+    }
+
+    node.entry = undefined;
+
+    for (let index = key.length - 1; index >= 0; index--) {
+        node = path[index + 1];
+
+        if (node.entry || node.children.size) {
+            break;
+        }
+
+        path[index].children.delete(key[index]);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the function that finds the index of the key in the list of cache keys, by
+ * walking the trie one argument at a time. The trie holds the position of each entry in
+ * cache, which is kept up to date as entries move, so the entry is found without
+ * searching the list of keys
+ *
+ * @param trie the argument trie
+ * @returns the function that finds the index of the key
+ */
+export function createFindTrieKeyIndex(trie: ArgumentTrie): FindKeyIndex {
+    return function (_keysIgnored: Key[], key: Key) {
+        const node = getTrieNode(trie, key, false);
+
+        return node && node.entry ? node.entry.index : -1;
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a function that, when an item is added to the cache, adds its key to the trie
+ *
+ * @param trie the argument trie
+ * @returns the onCacheAdd function to handle adding to the trie
+ */
+export function createOnCacheAddTrieKey(trie: ArgumentTrie): OnCacheOperation {
+    return function onCacheAdd(cache: Cache) {
+        addTrieKey(trie, cache.keys[0], cache.recency.nodes[0]);
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create a function that, when an entry is removed from cache, removes its key from the
+ * trie
+ *
+ * @param trie the argument trie
+ * @returns the hook to handle the removal of entries
+ */
+export function createRemoveTrieKey(trie: ArgumentTrie): EntryRemoveHook {
+    return function (key: Key) {
+        removeTrieKey(trie, key);
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * is the argument trie used for the options passed, which requires arguments to be
+ * compared with the default SameValueZero equality
+ *
+ * @param options the options passed to the moizer
+ * @returns is the argument trie used
+ */
+export function getIsTrie(options: Options) {
+    return (
+        !!options.isTrie &&
+        !options.isDeepEqual &&
+        !options.isShallowEqual &&
+        !options.isWeak &&
+        !options.matchesArg &&
+        !options.matchesKey &&
+        !options.store
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the options specific to the argument trie
+ *
+ * @param options the options passed to the moizer
+ * @returns the object of options based on the entries passed
+ */
+export function getTrieOptions(
+    options: Options
+): {
+    findKeyIndex?: FindKeyIndex;
+    onCacheAdd?: OnCacheOperation;
+    onEntryRemove?: EntryRemoveHook;
+} {
+    if (!getIsTrie(options)) {
+        return {};
+    }
+
+    const trie = createArgumentTrie();
+
+    return {
+        findKeyIndex: createFindTrieKeyIndex(trie),
+        onCacheAdd: createOnCacheAddTrieKey(trie),
+        onEntryRemove: createRemoveTrieKey(trie),
+    };
+}
@@ -13,13 +13,127 @@ export type FunctionalComponent<Props extends object> = Fn<Props> & {
 export type Key<Arg extends any = any> = Arg[];
 export type Value = any;
 
-export type Cache = MicroMemoize.Cache;
+// the hook on the removal of entries is assigned per-instance, like the other methods
+export type Cache = MicroMemoize.Cache & {
+    onEntryRemove?: EntryRemoveHook;
+    recency?: Recency;
+};
 export type MicroMemoizeOptions = MicroMemoize.Options;
 
 export type Expiration = {
+    args?: any[];
+    computeTime?: number;
+    context?: any;
+    createdAt: number;
     expirationMethod: () => void;
+    expiresAt: number;
+    isPending?: boolean;
+    isRejected?: boolean;
+    isStale?: boolean;
     key: Key;
-    timeoutId: ReturnType<typeof setTimeout>;
+    maxAge: number;
+    storeKey?: string;
+};
+
+// a Map or Set (or their weak counterparts) that is only created once an entry is added
+export type LazyMap<MapKey, Value> = {
+    delete: (key: MapKey) => boolean;
+    forEach: (callback: (value: Value, key: MapKey) => void) => void;
+    get: (key: MapKey) => Value | undefined;
+    has: (key: MapKey) => boolean;
+    set: (key: MapKey, value: Value) => void;
+};
+export type LazySet<Value> = {
+    add: (value: Value) => void;
+    delete: (value: Value) => boolean;
+    forEach: (callback: (value: Value) => void) => void;
+    has: (value: Value) => boolean;
+};
+
+// expirations are indexed by the key in cache, or by the key in the store for
+// entries in a store
+export type Expirations = LazyMap<Key | string, Expiration>;
+
+export type PendingKeys = LazySet<Key>;
+
+// the call of the memoized function that computed the value of the entry added
+export type EntryCall = {
+    args: any[];
+    context: any;
+    startedAt: number;
+};
+
+export type Concurrency = {
+    active: number;
+    queue: Array<() => void>;
+};
+
+export type AbortableEntry = {
+    controller: AbortController;
+    evict: () => void;
+    isSettled: boolean;
+    waiting: number;
+};
+
+export type ScheduledExpiration = {
+    at: number;
+    expiration: Expiration;
+};
+
+export type Clock = {
+    clearTimeout: (timeoutId: any) => void;
+    now: () => number;
+    setTimeout: (callback: () => void, delay: number) => any;
+};
+
+export type ManualClock = Clock & {
+    advance: (time: number) => void;
+};
+
+export type ManualTimeout = {
+    at: number;
+    callback: () => void;
+    id: number;
+};
+
+export type Scheduler = {
+    cancel: (expiration: Expiration) => void;
+    schedule: (expiration: Expiration) => void;
+};
+
+export type FrequencySketch = {
+    additions: number;
+    counters: Uint8Array;
+    sampleSize: number;
+    width: number;
+};
+
+// the position of an entry in the order of recency, when the entries of the cache are
+// kept in slots (with only the most recently used in front) rather than in that order
+export type RecencyNode = {
+    index: number;
+    newer: RecencyNode | undefined;
+    older: RecencyNode | undefined;
+};
+
+export type Recency = {
+    newest: RecencyNode | undefined;
+    nodes: RecencyNode[];
+    oldest: RecencyNode | undefined;
+};
+
+export type TrieNode = {
+    children: Map<any, TrieNode>;
+    entry: RecencyNode | undefined;
+};
+
+export type ArgumentTrie = {
+    root: TrieNode;
+};
+
+export type HashedIndex = {
+    multiple: Map<string, RecencyNode>;
+    single: Map<any, RecencyNode>;
 };
 
 export type OnCacheOperation = (
@@ -30,46 +144,142 @@ export type OnCacheOperation = (
 
 export type IsEqual = (cacheKeyArg: any, keyArg: any) => boolean;
 export type IsMatchingKey = (cacheKey: Key, key: Key) => boolean;
-export type OnExpire = (key: Key) => any;
+export type FindKeyIndex = (keys: Key[], key: Key) => number;
+export type GetKeyIndex = (key: Key) => number;
+export type KeyIndexHook = (key: Key, getKeyIndex: GetKeyIndex) => number;
+export type GetMaxAge = (key: Key, value: any) => number;
+export type GetEvictionIndex = (cache: Cache) => number;
+export type EntryRemoveHook = (key: Key) => void;
+export type ExpirationReason = 'maxAge' | 'maxLifetime';
+export type OnExpire = (key: Key, reason: ExpirationReason) => any;
+export type OnRefresh = (key: Key, value: any) => void;
+export type OnRefreshError = (key: Key, error: Error) => void;
+export type OnPromiseReject = (key: Key, error: Error) => void;
+export type OnPromiseResolve = (key: Key, value: any) => void;
+export type OnReject = (key: Key, error: Error) => void;
+export type GetRetryDelay = (attempt: number, error: Error) => number;
 export type Serialize = (key: Key) => string[];
+export type EvictionPolicy = 'lfu' | 'lru' | 'tinylfu';
+export type ExpirationMode = 'lazy' | 'timer';
+export type RetryBackoff = 'exponential' | 'fixed';
 export type TransformKey = (key: Key) => Key;
+export type PartitionBy = (args: Key) => any;
+export type Weigh = (key: Key, value: any) => number;
+export type WeakReference = { deref: () => any };
+export type WeakReferenceConstructor = new (target: any) => WeakReference;
+export type FinalizationRegistryConstructor = new (
+    cleanup: (heldValue: Key) => void
+) => {
+    register: (target: any, heldValue: Key, unregisterToken?: object) => void;
+    unregister: (unregisterToken: object) => boolean;
+};
+export type Weights = {
+    entries: LazyMap<Key, { value: any; weight: number }>;
+    isTracked: boolean;
+    total: number;
+};
+export type StoreEntry = { key: Key; value: any };
+export type Store = {
+    clear: () => void;
+    delete: (storeKey: string) => any;
+    entries: () => Iterator<[string, StoreEntry]> | [string, StoreEntry][];
+    get: (storeKey: string) => StoreEntry | undefined;
+    set: (storeKey: string, entry: StoreEntry) => any;
+    size: number | (() => number);
+};
 
 export type Options = Partial<{
+    cacheName: string;
+    cacheRejections: boolean;
+    clock: Clock;
+    earlyRefresh: number;
+    errorMaxAge: number;
+    evictionPolicy: EvictionPolicy;
+    expirationMode: ExpirationMode;
+    isAbortable: boolean;
     isDeepEqual: boolean;
+    isHashed: boolean;
     isPromise: boolean;
     isReact: boolean;
     isSerialized: boolean;
     isShallowEqual: boolean;
+    isTrie: boolean;
+    isWeak: boolean;
     matchesArg: IsEqual;
     matchesKey: IsMatchingKey;
-    maxAge: number;
+    maxAge: number | GetMaxAge;
+    maxAgeJitter: number;
     maxArgs: number;
+    maxBytes: number;
+    maxConcurrent: number;
+    maxLifetime: number;
     maxSize: number;
+    maxWeight: number;
     onCacheAdd: OnCacheOperation;
     onCacheChange: OnCacheOperation;
     onCacheHit: OnCacheOperation;
     onExpire: OnExpire;
+    onPromiseReject: OnPromiseReject;
+    onPromiseResolve: OnPromiseResolve;
+    onRefresh: OnRefresh;
+    onRefreshError: OnRefreshError;
+    onReject: OnReject;
+    partitionBy: PartitionBy;
     profileName: string;
+    promiseTimeout: number;
+    refreshAhead: number;
+    retries: number;
+    retryBackoff: RetryBackoff;
+    retryDelay: number | GetRetryDelay;
     serializer: Serialize;
+    staleWhileRevalidate: number;
+    store: Store;
     transformArgs: TransformKey;
     updateExpire: boolean;
+    weigh: Weigh;
 }>;
 
 export type StatsProfile = {
     calls: number;
+    errorHits?: number;
     hits: number;
+    weight?: number;
 };
 
 export type StatsObject = {
     calls: number;
+    errorHits?: number;
     hits: number;
+    partitions?: Record<string, StatsObject>;
     usage: string;
+    weight?: number;
 };
 
 export type GlobalStatsObject = StatsObject & {
     profiles?: Record<string, StatsProfile>;
 };
 
+export type SharedCacheEntry = {
+    entry: StoreEntry;
+    namespace: string;
+    storeKey: string;
+};
+
+export type SharedCacheOptions = {
+    maxSize?: number;
+    name?: string;
+};
+
+export type SharedCache = {
+    clear: () => void;
+    entries: Map<string, SharedCacheEntry>;
+    getStats: () => StatsObject;
+    maxSize: number;
+    name: string;
+    profileNames: string[];
+    readonly size: number;
+};
+
 export type StatsCache = {
     anonymousProfileNameCounter: number;
     isCollectingStats: boolean;
@@ -95,12 +305,16 @@ export type Moized<
         isMatchingKey: CombinedOptions['matchesKey'];
         transformKey: CombinedOptions['transformArgs'];
     };
+    bytes: number;
     cache: Cache;
     cacheSnapshot: Cache;
     expirations: Expiration[];
     expirationsSnapshot: Expiration[];
     options: CombinedOptions;
     originalFunction: OriginalFn;
+    partitions?: Map<any, Moized<OriginalFn, CombinedOptions>>;
+    queueSize: number;
+    weight: number;
 
     // react-specific values
     contextTypes?: Record<string, Function>;
@@ -110,22 +324,31 @@ export type Moized<
 
     // methods
     clear: () => void;
+    clearPartition?: (partitionKey: any) => boolean;
     clearStats: () => void;
     get: (key: Key) => any;
+    getBytes: (key: Key) => number | undefined;
     getStats: () => StatsProfile;
     has: (key: Key) => boolean;
     isCollectingStats: () => boolean;
     isMoized: () => true;
     keys: () => Cache['keys'];
+    pending: () => Key[];
+    prune: () => void;
     remove: (key: Key) => void;
-    set: (key: Key, value: any) => void;
+    set: (key: Key, value: any, maxAge?: number) => void;
     values: () => Cache['values'];
 };
 
 export type MoizeConfiguration<OriginalFn extends Moizeable> = {
-    expirations: Expiration[];
+    byteWeights: Weights;
+    concurrency: Concurrency;
+    expirations: Expirations;
+    findKeyIndex?: FindKeyIndex;
     options: Options;
     originalFunction: OriginalFn;
+    pending: PendingKeys;
+    weights: Weights;
 };
 
 export type CurriedMoize<OriginalOptions> = <
@@ -155,6 +378,8 @@ export interface Moize<DefaultOptions extends Options = Options>
     clearStats: (profileName?: string) => void;
     collectStats: (isCollectingStats?: boolean) => void;
     compose: (...moizers: Moize[]) => Moize;
+    createCache: (options?: SharedCacheOptions) => SharedCache;
+    createManualClock: (startTime?: number) => ManualClock;
     deep: Moize<{ isDeepEqual: true }>;
     getStats: (profileName?: string) => StatsObject;
     infinite: Moize;
@@ -175,7 +400,7 @@ export interface Moize<DefaultOptions extends Options = Options>
         },
         _OnExpire = ExpireHandler | UpdateExpire | ExpireOptions
     >(
-        age: number,
+        age: number | GetMaxAge,
         onExpire?: _OnExpire
     ) => _OnExpire extends ExpireHandler
         ? Moize<{ onExpire: _OnExpire; updateExpire: true }>
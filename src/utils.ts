@@ -1,10 +1,17 @@
 import { DEFAULT_OPTIONS } from './constants';
+import { orderByLru } from './eviction';
+import { clearRecency, createRecency, removeEntryAt } from './recency';
 import {
+    Cache,
+    EntryRemoveHook,
     Expiration,
+    Expirations,
+    FindKeyIndex,
     Fn,
     IsEqual,
     IsMatchingKey,
     Key,
+    KeyIndexHook,
     Moizeable,
     Moized,
     Options,
@@ -67,20 +74,53 @@ export function compose<Method>(...functions: Method[]): Method {
  * @private
  *
  * @description
- * find the index of the expiration based on the key
+ * get the key the expiration is indexed by, which is the key in the store for
+ * entries in a store, and the key in cache otherwise
  *
- * @param expirations the list of expirations
- * @param key the key to match
- * @returns the index of the expiration
+ * @param expiration the expiration to get the key of
+ * @returns the key of the expiration
  */
-export function findExpirationIndex(expirations: Expiration[], key: Key) {
-    for (let index = 0; index < expirations.length; index++) {
-        if (expirations[index].key === key) {
-            return index;
-        }
-    }
+export function getExpirationKey(expiration: Expiration) {
+    return expiration.storeKey !== undefined
+        ? expiration.storeKey
+        : expiration.key;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * is the expiration still the one for its entry, meaning the entry has not been
+ * removed (or re-added with a new expiration) since
+ *
+ * @param expirations the expirations for cache items
+ * @param expiration the expiration to check
+ * @returns is the expiration active
+ */
+export function isActiveExpiration(
+    expirations: Expirations,
+    expiration: Expiration
+) {
+    return expirations.get(getExpirationKey(expiration)) === expiration;
+}
 
-    return -1;
+/**
+ * @private
+ *
+ * @description
+ * get the expirations as a list, in the order they were added
+ *
+ * @param expirations the expirations for cache items
+ * @returns the list of expirations
+ */
+export function getExpirationList(expirations: Expirations) {
+    const list: Expiration[] = [];
+
+    expirations.forEach(function (expiration) {
+        list.push(expiration);
+    });
+
+    return list;
 }
 
 /**
@@ -124,6 +164,165 @@ export function createFindKeyIndex(
     };
 }
 
+/**
+ * @private
+ *
+ * @description
+ * add a hook to the lookup of keys micro-memoize does on calls, which receives the key
+ * and the lookup it wraps, and returns the index of the key in cache. Hooks added later
+ * wrap those added earlier, and are only called on calls of the memoized function.
+ *
+ * @param cache the cache of the memoized function
+ * @param hook the hook to add to the lookup
+ */
+export function addKeyIndexHook(cache: Cache, hook: KeyIndexHook) {
+    const { getKeyIndex } = cache;
+
+    const getWrappedKeyIndex = function (key: Key) {
+        return getKeyIndex.call(cache, key);
+    };
+
+    // readonly in the types of micro-memoize, but it is assigned per-instance
+    (cache as { getKeyIndex: Cache['getKeyIndex'] }).getKeyIndex = function (
+        key: Key
+    ) {
+        return hook(key, getWrappedKeyIndex);
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * add a hook that is called with the key of each entry removed from cache, whether it
+ * is evicted, expired, or removed directly. The ordering of micro-memoize drops the
+ * entries it evicts without notice, so it is replaced with one that reports them.
+ *
+ * @param cache the cache of the memoized function
+ * @param hook the hook to call with the key of the entry removed
+ */
+export function addEntryRemoveHook(cache: Cache, hook: EntryRemoveHook) {
+    if (!Object.prototype.hasOwnProperty.call(cache, 'orderByLru')) {
+        cache.orderByLru = orderByLru;
+    }
+
+    cache.onEntryRemove = combine(cache.onEntryRemove, hook);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * remove the entry at the index passed from cache, notifying the hooks on the removal
+ * of entries
+ *
+ * @param cache the cache of the memoized function
+ * @param keyIndex the index of the entry to remove
+ */
+export function removeCacheEntry(cache: Cache, keyIndex: number) {
+    const key = removeEntryAt(cache, keyIndex);
+
+    if (cache.onEntryRemove) {
+        cache.onEntryRemove(key);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * remove all entries from cache, notifying the hooks on the removal of entries
+ *
+ * @param cache the cache of the memoized function
+ */
+export function clearCacheEntries(cache: Cache) {
+    const keys = cache.onEntryRemove ? cache.keys.slice() : [];
+
+    cache.keys.length = 0;
+    cache.values.length = 0;
+
+    clearRecency(cache);
+
+    for (let index = 0; index < keys.length; index++) {
+        cache.onEntryRemove(keys[index]);
+    }
+}
+
+/**
+ * @private
+ *
+ * @description
+ * replace the handling of promises in micro-memoize, calling the method passed with the
+ * index of the entry when its promise rejects. The handling it replaces finds the entry
+ * with the lookup of keys, which would fire the hooks on it as if the entry was called.
+ * The entry is instead found by its promise, as its key may be replaced once added, and
+ * the method is not called if the entry has since been removed or given a new value.
+ *
+ * @param cache the cache of the memoized function
+ * @param onReject the method to handle the rejection of the promise
+ */
+export function applyUpdateAsyncCache(
+    cache: Cache,
+    onReject: (keyIndex: number, error: Error) => void
+) {
+    cache.updateAsyncCache = function (memoized: any) {
+        const { onCacheChange, onCacheHit } = cache.options;
+
+        const promise = cache.values[0].then(
+            function (value: any) {
+                if (cache.shouldUpdateOnHit) {
+                    onCacheHit(cache, cache.options, memoized);
+                }
+
+                if (cache.shouldUpdateOnChange) {
+                    onCacheChange(cache, cache.options, memoized);
+                }
+
+                return value;
+            },
+            function (error: Error) {
+                const keyIndex = cache.values.indexOf(promise);
+
+                if (keyIndex !== -1) {
+                    onReject(keyIndex, error);
+                }
+
+                throw error;
+            }
+        );
+
+        cache.values[0] = promise;
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * replace the methods micro-memoize uses to find and order keys on calls with ones
+ * based on the index of keys kept alongside the cache. As the index finds entries in
+ * constant time, the order of recency is kept apart from the cache so that entries are
+ * also moved and removed in constant time, rather than shifting every other entry.
+ *
+ * @param cache the cache of the memoized function
+ * @param findKeyIndex the function that finds the index of the key
+ * @param onEntryRemove the function that removes the key from the index
+ */
+export function applyFindKeyIndex(
+    cache: Cache,
+    findKeyIndex: FindKeyIndex,
+    onEntryRemove: EntryRemoveHook
+) {
+    addKeyIndexHook(cache, function (key: Key) {
+        return findKeyIndex(cache.keys, key);
+    });
+
+    cache.orderByLru = orderByLru;
+    cache.recency = createRecency();
+
+    addEntryRemoveHook(cache, onEntryRemove);
+}
+
 /**
  * @private
  *
@@ -0,0 +1,372 @@
+import { createLazySet } from './collections';
+import { clearExpiration } from './maxAge';
+import { getOrderedEntries } from './recency';
+import {
+    Cache,
+    Expirations,
+    FinalizationRegistryConstructor,
+    IsEqual,
+    IsMatchingKey,
+    Key,
+    LazySet,
+    Moized,
+    Options,
+    WeakReference,
+    WeakReferenceConstructor,
+} from './types';
+import { addEntryRemoveHook, removeCacheEntry } from './utils';
+
+/**
+ * @private
+ *
+ * @constant weakArgs
+ *
+ * @description
+ * the weak references created for arguments in cache, to distinguish them from
+ * arguments that happen to be weak references themselves
+ */
+const weakArgs: LazySet<object> = createLazySet(true);
+
+/**
+ * @private
+ *
+ * @description
+ * get the constructors needed to hold arguments weakly, if supported by the environment
+ *
+ * @returns the constructors, or undefined if not supported
+ */
+export function getWeakConstructors():
+    | {
+          FinalizationRegistry: FinalizationRegistryConstructor;
+          WeakRef: WeakReferenceConstructor;
+      }
+    | undefined {
+    const root: any = typeof globalThis !== 'undefined' ? globalThis : {};
+
+    return typeof root.WeakRef === 'function' &&
+        typeof root.FinalizationRegistry === 'function'
+        ? {
+              FinalizationRegistry: root.FinalizationRegistry,
+              WeakRef: root.WeakRef,
+          }
+        : undefined;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * is the argument a weak reference created for an argument in cache
+ *
+ * @param arg the argument to test
+ * @returns is the argument a weak reference
+ */
+export function isWeakArg(arg: any): arg is WeakReference {
+    return !!arg && typeof arg === 'object' && weakArgs.has(arg);
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the original arguments of the key in cache
+ *
+ * @param key the key in cache
+ * @returns the original key, or undefined if any argument has been garbage-collected
+ */
+export function derefKey(key: Key): Key | undefined {
+    let liveKey: Key;
+    let target: any;
+
+    for (let index = 0; index < key.length; index++) {
+        if (isWeakArg(key[index])) {
+            target = key[index].deref();
+
+            if (target === undefined) {
+                return;
+            }
+
+            if (!liveKey) {
+                liveKey = key.slice(0, index);
+            }
+
+            liveKey[index] = target;
+        } else if (liveKey) {
+            liveKey[index] = key[index];
+        }
+    }
+
+    return liveKey || key;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the method that compares key arguments, where weakly-held arguments are
+ * compared by the object they reference
+ *
+ * @param isEqual the method to compare key arguments
+ * @returns the method to compare weakly-held key arguments
+ */
+export function createIsEqualWeak(isEqual: IsEqual): IsEqual {
+    return function (cacheKeyArg: any, keyArg: any) {
+        if (isWeakArg(cacheKeyArg)) {
+            cacheKeyArg = cacheKeyArg.deref();
+
+            if (cacheKeyArg === undefined) {
+                return false;
+            }
+        }
+
+        if (isWeakArg(keyArg)) {
+            keyArg = keyArg.deref();
+
+            if (keyArg === undefined) {
+                return false;
+            }
+        }
+
+        return isEqual(cacheKeyArg, keyArg);
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the method that compares keys, where keys are compared by the objects their
+ * weakly-held arguments reference
+ *
+ * @param isMatchingKey the method to compare keys
+ * @returns the method to compare keys with weakly-held arguments
+ */
+export function createIsMatchingKeyWeak(
+    isMatchingKey: IsMatchingKey
+): IsMatchingKey {
+    return function (cacheKey: Key, key: Key) {
+        const liveCacheKey = derefKey(cacheKey);
+        const liveKey = derefKey(key);
+
+        return (
+            !!liveCacheKey && !!liveKey && isMatchingKey(liveCacheKey, liveKey)
+        );
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the method that removes the entry in cache whose argument has been
+ * garbage-collected
+ *
+ * @param expirations the expirations for cache items
+ * @returns the method to remove the entry
+ */
+export function createRemoveCollectedKey(expirations: Expirations) {
+    return function (moized: Moized, key: Key) {
+        const {
+            _microMemoizeOptions: { onCacheChange },
+            cache,
+        } = moized;
+
+        const keyIndex = cache.keys.indexOf(key);
+
+        if (keyIndex === -1) {
+            return;
+        }
+
+        removeCacheEntry(cache, keyIndex);
+
+        clearExpiration(expirations, key, true, moized.options);
+
+        if (onCacheChange) {
+            onCacheChange(cache, moized.options, moized);
+        }
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the constructors needed to hold arguments weakly, if they are held weakly for the
+ * options passed
+ *
+ * @param options the options passed to the moizer
+ * @returns the constructors, or undefined if arguments are not held weakly
+ */
+export function getWeakKeyConstructors(options: Options) {
+    return options.isWeak && !options.store ? getWeakConstructors() : undefined;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the key with its object arguments replaced by weak references, which is a copy
+ * as the key passed may be owned by the caller (such as with `moized.set`)
+ *
+ * @param key the key to weaken
+ * @param WeakRef the constructor of weak references
+ * @returns the weakened key, or the key passed if it has no object arguments
+ */
+export function weakenKey(key: Key, WeakRef: WeakReferenceConstructor): Key {
+    let weakKey: Key;
+    let arg: any;
+    let weakArg: WeakReference;
+
+    for (let index = 0; index < key.length; index++) {
+        arg = key[index];
+
+        if (
+            (typeof arg === 'object' && arg !== null) ||
+            typeof arg === 'function'
+        ) {
+            if (!weakKey) {
+                weakKey = key.slice(0);
+            }
+
+            weakArg = new WeakRef(arg);
+
+            weakArgs.add(weakArg);
+
+            weakKey[index] = weakArg;
+        }
+    }
+
+    return weakKey || key;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * apply the ordering of keys that replaces the object arguments of the key of entries
+ * added with weak references, and removes the entry once any of those objects are
+ * garbage-collected. The key is replaced before the entry is added, so that everything
+ * tracking the entry by its key uses the weakened one. The objects are no longer
+ * watched once the entry is removed from cache.
+ *
+ * @param moized the moized function
+ * @param expirations the expirations for cache items
+ * @param options the options passed to the moizer
+ */
+export function applyWeakKeys(
+    moized: Moized,
+    expirations: Expirations,
+    options: Options
+) {
+    const constructors = getWeakKeyConstructors(options);
+
+    if (!constructors) {
+        return;
+    }
+
+    const { FinalizationRegistry, WeakRef } = constructors;
+    const { cache } = moized;
+
+    const removeCollectedKey = createRemoveCollectedKey(expirations);
+
+    let registry: InstanceType<FinalizationRegistryConstructor>;
+
+    addEntryRemoveHook(cache, function (key: Key) {
+        if (registry) {
+            registry.unregister(key);
+        }
+    });
+
+    const { orderByLru } = cache;
+
+    cache.orderByLru = function (
+        this: Cache,
+        key: Key,
+        value: any,
+        startingIndex: number
+    ) {
+        if (startingIndex < this.keys.length) {
+            return orderByLru.call(this, key, value, startingIndex);
+        }
+
+        const weakKey = weakenKey(key, WeakRef);
+
+        orderByLru.call(this, weakKey, value, startingIndex);
+
+        if (weakKey === key) {
+            return;
+        }
+
+        if (!registry) {
+            registry = new FinalizationRegistry(function (collectedKey: Key) {
+                removeCollectedKey(moized, collectedKey);
+            });
+        }
+
+        // the weakened key is the token, so that it is unregistered once removed
+        for (let index = 0; index < key.length; index++) {
+            if (weakKey[index] !== key[index]) {
+                registry.register(key[index], weakKey, weakKey);
+            }
+        }
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the options specific to holding object arguments weakly
+ *
+ * @param options the options passed to the moizer
+ * @param isEqual the function to test equality of the key on a per-argument basis
+ * @param isMatchingKey the function to test equality of the whole key
+ * @returns the object of options based on the entries passed
+ */
+export function getWeakOptions(
+    options: Options,
+    isEqual: IsEqual,
+    isMatchingKey: IsMatchingKey | undefined
+): {
+    isEqual?: IsEqual;
+    isMatchingKey?: IsMatchingKey;
+} {
+    if (!getWeakKeyConstructors(options)) {
+        return {};
+    }
+
+    return {
+        isEqual: createIsEqualWeak(isEqual),
+        isMatchingKey: isMatchingKey && createIsMatchingKeyWeak(isMatchingKey),
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the keys and values of the entries in cache whose arguments are all still live,
+ * with the weakly-held arguments replaced by the objects they reference, from the most
+ * to the least recently used
+ *
+ * @param cache the cache of the memoized function
+ * @returns the live keys and values
+ */
+export function getLiveEntries(cache: Cache) {
+    const entries = getOrderedEntries(cache);
+    const keys: Key[] = [];
+    const values: any[] = [];
+
+    let liveKey: Key;
+
+    for (let index = 0; index < entries.keys.length; index++) {
+        liveKey = derefKey(entries.keys[index]);
+
+        if (liveKey) {
+            keys.push(liveKey);
+            values.push(entries.values[index]);
+        }
+    }
+
+    return { keys, values };
+}
@@ -0,0 +1,199 @@
+import { createLazyMap } from './collections';
+import { getOldestIndex } from './recency';
+import { Cache, Key, Options, Weigh, Weights } from './types';
+import { addEntryRemoveHook, removeCacheEntry } from './utils';
+
+/**
+ * @private
+ *
+ * @description
+ * get the weight of an entry when no `weigh` method is provided, which weighs
+ * each entry equally
+ *
+ * @returns the weight of the entry
+ */
+export function getDefaultWeight() {
+    return 1;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the method used to weigh entries in cache
+ *
+ * @param options the options passed to the moizer
+ * @returns the method to weigh entries
+ */
+export function getWeigh(options: Options): Weigh {
+    return typeof options.weigh === 'function'
+        ? options.weigh
+        : getDefaultWeight;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * is the weight of the cache tracked for the options passed
+ *
+ * @param options the options passed to the moizer
+ * @returns is the weight tracked
+ */
+export function getIsWeighted(options: Options) {
+    return (
+        typeof options.weigh === 'function' ||
+        (typeof options.maxWeight === 'number' && isFinite(options.maxWeight))
+    );
+}
+
+/**
+ * @private
+ *
+ * @description
+ * create the record of the weights of entries in cache
+ *
+ * @returns the weights of entries
+ */
+export function createWeights(): Weights {
+    return { entries: createLazyMap(true), isTracked: false, total: 0 };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the weight of the entry in cache, only weighing the value if it has changed since
+ * it was last weighed. When the total weight is tracked, it is updated with the change.
+ *
+ * @param weights the weights of the entries in cache
+ * @param weigh the method to weigh entries
+ * @param key the key of the entry
+ * @param value the value of the entry
+ * @returns the weight of the entry
+ */
+export function getEntryWeight(
+    weights: Weights,
+    weigh: Weigh,
+    key: Key,
+    value: any
+) {
+    const entry = weights.entries.get(key);
+
+    if (entry && entry.value === value) {
+        return entry.weight;
+    }
+
+    const weight = weigh(key, value);
+
+    if (weights.isTracked) {
+        weights.total += entry ? weight - entry.weight : weight;
+    }
+
+    weights.entries.set(key, { value, weight });
+
+    return weight;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * get the total weight of the entries in cache, which is only summed when it is not
+ * tracked as entries are added and removed
+ *
+ * @param cache the cache of the memoized function
+ * @param weights the weights of the entries in cache
+ * @param weigh the method to weigh entries
+ * @returns the total weight
+ */
+export function getCacheWeight(cache: Cache, weights: Weights, weigh: Weigh) {
+    if (weights.isTracked) {
+        return weights.total;
+    }
+
+    const { keys, values } = cache;
+
+    let weight = 0;
+
+    for (let index = 0; index < keys.length; index++) {
+        weight += getEntryWeight(weights, weigh, keys[index], values[index]);
+    }
+
+    return weight;
+}
+
+/**
+ * @private
+ *
+ * @description
+ * track the total weight of the cache as entries are added, have their value changed,
+ * or are removed, and limit it by removing the least-recently-used entries until the
+ * weight fits within the limit, if any
+ *
+ * @param cache the cache of the memoized function
+ * @param maxWeight the maximum total weight of the cache, if any
+ * @param weigh the method to weigh entries
+ * @param weights the weights of the entries in cache
+ */
+export function applyWeightLimit(
+    cache: Cache,
+    maxWeight: number | undefined,
+    weigh: Weigh,
+    weights: Weights
+) {
+    const limit = typeof maxWeight === 'number' ? maxWeight : Infinity;
+
+    weights.isTracked = true;
+
+    addEntryRemoveHook(cache, function (key: Key) {
+        const entry = weights.entries.get(key);
+
+        if (entry) {
+            weights.total -= entry.weight;
+            weights.entries.delete(key);
+        }
+    });
+
+    const { orderByLru } = cache;
+
+    cache.orderByLru = function (
+        this: Cache,
+        key: Key,
+        value: any,
+        startingIndex: number
+    ) {
+        const { keys } = this;
+
+        // weighed before ordering, so that the total is correct for any entry evicted
+        getEntryWeight(weights, weigh, key, value);
+
+        orderByLru.call(this, key, value, startingIndex);
+
+        // the first entry is never removed, as it is the value returned to the caller
+        while (weights.total > limit && keys.length > 1) {
+            removeCacheEntry(this, getOldestIndex(this));
+        }
+    };
+}
+
+/**
+ * @private
+ *
+ * @description
+ * track the total weight of the cache when it is weighed, limiting it to `maxWeight`
+ * based on the `weigh` method
+ *
+ * @param cache the cache of the memoized function
+ * @param options the options passed to the moizer
+ * @param weights the weights of the entries in cache
+ */
+export function applyMaxWeight(
+    cache: Cache,
+    options: Options,
+    weights: Weights
+) {
+    if (getIsWeighted(options)) {
+        applyWeightLimit(cache, options.maxWeight, getWeigh(options), weights);
+    }
+}